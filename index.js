@@ -0,0 +1,15 @@
+// Pre3d, a JavaScript software 3d renderer.
+// (c) Dean McNamee <dean@gmail.com>.
+//
+// The CommonJS entry point, this loads the core engine along with all of the
+// helpers, which are attached to it as Pre3d.ShapeUtils, Pre3d.PathUtils,
+// etc.  The files can also be required individually.
+//   var Pre3d = require('pre3d');
+
+var Pre3d = require('./pre3d');
+require('./pre3d_shape_utils');
+require('./pre3d_path_utils');
+require('./pre3d_zbuffer');
+require('./pre3d_svg');
+
+module.exports = Pre3d;
@@ -0,0 +1,13 @@
+// Pre3d, a JavaScript software 3d renderer.
+// (c) Dean McNamee <dean@gmail.com>.
+//
+// The ES module entry point, a thin wrapper around the CommonJS entry.
+//   import Pre3d, {ShapeUtils, PathUtils} from 'pre3d';
+
+import Pre3d from './index.js';
+
+export default Pre3d;
+export var ShapeUtils = Pre3d.ShapeUtils;
+export var PathUtils = Pre3d.PathUtils;
+export var ZBufferBackend = Pre3d.ZBufferBackend;
+export var SVGBackend = Pre3d.SVGBackend;
@@ -324,6 +324,38 @@ var Pre3d = (function() {
     );
   }
 
+  // Return the inverse of the affine matrix |a|, or null if it is singular.
+  // The upper 3x3 is inverted with the classical adjoint (the transpose of
+  // transAdjoint) over the determinant, and the translation is then undone.
+  function invertAffine(a) {
+    var a0 = a.e0, a1 = a.e1, a2 = a.e2, a3 = a.e3, a4 = a.e4, a5 = a.e5;
+    var a6 = a.e6, a7 = a.e7, a8 = a.e8, a9 = a.e9, a10 = a.e10, a11 = a.e11;
+
+    var c0 = a10 * a5 - a6 * a9;
+    var c1 = a6 * a8 - a4 * a10;
+    var c2 = a4 * a9 - a8 * a5;
+    var det = a0 * c0 + a1 * c1 + a2 * c2;
+    if (det === 0)
+      return null;
+
+    var f = 1 / det;
+    var i0 = c0 * f;
+    var i1 = (a2 * a9 - a10 * a1) * f;
+    var i2 = (a6 * a1 - a2 * a5) * f;
+    var i4 = c1 * f;
+    var i5 = (a10 * a0 - a2 * a8) * f;
+    var i6 = (a4 * a2 - a6 * a0) * f;
+    var i8 = c2 * f;
+    var i9 = (a8 * a1 - a0 * a9) * f;
+    var i10 = (a0 * a5 - a4 * a1) * f;
+
+    return new AffineMatrix(
+      i0, i1, i2,  -(i0 * a3 + i1 * a7 + i2 * a11),
+      i4, i5, i6,  -(i4 * a3 + i5 * a7 + i6 * a11),
+      i8, i9, i10, -(i8 * a3 + i9 * a7 + i10 * a11)
+    );
+  }
+
   // Transform the point |p| by the AffineMatrix |t|.
   function transformPoint(t, p) {
     return {
@@ -333,6 +365,155 @@ var Pre3d = (function() {
     };
   }
 
+  // Transform the vector |v| by the AffineMatrix |t|.  This is the same as
+  // transformPoint, except that the translation is ignored.
+  function transformVector(t, v) {
+    return {
+      x: t.e0 * v.x + t.e1 * v.y + t.e2  * v.z,
+      y: t.e4 * v.x + t.e5 * v.y + t.e6  * v.z,
+      z: t.e8 * v.x + t.e9 * v.y + t.e10 * v.z
+    };
+  }
+
+  // A Quaternion represents an orientation, as a rotation of |theta| around
+  // a unit axis, stored as (x, y, z) = axis * sin(theta/2), w = cos(theta/2).
+  // Unlike Euler angles, they don't suffer from gimbal lock, and they can be
+  // interpolated smoothly with slerp.  With no arguments it is the identity.
+  // http://en.wikipedia.org/wiki/Quaternions_and_spatial_rotation
+  function Quaternion(x, y, z, w) {
+    if (w === undefined) {
+      x = 0; y = 0; z = 0; w = 1;
+    }
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+  }
+
+  // Return a Quaternion for a rotation of |theta| radians around |axis|.  The
+  // axis doesn't need to be unit length.
+  Quaternion.fromAxisAngle = function(axis, theta) {
+    var a = unitVector3d(axis);
+    var s = Math.sin(theta / 2);
+    return new Quaternion(a.x * s, a.y * s, a.z * s, Math.cos(theta / 2));
+  };
+
+  // Return a Quaternion for the Euler angles |ax|, |ay| and |az|.  The order
+  // matches Transform, this is the same rotation as calling rotateX(ax),
+  // rotateY(ay), and then rotateZ(az) on an identity Transform.
+  Quaternion.fromEuler = function(ax, ay, az) {
+    var qx = new Quaternion(Math.sin(ax / 2), 0, 0, Math.cos(ax / 2));
+    var qy = new Quaternion(0, Math.sin(ay / 2), 0, Math.cos(ay / 2));
+    var qz = new Quaternion(0, 0, Math.sin(az / 2), Math.cos(az / 2));
+    return qz.multiply(qy).multiply(qx);
+  };
+
+  // Return a Quaternion for the rotation part of the AffineMatrix |m|.  The
+  // upper 3x3 should be a pure rotation (orthonormal, no scale).
+  // http://www.euclideanspace.com/maths/geometry/rotations/conversions/matrixToQuaternion/
+  Quaternion.fromAffineMatrix = function(m) {
+    var trace = m.e0 + m.e5 + m.e10;
+    var s;
+    if (trace > 0) {
+      s = 0.5 / Math.sqrt(trace + 1);
+      return new Quaternion((m.e9 - m.e6) * s, (m.e2 - m.e8) * s,
+                            (m.e4 - m.e1) * s, 0.25 / s);
+    } else if (m.e0 > m.e5 && m.e0 > m.e10) {
+      s = 2 * Math.sqrt(1 + m.e0 - m.e5 - m.e10);
+      return new Quaternion(0.25 * s, (m.e1 + m.e4) / s,
+                            (m.e2 + m.e8) / s, (m.e9 - m.e6) / s);
+    } else if (m.e5 > m.e10) {
+      s = 2 * Math.sqrt(1 + m.e5 - m.e0 - m.e10);
+      return new Quaternion((m.e1 + m.e4) / s, 0.25 * s,
+                            (m.e6 + m.e9) / s, (m.e2 - m.e8) / s);
+    } else {
+      s = 2 * Math.sqrt(1 + m.e10 - m.e0 - m.e5);
+      return new Quaternion((m.e2 + m.e8) / s, (m.e6 + m.e9) / s,
+                            0.25 * s, (m.e4 - m.e1) / s);
+    }
+  };
+
+  // Return the Hamilton product of this x |q|.  Like matrices, the rotation
+  // of |q| is applied first, followed by the rotation of this.
+  Quaternion.prototype.multiply = function(q) {
+    var ax = this.x, ay = this.y, az = this.z, aw = this.w;
+    var bx = q.x, by = q.y, bz = q.z, bw = q.w;
+    return new Quaternion(
+      aw * bx + ax * bw + ay * bz - az * by,
+      aw * by - ax * bz + ay * bw + az * bx,
+      aw * bz + ax * by - ay * bx + az * bw,
+      aw * bw - ax * bx - ay * by - az * bz
+    );
+  };
+
+  // Normalize to unit length, in place.  Repeatedly multiplying quaternions
+  // slowly accumulates error, so it's good to do this once in a while.
+  Quaternion.prototype.normalize = function() {
+    var mag = Math.sqrt(this.x * this.x + this.y * this.y +
+                        this.z * this.z + this.w * this.w);
+    if (mag === 0) {
+      this.x = 0; this.y = 0; this.z = 0; this.w = 1;
+      return;
+    }
+    var f = 1 / mag;
+    this.x *= f;
+    this.y *= f;
+    this.z *= f;
+    this.w *= f;
+  };
+
+  // Spherical linear interpolation, return the orientation |t| (0 .. 1) of
+  // the way between this and |q|, rotating at a constant speed.  This always
+  // takes the shorter of the two ways around.
+  Quaternion.prototype.slerp = function(q, t) {
+    var bx = q.x, by = q.y, bz = q.z, bw = q.w;
+    var cos_omega = this.x * bx + this.y * by + this.z * bz + this.w * bw;
+
+    // q and -q are the same orientation, pick the one that's closer.
+    if (cos_omega < 0) {
+      cos_omega = -cos_omega;
+      bx = -bx; by = -by; bz = -bz; bw = -bw;
+    }
+
+    var k0, k1;
+    if (cos_omega > 0.9999) {
+      // Very close, so sin(omega) is ~0.  Just lerp (and normalize below).
+      k0 = 1 - t;
+      k1 = t;
+    } else {
+      var omega = Math.acos(cos_omega);
+      var sin_omega = Math.sin(omega);
+      k0 = Math.sin((1 - t) * omega) / sin_omega;
+      k1 = Math.sin(t * omega) / sin_omega;
+    }
+
+    var res = new Quaternion(
+        this.x * k0 + bx * k1,
+        this.y * k0 + by * k1,
+        this.z * k0 + bz * k1,
+        this.w * k0 + bw * k1);
+    res.normalize();
+    return res;
+  };
+
+  // Return the rotation as an AffineMatrix.  The quaternion should be unit
+  // length, otherwise the matrix will also scale.
+  Quaternion.prototype.toAffineMatrix = function() {
+    var x = this.x, y = this.y, z = this.z, w = this.w;
+    var xx = x * x, yy = y * y, zz = z * z;
+    var xy = x * y, xz = x * z, yz = y * z;
+    var wx = w * x, wy = w * y, wz = w * z;
+    return new AffineMatrix(
+      1 - 2 * (yy + zz),     2 * (xy - wz),     2 * (xz + wy), 0,
+          2 * (xy + wz), 1 - 2 * (xx + zz),     2 * (yz - wx), 0,
+          2 * (xz - wy),     2 * (yz + wx), 1 - 2 * (xx + yy), 0
+    );
+  };
+
+  Quaternion.prototype.dup = function() {
+    return new Quaternion(this.x, this.y, this.z, this.w);
+  };
+
   // A Transform is a convenient wrapper around a AffineMatrix, and it is what
   // will be exposed for most transforms (camera, etc).
   function Transform() {
@@ -373,6 +554,24 @@ var Pre3d = (function() {
         multiplyAffine(this.m, makeRotateAffineZ(theta));
   };
 
+  // Rotate by the Quaternion |q|.
+  Transform.prototype.rotateQuaternion = function(q) {
+    this.m =
+        multiplyAffine(q.toAffineMatrix(), this.m);
+  };
+  Transform.prototype.rotateQuaternionPre = function(q) {
+    this.m =
+        multiplyAffine(this.m, q.toAffineMatrix());
+  };
+
+  // Rotate by |theta| radians around the vector |axis|.
+  Transform.prototype.rotateAxisAngle = function(axis, theta) {
+    this.rotateQuaternion(Quaternion.fromAxisAngle(axis, theta));
+  };
+  Transform.prototype.rotateAxisAnglePre = function(axis, theta) {
+    this.rotateQuaternionPre(Quaternion.fromAxisAngle(axis, theta));
+  };
+
   Transform.prototype.translate = function(dx, dy, dz) {
     this.m =
         multiplyAffine(makeTranslateAffine(dx, dy, dz), this.m);
@@ -407,6 +606,97 @@ var Pre3d = (function() {
     m.e2 = w.x; m.e6 = w.y; m.e10 = w.z;
   };
 
+  // Invert the transform, in place.  For example, inverting the camera
+  // transform gives a transform from camera space back to world space.
+  // Returns false, leaving the transform alone, if it isn't invertible.
+  Transform.prototype.invert = function() {
+    var m = invertAffine(this.m);
+    if (m === null)
+      return false;
+    this.m = m;
+    return true;
+  };
+
+  // Decompose the transform into a translation, a rotation, and a scale, so
+  // that it is the same as scale, then rotate, then translate.  Returns an
+  // object like {translation: {x, y, z}, rotation: Quaternion,
+  // scale: {x, y, z}}.  Any shear in the matrix is lost.  A zero scale
+  // flattens an axis, losing its direction.  With one flat axis, the
+  // rotation is recovered from the other two.  When that's not possible
+  // (two or three zero scales, or axes collapsed onto each other) the
+  // rotation is the identity.
+  Transform.prototype.decompose = function() {
+    var m = this.m;
+    var cx = {x: m.e0, y: m.e4, z: m.e8};
+    var cy = {x: m.e1, y: m.e5, z: m.e9};
+    var cz = {x: m.e2, y: m.e6, z: m.e10};
+    var sx = vecMag3d(cx);
+    var sy = vecMag3d(cy);
+    var sz = vecMag3d(cz);
+
+    // A negative determinant means a reflection, fold it into one scale.
+    var det = dotProduct3d(cx, crossProduct(cy, cz));
+    if (det < 0)
+      sx = -sx;
+
+    var rotation = new Quaternion();
+    if (det !== 0) {
+      rotation = quaternionFromAxes(
+          mulPoint3d(cx, 1 / sx), mulPoint3d(cy, 1 / sy),
+          mulPoint3d(cz, 1 / sz));
+    } else {
+      // The direction of a single flat axis is the cross product of the
+      // other two, as long as they aren't parallel.
+      var ux = sx === 0 ? null : unitVector3d(cx);
+      var uy = sy === 0 ? null : unitVector3d(cy);
+      var uz = sz === 0 ? null : unitVector3d(cz);
+      var flat = null;
+      if (ux === null && uy !== null && uz !== null) {
+        ux = flat = crossProduct(uy, uz);
+      } else if (uy === null && ux !== null && uz !== null) {
+        uy = flat = crossProduct(uz, ux);
+      } else if (uz === null && ux !== null && uy !== null) {
+        uz = flat = crossProduct(ux, uy);
+      }
+      if (flat !== null && vecMag3d(flat) > 1e-12)
+        rotation = quaternionFromAxes(ux, uy, uz);
+    }
+
+    return {
+      translation: {x: m.e3, y: m.e7, z: m.e11},
+      rotation: rotation,
+      scale: {x: sx, y: sy, z: sz}
+    };
+  };
+
+  // Return a unit Quaternion rotating the x, y, and z axes to the unit
+  // vectors |u|, |v|, and |w|.
+  function quaternionFromAxes(u, v, w) {
+    var rotation = Quaternion.fromAffineMatrix(new AffineMatrix(
+        u.x, v.x, w.x, 0,
+        u.y, v.y, w.y, 0,
+        u.z, v.z, w.z, 0));
+    rotation.normalize();
+    return rotation;
+  }
+
+  // Set this to a camera transform (world space to camera space) for an eye
+  // at |eye| looking at |target|.  The camera looks down -z, so this is the
+  // inverse of placing a camera with setDCM at |eye| with its z axis pointing
+  // away from |target|.  |up| is the rough up direction, and should not be
+  // parallel to the direction being looked in.
+  Transform.prototype.lookAt = function(eye, target, up) {
+    var w = unitVector3d(subPoints3d(eye, target));
+    var u = unitVector3d(crossProduct(up, w));
+    var v = crossProduct(w, u);
+
+    this.reset();
+    this.setDCM(u, v, w);
+    var m = this.m;
+    m.e3 = eye.x; m.e7 = eye.y; m.e11 = eye.z;
+    this.invert();
+  };
+
   Transform.prototype.dup = function() {
     // TODO(deanm): This should be better.
     var tm = new Transform();
@@ -525,6 +815,78 @@ var Pre3d = (function() {
     this.vertices = [ ];
     // Array of QuadFaces, the indices will point into |vertices|.
     this.quads = [ ];
+    // Optional array of unit normal vectors, one for each vertex.  These are
+    // used for smooth shading, see ShapeUtils.computeVertexNormals.
+    this.vertex_normals = null;
+    // Optional normals for the corners of the QuadFaces, for hard edges where
+    // a vertex needs more than one normal.  This has an array of indices into
+    // |vertex_normals| for each QuadFace, in the order i0, i1, i2 (, i3), or
+    // null for a QuadFace using the normals of its vertices.  The normals
+    // used only by corners come after the ones for the vertices.
+    this.quad_normals = null;
+    // The options vertex_normals were computed with, if they were computed
+    // by ShapeUtils.computeVertexNormals, so they can be recomputed the same
+    // way when the Shape changes.
+    this.vertex_normal_options = null;
+    // Optional texture coordinates, for example from ShapeUtils.parseOBJ.
+    // |uvs| is an array of {u, v}, from 0 .. 1 with v going up the image.
+    // |quad_uvs| has an array of indices into |uvs| for each QuadFace, in
+    // the order i0, i1, i2 (, i3), or null for a QuadFace without any.
+    this.uvs = null;
+    this.quad_uvs = null;
+    // Optional named groups of QuadFaces, an array of {name, quads}, where
+    // |quads| is an array of indices into |quads|.
+    this.groups = null;
+    // Optional array of RGBA colors, one for each vertex.  When set, each
+    // QuadFace is filled with the average color of its vertices, instead of
+    // the Renderer's fill_rgba.
+    this.vertex_colors = null;
+  }
+
+  // Rebuild the pre-computed "metadata", for the Shape |shape|.  This
+  // calculates the centroids and normal vectors for each QuadFace.  This is
+  // also ShapeUtils.rebuildMeta.
+  function rebuildShapeMeta(shape) {
+    var quads = shape.quads;
+    var num_quads = quads.length;
+    var vertices = shape.vertices;
+
+    // TODO: It's possible we could save some work here, we could mark the
+    // faces "dirty" which need their centroid or normal recomputed.  Right now
+    // if we do an operation on a single face, we rebuild all of them.  A
+    // simple scheme would be to track any writes to a QuadFace, and to set
+    // centroid / normal1 / normal2 to null.  This would also prevent bugs
+    // where you forget to call rebuildMeta() and used stale metadata.
+
+    for (var i = 0; i < num_quads; ++i) {
+      var qf = quads[i];
+
+      var centroid;
+      var n1, n2;
+
+      var vert0 = vertices[qf.i0];
+      var vert1 = vertices[qf.i1];
+      var vert2 = vertices[qf.i2];
+      var vec01 = subPoints3d(vert1, vert0);
+      var vec02 = subPoints3d(vert2, vert0);
+      var n1 = crossProduct(vec01, vec02);
+
+      if (qf.isTriangle()) {
+        n2 = n1;
+        centroid = averagePoints([vert0, vert1, vert2]);
+      } else {
+        var vert3 = vertices[qf.i3];
+        var vec03 = subPoints3d(vert3, vert0);
+        n2 = crossProduct(vec02, vec03);
+        centroid = averagePoints([vert0, vert1, vert2, vert3]);
+      }
+
+      qf.centroid = centroid;
+      qf.normal1 = n1;
+      qf.normal2 = n2;
+    }
+
+    return shape;
   }
 
   // A curve represents a bezier curve, either quadratic or cubic.  It is
@@ -568,9 +930,40 @@ var Pre3d = (function() {
   // A camera is represented by a transform, and a focal length.
   function Camera() {
     this.transform = new Transform();
+    // For a perspective projection, the canvas height covers -1 .. 1 at a
+    // distance of focal_length from the eye.  See also setFieldOfView.
     this.focal_length = 1;
+    // Use a parallel projection instead, for CAD-like or isometric views.
+    // The canvas height then covers -ortho_scale .. ortho_scale, no matter
+    // the distance.
+    this.orthographic = false;
+    this.ortho_scale = 1;
+    // Lens shift, for off-center projections.  The image is moved by this
+    // much, in units of half the canvas height (so 1 moves it by half the
+    // canvas height), without changing the perspective.
+    this.shift_x = 0;
+    this.shift_y = 0;
+    // Distance from the eye to the near and far clipping planes.  Geometry
+    // closer or further away from the camera than this is clipped away.
+    this.near = 1;
+    this.far = Infinity;
   }
 
+  // Set the focal length from the vertical field of view, in degrees.
+  Camera.prototype.setFieldOfView = function(degrees) {
+    this.focal_length = 1 / Math.tan(degrees * Math.PI / 360);
+  };
+
+  // Return the vertical field of view, in degrees.
+  Camera.prototype.fieldOfView = function() {
+    return Math.atan(1 / this.focal_length) * 360 / Math.PI;
+  };
+
+  // Point the camera from |eye| towards |target|, see Transform.lookAt.
+  Camera.prototype.lookAt = function(eye, target, up) {
+    this.transform.lookAt(eye, target, up);
+  };
+
   // TextureInfo is used to describe when and how a QuadFace should be
   // textured.  |image| should be something drawable by <canvas>, like a <img>
   // or another <canvas> element.  This also stores the 2d uv coordinates.
@@ -586,6 +979,79 @@ var Pre3d = (function() {
     this.v3 = null;
   };
 
+  // Lights.  All lights have a color |rgba| (the alpha is ignored) that is
+  // scaled by |intensity|.  The position or direction of a light is in world
+  // coordinates, so the light stays put as the camera moves around the scene.
+  // Setting |camera_space| to true instead interprets it in camera
+  // coordinates, so the light moves along with the camera (a headlight).
+  // All three types share the same properties, so the renderer can treat
+  // them uniformly, and check |type| to decide how to apply them.
+
+  // An AmbientLight lights every face equally, regardless of its orientation.
+  function AmbientLight(rgba, intensity) {
+    this.type = 'ambient';
+    this.rgba = rgba;
+    this.intensity = intensity;
+    this.camera_space = false;
+    this.direction = null;
+    this.position = null;
+  }
+
+  // A DirectionalLight is infinitely far away, all of its light travels in
+  // the same |direction|, for example {x: 0, y: -1, z: 0} shines downwards.
+  function DirectionalLight(direction, rgba, intensity) {
+    this.type = 'directional';
+    this.rgba = rgba;
+    this.intensity = intensity;
+    this.camera_space = false;
+    this.direction = direction;
+    this.position = null;
+  }
+
+  // A PointLight shines in all directions from |position|.
+  function PointLight(position, rgba, intensity) {
+    this.type = 'point';
+    this.rgba = rgba;
+    this.intensity = intensity;
+    this.camera_space = false;
+    this.direction = null;
+    this.position = position;
+  }
+
+  // The light used when the Renderer has no lights, a white headlight
+  // pointing straight down the camera's view (the negative z-axis).
+  var g_default_lights = [new DirectionalLight(
+      {x: 0, y: 0, z: -1}, new RGBA(1, 1, 1, 1), 1)];
+  g_default_lights[0].camera_space = true;
+
+  // A Material describes how a surface responds to light.  It can be set as
+  // render state on the Renderer, alongside (or instead of) fill_rgba.
+  //   - |diffuse_rgba| is the color under direct light.  If null, the
+  //     renderer's fill_rgba is used, so per-quad colors still work.
+  //   - |specular_rgba| is the color of the highlight, null for none.
+  //   - |shininess| is the Blinn-Phong exponent, higher is a smaller and
+  //     sharper highlight.
+  //   - |emissive_rgba| is a color added regardless of lighting, null for
+  //     none.
+  //   - |opacity| scales the alpha of the diffuse color.
+  function Material() {
+    this.diffuse_rgba = null;
+    this.specular_rgba = new RGBA(1, 1, 1, 1);
+    this.shininess = 32;
+    this.emissive_rgba = null;
+    this.opacity = 1;
+  }
+
+  Material.prototype.dup = function() {
+    var m = new Material();
+    m.diffuse_rgba = this.diffuse_rgba;
+    m.specular_rgba = this.specular_rgba;
+    m.shininess = this.shininess;
+    m.emissive_rgba = this.emissive_rgba;
+    m.opacity = this.opacity;
+    return m;
+  };
+
   // This is the guts, drawing 3d onto a <canvas> element.  This class does a
   // few things:
   //   - Manage the render state, things like colors, transforms, camera, etc.
@@ -605,25 +1071,57 @@ var Pre3d = (function() {
   // NOTE: Some things, such as colors, as copied into the buffered state as
   // a reference.  If you want to update the color on the render state, you
   // should replace it with a new color.  Modifying the original will modify
-  // it for objects that have already been buffered.  Same holds for textures.
+  // it for objects that have already been buffered.  Same holds for textures
+  // and materials.
   function Renderer(canvas_element) {
     // Should we z-sort for painters back to front.
     this.perform_z_sorting = true;
+    // Should we instead sort with a BSP tree.  This splits quads that
+    // intersect or overlap in depth, so the painting order is correct, but it
+    // is much slower, and is better suited for static scenes.  When enabled,
+    // this takes precedence over perform_z_sorting.
+    this.perform_bsp_sorting = false;
     // Should we inflate quads to visually cover up antialiasing gaps.
     this.draw_overdraw = true;
     // Should we skip backface culling.
     this.draw_backfaces = false;
+    // Should we smooth shade, lighting each vertex with the Shape's
+    // vertex_normals and filling with a gradient.  Shapes without
+    // vertex_normals are always flat shaded.
+    this.smooth_shading = false;
 
     this.texture = null;
     this.fill_rgba = new RGBA(1, 0, 0, 1);
+    // An optional Material, adding specular highlights, emission, etc.
+    this.material = null;
 
     this.stroke_rgba = null;
 
     this.normal1_rgba = null;
     this.normal2_rgba = null;
 
+    // The lights illuminating the scene, AmbientLight, DirectionalLight and
+    // PointLight objects.  Unlike the rest of the render state, lights are
+    // applied when a shape is buffered, not captured by reference.  With no
+    // lights there is a single white headlight, so unlit scenes still shade.
+    //   renderer.lights.push(new Pre3d.DirectionalLight(
+    //       {x: 0, y: -1, z: 0}, new Pre3d.RGBA(1, 1, 1, 1), 0.8));
+    this.lights = [ ];
+
+    // The canvas can also be a plain object like {width: 800, height: 600},
+    // for rendering without a DOM, then ctx is null and a backend like
+    // Pre3d.SVGBackend must be used to draw.
     this.canvas = canvas_element;
-    this.ctx = canvas_element.getContext('2d');
+    this.ctx = canvas_element.getContext !== undefined ?
+        canvas_element.getContext('2d') : null;
+
+    // An optional alternative backend for drawBuffer, for example a
+    // Pre3d.ZBufferBackend.  A backend has a drawBuffer(renderer, quads)
+    // method, which is passed the buffered quads in painting order, still in
+    // camera coordinates.  When null, quads are painted as <canvas> paths.
+    // A backend can also have a drawPath(renderer, start_point,
+    // screen_points, curves, opts) method, to take over drawPath.
+    this.backend = null;
 
     // The camera.
     this.camera = new Camera();
@@ -651,34 +1149,35 @@ var Pre3d = (function() {
     this.xoff_ = this.width_ / 2;
 
     this.buffered_quads_ = null;
+    this.drawn_quads_ = [ ];
     this.emptyBuffer();
 
     // We prefer these functions as they avoid the CSS color parsing path, but
     // if they're not available (Firefox), then augment the ctx to fall back.
-    if (this.ctx.setStrokeColor == null) {
+    if (this.ctx !== null && this.ctx.setStrokeColor == null) {
       this.ctx.setStrokeColor = function setStrokeColor(r, g, b, a) {
-        var rgba = [
-          Math.floor(r * 255),
-          Math.floor(g * 255),
-          Math.floor(b * 255),
-          a
-        ];
-        this.strokeStyle = 'rgba(' + rgba.join(',') + ')';
+        this.strokeStyle = cssColorString(r, g, b, a);
       }
     }
-    if (this.ctx.setFillColor == null) {
+    if (this.ctx !== null && this.ctx.setFillColor == null) {
       this.ctx.setFillColor = function setFillColor(r, g, b, a) {
-        var rgba = [
-          Math.floor(r * 255),
-          Math.floor(g * 255),
-          Math.floor(b * 255),
-          a
-        ];
-        this.fillStyle = 'rgba(' + rgba.join(',') + ')';
+        this.fillStyle = cssColorString(r, g, b, a);
       }
     }
   }
 
+  // Return a CSS color string like 'rgba(255,0,0,1)' for the 0 .. 1 color
+  // components |r|, |g|, |b|, and |a|.
+  function cssColorString(r, g, b, a) {
+    var rgba = [
+      Math.floor(r * 255),
+      Math.floor(g * 255),
+      Math.floor(b * 255),
+      a
+    ];
+    return 'rgba(' + rgba.join(',') + ')';
+  }
+
   Renderer.prototype.pushTransform = function() {
     this.transform_stack_.push(this.transform.dup());
   };
@@ -697,18 +1196,20 @@ var Pre3d = (function() {
   // http://en.wikipedia.org/wiki/Pinhole_camera_model
   //
   // Project the 3d point |p| to a point in 2d.
-  // Takes the current focal_length_ in account.
+  // Takes the current camera projection settings in account.
   Renderer.prototype.projectPointToCanvas = function projectPointToCanvas(p) {
+    var camera = this.camera;
     // We're looking down the z-axis in the negative direction...
-    var v = this.camera.focal_length / -p.z;
+    var v = camera.orthographic === true ?
+        1 / camera.ortho_scale : camera.focal_length / -p.z;
     var scale = this.scale_;
     // Map the height to -1 .. 1, and the width to maintain aspect.
-    return {x: p.x * v * scale + this.xoff_,
-            y: p.y * v * -scale + scale};
+    return {x: (p.x * v + camera.shift_x) * scale + this.xoff_,
+            y: (p.y * v + camera.shift_y) * -scale + scale};
   };
 
   // Project a 3d point onto the 2d canvas surface (pixel coordinates).
-  // Takes the current focal_length in account.
+  // Takes the current camera projection settings in account.
   // TODO: flatten this calculation so we don't need make a method call.
   Renderer.prototype.projectPointsToCanvas =
       function projectPointsToCanvas(ps) {
@@ -729,6 +1230,13 @@ var Pre3d = (function() {
     return qf;
   };
 
+  // Return the color {r, g, b, a} to fill the buffered quad |obj| with, lit
+  // by |light|, which is either obj.light or one of obj.vertex_lights.
+  // Returns null if the quad isn't filled.  This is mostly for backends.
+  Renderer.prototype.fillColorForQuad = function(obj, light) {
+    return computeFillColor(obj.fill_rgba, obj.material, light);
+  };
+
   // Textured triangle drawing by Thatcher Ulrich.  Draw a triangle portion of
   // an image, with the source (uv coordinates) mapped to screen x/y
   // coordinates.  A transformation matrix for this mapping is calculated, so
@@ -793,8 +1301,408 @@ var Pre3d = (function() {
     ctx.restore();
   }
 
-  // A unit vector down the z-axis.
-  var g_z_axis_vector = {x: 0, y: 0, z: 1};
+  // Map the lights |lights| into camera coordinates, as described by the
+  // camera transform |ct|.  Returns a new array of objects like:
+  //   {type: 'point', r: 1, g: 1, b: 1, direction: null, position: {...}}
+  // where r, g, b are the light color already scaled by the intensity, and
+  // directions are unit vectors pointing back towards the light.
+  function prepareLights(lights, ct) {
+    var out = [ ];
+    for (var i = 0, il = lights.length; i < il; ++i) {
+      var light = lights[i];
+      var rgba = light.rgba;
+      var intensity = light.intensity;
+      var direction = null;
+      var position = null;
+
+      if (light.type === 'directional') {
+        direction = light.direction;
+        if (light.camera_space !== true)
+          direction = transformVector(ct, direction);
+        direction = unitVector3d(mulPoint3d(direction, -1));
+      } else if (light.type === 'point') {
+        position = light.position;
+        if (light.camera_space !== true)
+          position = transformPoint(ct, position);
+      }
+
+      out.push({
+        type: light.type,
+        r: rgba.r * intensity,
+        g: rgba.g * intensity,
+        b: rgba.b * intensity,
+        direction: direction,
+        position: position
+      });
+    }
+    return out;
+  }
+
+  // Calculate the light reaching the point |p| with the unit normal |n|, from
+  // the lights |lights| as returned by prepareLights().  The result is the
+  // diffuse light color {r, g, b}, and the specular light color {sr, sg, sb}.
+  // The specular term is Blinn-Phong with the exponent |shininess|, looking
+  // from the eye at the origin, or from down +z when |orthographic| is true.
+  // A |shininess| of 0 skips the specular work.
+  var kOrthoEyeVec = {x: 0, y: 0, z: 1};
+
+  function computeLighting(lights, p, n, shininess, orthographic) {
+    var r = 0, g = 0, b = 0;
+    var sr = 0, sg = 0, sb = 0;
+    var eye_vec = null;
+    if (shininess > 0) {
+      // With a parallel projection, the eye is infinitely far away down +z.
+      eye_vec = orthographic === true ?
+          kOrthoEyeVec : unitVector3d(mulPoint3d(p, -1));
+    }
+
+    for (var i = 0, il = lights.length; i < il; ++i) {
+      var light = lights[i];
+      var light_vec;
+
+      if (light.type === 'ambient') {
+        r += light.r;
+        g += light.g;
+        b += light.b;
+        continue;
+      } else if (light.type === 'directional') {
+        light_vec = light.direction;
+      } else {  // Point.
+        light_vec = unitVector3d(subPoints3d(light.position, p));
+      }
+
+      var d = dotProduct3d(light_vec, n);
+      if (d <= 0)
+        continue;
+
+      r += light.r * d;
+      g += light.g * d;
+      b += light.b * d;
+
+      if (eye_vec !== null) {
+        var half_vec = unitVector3d(addPoints3d(light_vec, eye_vec));
+        var s = dotProduct3d(half_vec, n);
+        if (s > 0) {
+          s = Math.pow(s, shininess);
+          sr += light.r * s;
+          sg += light.g * s;
+          sb += light.b * s;
+        }
+      }
+    }
+
+    return {r: r, g: g, b: b, sr: sr, sg: sg, sb: sb};
+  }
+
+  // Clamp |x| to the range 0 .. 1.
+  function clamp01(x) {
+    return x < 0 ? 0 : (x > 1 ? 1 : x);
+  }
+
+  // Combine the fill color |fill_rgba|, the Material |material| (or null),
+  // and the light |light| from computeLighting() into the final color
+  // {r, g, b, a} to paint.  Returns null if there is nothing to fill.
+  function computeFillColor(fill_rgba, material, light) {
+    if (material === null) {
+      if (fill_rgba === null)
+        return null;
+      return {
+        r: clamp01(fill_rgba.r * light.r),
+        g: clamp01(fill_rgba.g * light.g),
+        b: clamp01(fill_rgba.b * light.b),
+        a: fill_rgba.a
+      };
+    }
+
+    var diffuse = material.diffuse_rgba !== null ?
+        material.diffuse_rgba : fill_rgba;
+    if (diffuse === null)
+      return null;
+
+    var r = diffuse.r * light.r;
+    var g = diffuse.g * light.g;
+    var b = diffuse.b * light.b;
+
+    var specular = material.specular_rgba;
+    if (specular !== null) {
+      r += specular.r * light.sr;
+      g += specular.g * light.sg;
+      b += specular.b * light.sb;
+    }
+
+    var emissive = material.emissive_rgba;
+    if (emissive !== null) {
+      r += emissive.r;
+      g += emissive.g;
+      b += emissive.b;
+    }
+
+    return {r: clamp01(r), g: clamp01(g), b: clamp01(b),
+            a: diffuse.a * material.opacity};
+  }
+
+  // Canvas can only fill with linear gradients, not interpolate colors across
+  // a polygon.  We approximate Gouraud shading by finding the direction that
+  // the brightness changes across the screen, using the plane through the
+  // first three vertices, and running a gradient along it from the darkest
+  // to the brightest vertex.  This is exact for a triangle lit by white
+  // lights, and a reasonable approximation otherwise.  |qf| is the buffered
+  // quad's QuadFace, already projected to the canvas.  Returns the gradient
+  // as {x0, y0, x1, y1, c0, c1}, with the colors c0 and c1 at the two end
+  // points, or null if the quad should just be filled flat.
+  Renderer.prototype.smoothGradientForQuad = function(obj, qf) {
+    var vertex_lights = obj.vertex_lights;
+    var points = [qf.i0, qf.i1, qf.i2];
+    if (qf.isTriangle() !== true)
+      points.push(qf.i3);
+
+    var colors = Array(points.length);
+    var values = Array(points.length);
+    var min_k = 0, max_k = 0;
+    for (var k = 0, kl = points.length; k < kl; ++k) {
+      var c = computeFillColor(obj.fill_rgba, obj.material, vertex_lights[k]);
+      colors[k] = c;
+      // Perceived brightness, so the gradient follows what the eye sees.
+      values[k] = c.r * 0.299 + c.g * 0.587 + c.b * 0.114;
+      if (values[k] < values[min_k]) min_k = k;
+      if (values[k] > values[max_k]) max_k = k;
+    }
+
+    // Solve for the brightness gradient (a, b) in screen space.
+    var p0 = points[0], p1 = points[1], p2 = points[2];
+    var dx1 = p1.x - p0.x, dy1 = p1.y - p0.y, dv1 = values[1] - values[0];
+    var dx2 = p2.x - p0.x, dy2 = p2.y - p0.y, dv2 = values[2] - values[0];
+    var det = dx1 * dy2 - dx2 * dy1;
+    var a = 0, b = 0;
+    if (det !== 0) {
+      a = (dv1 * dy2 - dv2 * dy1) / det;
+      b = (dx1 * dv2 - dx2 * dv1) / det;
+    }
+    var mag2 = a * a + b * b;
+
+    // No change in brightness (or a degenerate polygon).
+    if (mag2 < 1e-12)
+      return null;
+
+    var start = points[min_k];
+    var f = (values[max_k] - values[min_k]) / mag2;
+    return {
+      x0: start.x,
+      y0: start.y,
+      x1: start.x + a * f,
+      y1: start.y + b * f,
+      c0: colors[min_k],
+      c1: colors[max_k]
+    };
+  };
+
+  // Clipping.  The view frustum is described by 6 planes, the near and far
+  // planes, and the 4 planes through the edges of the canvas.  These go
+  // through the eye for a perspective projection, and are parallel to the
+  // z-axis for an orthographic one.  An outcode is a bitmask of which planes
+  // a camera space point is outside of.
+  var kClipNear   = 1;
+  var kClipLeft   = 2;
+  var kClipRight  = 4;
+  var kClipBottom = 8;
+  var kClipTop    = 16;
+  var kClipFar    = 32;
+
+  // Return the frustum of |camera|, as used by frustumOutcode.  |aspect| is
+  // the canvas width / height.
+  function cameraFrustum(camera, aspect) {
+    var orthographic = camera.orthographic === true;
+    return {
+      near: camera.near,
+      far: camera.far,
+      orthographic: orthographic,
+      k: orthographic ? 1 / camera.ortho_scale : camera.focal_length,
+      shift_x: camera.shift_x,
+      shift_y: camera.shift_y,
+      aspect: aspect
+    };
+  }
+
+  // Calculate the outcode for the camera space point |p| in the frustum |f|.
+  // This is the same math as projectPointToCanvas, the point is inside when
+  // it projects to -aspect .. aspect horizontally and -1 .. 1 vertically.
+  // It's all multiplied through by w, to not divide by a possibly 0 depth.
+  function frustumOutcode(p, f) {
+    var code = 0;
+    var d = -p.z;  // We're looking down the negative z-axis.
+    if (d < f.near) code |= kClipNear;
+    if (d > f.far) code |= kClipFar;
+    var w = f.orthographic === true ? 1 : d;
+    var x = p.x * f.k + f.shift_x * w;
+    var y = p.y * f.k + f.shift_y * w;
+    if (x < -f.aspect * w) code |= kClipLeft;
+    if (x > f.aspect * w) code |= kClipRight;
+    if (y < -w) code |= kClipBottom;
+    if (y > w) code |= kClipTop;
+    return code;
+  }
+
+  // The clipping and splitting code works on buffered quads as a polygon, an
+  // array of vertices with everything that needs to be interpolated along
+  // an edge.  Each vertex looks like:
+  //   {p: {x, y, z}, u: 0, v: 0, light: {...} or null}
+  function bufferedQuadToPolygon(obj) {
+    var qf = obj.qf;
+    var texture = obj.texture;
+    var vertex_lights = obj.vertex_lights;
+    var is_triangle = qf.isTriangle();
+
+    var points = [qf.i0, qf.i1, qf.i2];
+    var us = null, vs = null;
+    if (texture !== null) {
+      us = [texture.u0, texture.u1, texture.u2];
+      vs = [texture.v0, texture.v1, texture.v2];
+    }
+    if (is_triangle !== true) {
+      points.push(qf.i3);
+      if (texture !== null) {
+        us.push(texture.u3);
+        vs.push(texture.v3);
+      }
+    }
+
+    var poly = Array(points.length);
+    for (var i = 0, il = points.length; i < il; ++i) {
+      poly[i] = {
+        p: points[i],
+        u: us === null ? 0 : us[i],
+        v: vs === null ? 0 : vs[i],
+        light: vertex_lights === null ? null : vertex_lights[i]
+      };
+    }
+    return poly;
+  }
+
+  // Interpolate between the polygon vertices |a| and |b| at position |d|.
+  function interpolatePolygonVertex(a, b, d) {
+    var light = null;
+    var la = a.light, lb = b.light;
+    if (la !== null) {
+      light = {
+        r: linearInterpolate(la.r, lb.r, d),
+        g: linearInterpolate(la.g, lb.g, d),
+        b: linearInterpolate(la.b, lb.b, d),
+        sr: linearInterpolate(la.sr, lb.sr, d),
+        sg: linearInterpolate(la.sg, lb.sg, d),
+        sb: linearInterpolate(la.sb, lb.sb, d)
+      };
+    }
+    return {
+      p: linearInterpolatePoints3d(a.p, b.p, d),
+      u: linearInterpolate(a.u, b.u, d),
+      v: linearInterpolate(a.v, b.v, d),
+      light: light
+    };
+  }
+
+  // Clip the polygon |poly| against the plane with normal |n| and offset |d|,
+  // keeping the part where dot(n, p) + d >= 0.  Sutherland-Hodgman, returns
+  // a new polygon, which has fewer than 3 vertices if it was clipped away.
+  function clipPolygonToPlane(poly, n, d) {
+    var out = [ ];
+    var num = poly.length;
+    var prev = poly[num - 1];
+    var prev_dist = dotProduct3d(n, prev.p) + d;
+    for (var i = 0; i < num; ++i) {
+      var cur = poly[i];
+      var cur_dist = dotProduct3d(n, cur.p) + d;
+      if ((prev_dist >= 0) !== (cur_dist >= 0)) {
+        out.push(interpolatePolygonVertex(
+            prev, cur, prev_dist / (prev_dist - cur_dist)));
+      }
+      if (cur_dist >= 0)
+        out.push(cur);
+      prev = cur;
+      prev_dist = cur_dist;
+    }
+    return out;
+  }
+
+  // Turn the polygon |poly| back into buffered quads, pushing them onto
+  // |out|.  The render state is copied from the buffered quad |obj|.  The
+  // polygon is convex, so it is split in a fan of quads and a triangle.
+  function polygonToBufferedQuads(obj, poly, out) {
+    var src_qf = obj.qf;
+    var src_texture = obj.texture;
+    var v0 = poly[0];
+
+    for (var i = 1, il = poly.length; i < il - 1; i += 2) {
+      var v1 = poly[i], v2 = poly[i + 1];
+      var v3 = i + 2 < il ? poly[i + 2] : null;
+
+      var qf;
+      if (v3 === null) {
+        qf = new QuadFace(v0.p, v1.p, v2.p, null);
+        qf.centroid = averagePoints([v0.p, v1.p, v2.p]);
+      } else {
+        qf = new QuadFace(v0.p, v1.p, v2.p, v3.p);
+        qf.centroid = averagePoints([v0.p, v1.p, v2.p, v3.p]);
+      }
+      qf.normal1 = src_qf.normal1;
+      qf.normal2 = src_qf.normal2;
+
+      var texture = null;
+      if (src_texture !== null) {
+        texture = new TextureInfo();
+        texture.image = src_texture.image;
+        texture.u0 = v0.u; texture.v0 = v0.v;
+        texture.u1 = v1.u; texture.v1 = v1.v;
+        texture.u2 = v2.u; texture.v2 = v2.v;
+        if (v3 !== null) {
+          texture.u3 = v3.u; texture.v3 = v3.v;
+        }
+      }
+
+      var vertex_lights = null;
+      if (obj.vertex_lights !== null) {
+        vertex_lights = [v0.light, v1.light, v2.light];
+        if (v3 !== null)
+          vertex_lights.push(v3.light);
+      }
+
+      out.push({
+        qf: qf,
+        light: obj.light,
+        vertex_lights: vertex_lights,
+        draw_overdraw: obj.draw_overdraw,
+        texture: texture,
+        fill_rgba: obj.fill_rgba,
+        material: obj.material,
+        stroke_rgba: obj.stroke_rgba,
+        normal1_rgba: obj.normal1_rgba,
+        normal2_rgba: obj.normal2_rgba,
+        shape: obj.shape,
+        quad_index: obj.quad_index,
+        transform: obj.transform
+      });
+    }
+  }
+
+  // Return a new RGBA of the average of the colors |vertex_colors| at the
+  // vertices of the QuadFace |qf|.  Vertices without a color are left out,
+  // and if none of them have one, returns null.
+  function averageVertexColors(vertex_colors, qf) {
+    var indices = qf.isTriangle() === true ? [qf.i0, qf.i1, qf.i2] :
+        [qf.i0, qf.i1, qf.i2, qf.i3];
+    var r = 0, g = 0, b = 0, a = 0, n = 0;
+    for (var i = 0, il = indices.length; i < il; ++i) {
+      var c = vertex_colors[indices[i]];
+      if (c === undefined || c === null)
+        continue;
+      r += c.r; g += c.g; b += c.b; a += c.a;
+      ++n;
+    }
+    return n === 0 ? null : new RGBA(r / n, g / n, b / n, a / n);
+  }
+
+  var kNearPlaneNormal = {x: 0, y: 0, z: -1};
+  var kFarPlaneNormal = {x: 0, y: 0, z: 1};
+  var kOrthoViewVec = {x: 0, y: 0, z: -1};
 
   // Put a shape into the draw buffer, transforming it by the current camera,
   // applying any current render state, etc.
@@ -802,6 +1710,10 @@ var Pre3d = (function() {
     var draw_backfaces = this.draw_backfaces;
     var quad_callback = this.quad_callback;
 
+    var lights = prepareLights(
+        this.lights.length === 0 ? g_default_lights : this.lights,
+        this.camera.transform.m);
+
     // Our vertex transformation matrix.
     var t = multiplyAffine(this.camera.transform.m,
                            this.transform.m);
@@ -816,6 +1728,18 @@ var Pre3d = (function() {
     var world_vertices = transformPoints(t, shape.vertices);
     var quads = shape.quads;
 
+    // Where each vertex is relative to the view frustum.
+    var frustum = cameraFrustum(this.camera, this.xoff_ / this.scale_);
+    var orthographic = frustum.orthographic;
+    var outcodes = Array(world_vertices.length);
+    for (var i = 0, il = world_vertices.length; i < il; ++i)
+      outcodes[i] = frustumOutcode(world_vertices[i], frustum);
+
+    var vertex_normals = this.smooth_shading === true ?
+        shape.vertex_normals : null;
+    var quad_normals = vertex_normals !== null ? shape.quad_normals : null;
+    var vertex_colors = shape.vertex_colors;
+
     for (var j = 0, jl = shape.quads.length; j < jl; ++j) {
       var qf = quads[j];
 
@@ -825,13 +1749,19 @@ var Pre3d = (function() {
       if (quad_callback !== null && quad_callback(qf, j, shape) === true)
         continue;
 
-      var centroid = transformPoint(t, qf.centroid);
-
-      // Cull quads that are behind the camera.
-      // TODO(deanm): this should probably involve the focal point?
-      if (centroid.z >= -1)
+      // Cull quads that are completely outside of the view frustum, which is
+      // when all of the vertices are outside of the same plane.
+      var and_code = outcodes[qf.i0] & outcodes[qf.i1] & outcodes[qf.i2];
+      var or_code = outcodes[qf.i0] | outcodes[qf.i1] | outcodes[qf.i2];
+      if (qf.isTriangle() !== true) {
+        and_code &= outcodes[qf.i3];
+        or_code |= outcodes[qf.i3];
+      }
+      if (and_code !== 0)
         continue;
 
+      var centroid = transformPoint(t, qf.centroid);
+
       // NOTE: The transform tn isn't going to always keep the vectors unit
       // length, so n1 and n2 should be normalized if needed.
       // We unit vector n1 (for lighting, etc).
@@ -841,18 +1771,50 @@ var Pre3d = (function() {
       // Backface culling.  I'm not sure the exact right way to do this, but
       // this seems to look ok, following the eye from the origin.  We look
       // at the normals of the triangulated quad, and make sure at least one
-      // is point towards the camera...
+      // is point towards the camera...  With a parallel projection we are
+      // looking straight down -z everywhere.
+      var view_vec = orthographic === true ? kOrthoViewVec : centroid;
       if (draw_backfaces !== true &&
-          dotProduct3d(centroid, n1) > 0 &&
-          dotProduct3d(centroid, n2) > 0) {
+          dotProduct3d(view_vec, n1) > 0 &&
+          dotProduct3d(view_vec, n2) > 0) {
         continue;
       }
 
-      // Lighting intensity is just based on just one of the normals pointing
-      // towards the camera.  Should do something better here someday...
-      var intensity = dotProduct3d(g_z_axis_vector, n1);
-      if (intensity < 0)
-        intensity = 0;
+      // Per-vertex colors give each quad the average color of its vertices,
+      // the same as if a quad_callback had set a new fill_rgba.  A null
+      // fill_rgba still means not to fill at all, and a quad without any
+      // vertex colors keeps the fill_rgba.
+      var fill_rgba = this.fill_rgba;
+      if (vertex_colors !== null && fill_rgba !== null) {
+        var vertex_rgba = averageVertexColors(vertex_colors, qf);
+        if (vertex_rgba !== null)
+          fill_rgba = vertex_rgba;
+      }
+
+      // Lighting is based on just one of the normals, at the centroid.  The
+      // color of the light is applied to the fill color in drawBuffer.
+      var material = this.material;
+      var shininess = (material !== null && material.specular_rgba !== null) ?
+          material.shininess : 0;
+      var light = computeLighting(lights, centroid, n1, shininess,
+                                  orthographic);
+
+      // For smooth shading we also light each vertex with its own normal,
+      // or the normal of the corner, see Shape.quad_normals.
+      var vertex_lights = null;
+      if (vertex_normals !== null) {
+        var corners = qf.isTriangle() === true ? [qf.i0, qf.i1, qf.i2] :
+            [qf.i0, qf.i1, qf.i2, qf.i3];
+        var normal_indices = (quad_normals !== null &&
+                              quad_normals[j] !== null) ?
+            quad_normals[j] : corners;
+        vertex_lights = Array(corners.length);
+        for (var k = 0, kl = corners.length; k < kl; ++k) {
+          var vn = vertex_normals[normal_indices[k]];
+          vertex_lights[k] = computeLighting(lights, world_vertices[corners[k]],
+              unitVector3d(transformPoint(tn, vn)), shininess, orthographic);
+        }
+      }
 
       // We map the quad into world coordinates, and also replace the indices
       // with the actual points.
@@ -880,16 +1842,36 @@ var Pre3d = (function() {
 
       var obj = {
         qf: world_qf,
-        intensity: intensity,
+        light: light,
+        vertex_lights: vertex_lights,
         draw_overdraw: this.draw_overdraw,
         texture: this.texture,
-        fill_rgba: this.fill_rgba,
+        fill_rgba: fill_rgba,
+        material: material,
         stroke_rgba: this.stroke_rgba,
         normal1_rgba: this.normal1_rgba,
-        normal2_rgba: this.normal2_rgba
+        normal2_rgba: this.normal2_rgba,
+        // Where the quad came from, for pick().  |transform| takes the
+        // object space of |shape| to camera space.
+        shape: shape,
+        quad_index: j,
+        transform: t
       };
 
-      this.buffered_quads_.push(obj);
+      // Quads crossing the near or far plane are clipped, and the remaining
+      // part of the polygon is split back into quads.  We don't need to clip
+      // against the other planes, the canvas will handle drawing off the
+      // edges.
+      if ((or_code & (kClipNear | kClipFar)) !== 0) {
+        var poly = bufferedQuadToPolygon(obj);
+        if ((or_code & kClipNear) !== 0)
+          poly = clipPolygonToPlane(poly, kNearPlaneNormal, -frustum.near);
+        if ((or_code & kClipFar) !== 0)
+          poly = clipPolygonToPlane(poly, kFarPlaneNormal, frustum.far);
+        polygonToBufferedQuads(obj, poly, this.buffered_quads_);
+      } else {
+        this.buffered_quads_.push(obj);
+      }
     }
   };
 
@@ -898,6 +1880,119 @@ var Pre3d = (function() {
     return x.qf.centroid.z - y.qf.centroid.z;
   }
 
+  // BSP tree sorting.  Each node of the tree is a plane (taken from one of
+  // the quads), with all of the quads lying in that plane, and subtrees for
+  // the quads in front and behind it.  Quads crossing the plane are split.
+  // Walking the tree, always visiting the side away from the eye first,
+  // gives a correct back to front ordering.
+  // Reference: "On Visible Surface Generation by A Priori Tree Structures"
+  // by Fuchs, Kedem, and Naylor.
+  var kBSPEpsilon = 1e-5;
+
+  // The tree is built and walked with an explicit stack, not recursion.  A
+  // convex shape never splits, each quad is behind all of the others, so
+  // the tree is as deep as the number of quads.
+  function buildBSPTree(objs) {
+    var root = null;
+    // Each entry is the quads for a subtree, and where to attach it.
+    var stack = [{objs: objs, parent: null, side: null}];
+
+    while (stack.length !== 0) {
+      var entry = stack.pop();
+      var entry_objs = entry.objs;
+      if (entry_objs.length === 0)
+        continue;
+
+      // Just use the first quad as the splitting plane.
+      var splitter = entry_objs[0].qf;
+      var n = splitter.normal1;
+      var d = -dotProduct3d(n, splitter.centroid);
+      var neg_n = mulPoint3d(n, -1);
+
+      var coplanar = [entry_objs[0]];
+      var front = [ ];
+      var back = [ ];
+
+      for (var i = 1, il = entry_objs.length; i < il; ++i) {
+        var obj = entry_objs[i];
+        var qf = obj.qf;
+        var num_front = 0, num_back = 0;
+
+        var points = [qf.i0, qf.i1, qf.i2];
+        if (qf.isTriangle() !== true)
+          points.push(qf.i3);
+        for (var j = 0, jl = points.length; j < jl; ++j) {
+          var dist = dotProduct3d(n, points[j]) + d;
+          if (dist > kBSPEpsilon) {
+            ++num_front;
+          } else if (dist < -kBSPEpsilon) {
+            ++num_back;
+          }
+        }
+
+        if (num_front === 0 && num_back === 0) {
+          coplanar.push(obj);
+        } else if (num_back === 0) {
+          front.push(obj);
+        } else if (num_front === 0) {
+          back.push(obj);
+        } else {
+          var poly = bufferedQuadToPolygon(obj);
+          polygonToBufferedQuads(obj, clipPolygonToPlane(poly, n, d), front);
+          polygonToBufferedQuads(
+              obj, clipPolygonToPlane(poly, neg_n, -d), back);
+        }
+      }
+
+      var node = {n: n, d: d, quads: coplanar, front: null, back: null};
+      if (entry.parent === null) {
+        root = node;
+      } else {
+        entry.parent[entry.side] = node;
+      }
+      stack.push({objs: front, parent: node, side: 'front'});
+      stack.push({objs: back, parent: node, side: 'back'});
+    }
+
+    return root;
+  }
+
+  // Append the quads of the BSP tree |root| to |out|, in back to front order
+  // as seen from the eye at the origin, or from infinitely far down +z when
+  // |orthographic| is true.
+  function walkBSPTree(root, orthographic, out) {
+    // Each entry is a node, and whether to append its own quads, or to
+    // visit its subtrees.  Pushed in reverse, so the far side comes first.
+    var stack = [root];
+    var emit = [false];
+
+    while (stack.length !== 0) {
+      var node = stack.pop();
+      if (emit.pop() === true) {
+        for (var i = 0, il = node.quads.length; i < il; ++i)
+          out.push(node.quads[i]);
+        continue;
+      }
+      if (node === null)
+        continue;
+
+      // The eye is at the origin, so which side it is on is just the sign of
+      // d.  For a parallel projection it's the direction the plane is facing.
+      var eye_in_front = orthographic === true ? node.n.z > 0 : node.d > 0;
+      stack.push(eye_in_front ? node.front : node.back, node,
+                 eye_in_front ? node.back : node.front);
+      emit.push(false, true, false);
+    }
+  }
+
+  // Return a new array of the buffered quads |objs| in painting order,
+  // splitting any quads that can't otherwise be ordered correctly.
+  function bspSortBufferedQuads(objs, orthographic) {
+    var out = [ ];
+    walkBSPTree(buildBSPTree(objs), orthographic, out);
+    return out;
+  }
+
   // Paint the background.  You should setup the fill color on ctx.
   Renderer.prototype.drawBackground = function() {
     this.ctx.fillRect(0, 0, this.width_, this.height_);
@@ -917,13 +2012,31 @@ var Pre3d = (function() {
     // Sort the quads by z-index for painters algorithm :(
     // We're looking down the z-axis in the negative direction, so we want
     // to paint the most negative z quads first.
-    if (this.perform_z_sorting === true)
+    if (this.perform_bsp_sorting === true) {
+      // The BSP tree might split quads, so we draw from a new list, and the
+      // buffer itself is left alone.
+      all_quads = bspSortBufferedQuads(all_quads,
+                                       this.camera.orthographic);
+      num_quads = all_quads.length;
+    } else if (this.perform_z_sorting === true) {
       all_quads.sort(zSorter);
+    }
+
+    // Remember what was drawn, in drawing order, for pick().
+    this.drawn_quads_ = all_quads;
+
+    // Let an alternative backend draw the quads, if there is one.
+    if (this.backend !== null)
+      return this.backend.drawBuffer(this, all_quads);
 
     for (var j = 0; j < num_quads; ++j) {
       var obj = all_quads[j];
-      var qf = obj.qf;
 
+      // Project a copy, the camera space QuadFace is kept around for pick().
+      var qf = new QuadFace(obj.qf.i0, obj.qf.i1, obj.qf.i2, obj.qf.i3);
+      qf.centroid = obj.qf.centroid;
+      qf.normal1 = obj.qf.normal1;
+      qf.normal2 = obj.qf.normal2;
       this.projectQuadFaceToCanvasIP(qf);
 
       var is_triangle = qf.isTriangle();
@@ -958,10 +2071,20 @@ var Pre3d = (function() {
       // Don't bother closing it unless we need to.
 
       // Fill...
-      var frgba = obj.fill_rgba;
-      if (frgba !== null) {
-        var iy = obj.intensity;
-        ctx.setFillColor(frgba.r * iy, frgba.g * iy, frgba.b * iy, frgba.a);
+      var fill = computeFillColor(obj.fill_rgba, obj.material, obj.light);
+      if (fill !== null) {
+        var gradient = obj.vertex_lights === null ? null :
+            this.smoothGradientForQuad(obj, qf);
+        if (gradient !== null) {
+          var grad = ctx.createLinearGradient(
+              gradient.x0, gradient.y0, gradient.x1, gradient.y1);
+          var c0 = gradient.c0, c1 = gradient.c1;
+          grad.addColorStop(0, cssColorString(c0.r, c0.g, c0.b, c0.a));
+          grad.addColorStop(1, cssColorString(c1.r, c1.g, c1.b, c1.a));
+          ctx.fillStyle = grad;
+        } else {
+          ctx.setFillColor(fill.r, fill.g, fill.b, fill.a);
+        }
         ctx.fill();
       }
 
@@ -1016,6 +2139,116 @@ var Pre3d = (function() {
     return num_quads;
   }
 
+  // Return the ray through the canvas pixel coordinates |x|, |y| as
+  // {origin, direction}, in camera space.  This undoes projectPointToCanvas,
+  // every point origin + direction * s (s > 0) projects to |x|, |y|.
+  function canvasRay(renderer, x, y) {
+    var camera = renderer.camera;
+    var scale = renderer.scale_;
+    var nx = (x - renderer.xoff_) / scale - camera.shift_x;
+    var ny = (scale - y) / scale - camera.shift_y;
+    if (camera.orthographic === true) {
+      return {
+        origin: {x: nx * camera.ortho_scale, y: ny * camera.ortho_scale, z: 0},
+        direction: {x: 0, y: 0, z: -1}
+      };
+    }
+    var f = 1 / camera.focal_length;
+    return {
+      origin: {x: 0, y: 0, z: 0},
+      direction: {x: nx * f, y: ny * f, z: -1}
+    };
+  }
+
+  // Return the ray through the canvas pixel coordinates |x|, |y|, as
+  // {origin, direction}.  The ray is in the space that bufferShape() would
+  // transform from with the current camera and transform, which is the object
+  // space of a Shape drawn with them.  For example, to find what's under the
+  // mouse without drawing anything:
+  //   var ray = renderer.rayFromCanvasPoint(mouse_x, mouse_y);
+  //   var hit = Pre3d.ShapeUtils.intersectRay(shape, ray.origin,
+  //                                           ray.direction);
+  // Returns null if the transform can't be inverted.
+  Renderer.prototype.rayFromCanvasPoint = function(x, y) {
+    var inv = invertAffine(multiplyAffine(this.camera.transform.m,
+                                          this.transform.m));
+    if (inv === null)
+      return null;
+    var ray = canvasRay(this, x, y);
+    return {
+      origin: transformPoint(inv, ray.origin),
+      direction: transformVector(inv, ray.direction)
+    };
+  };
+
+  // Is the 2d point |p| inside of the triangle |a|, |b|, |c|, in either
+  // winding order.
+  function pointInTriangle2d(p, a, b, c) {
+    var d0 = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+    var d1 = (c.x - b.x) * (p.y - b.y) - (c.y - b.y) * (p.x - b.x);
+    var d2 = (a.x - c.x) * (p.y - c.y) - (a.y - c.y) * (p.x - c.x);
+    return (d0 >= 0 && d1 >= 0 && d2 >= 0) || (d0 <= 0 && d1 <= 0 && d2 <= 0);
+  }
+
+  // Intersect the |ray| with the plane of the triangle |a|, |b|, |c|.
+  // Returns the point, or null if the ray is parallel to the plane.
+  function intersectRayTrianglePlane(ray, a, b, c) {
+    var n = crossProduct(subPoints3d(b, a), subPoints3d(c, a));
+    var denom = dotProduct3d(n, ray.direction);
+    if (denom === 0)
+      return null;
+    var s = dotProduct3d(n, subPoints3d(a, ray.origin)) / denom;
+    return addPoints3d(ray.origin, mulPoint3d(ray.direction, s));
+  }
+
+  // Find what was drawn at the canvas pixel coordinates |x|, |y| by the last
+  // drawBuffer().  The drawn quads are tested front to back, and for the
+  // first hit returns an object like:
+  //   {shape: Shape, quad_index: 3, point: {x, y, z}, camera_point: {x, y, z}}
+  // where |point| is where the quad was hit, in the object space of |shape|,
+  // and |camera_point| is the same point in camera space.  Returns null if
+  // nothing was drawn there.
+  Renderer.prototype.pick = function pick(x, y) {
+    var quads = this.drawn_quads_;
+    var p = {x: x, y: y};
+
+    for (var j = quads.length - 1; j >= 0; --j) {
+      var obj = quads[j];
+      var qf = obj.qf;
+
+      var s0 = this.projectPointToCanvas(qf.i0);
+      var s1 = this.projectPointToCanvas(qf.i1);
+      var s2 = this.projectPointToCanvas(qf.i2);
+
+      // The quad is two triangles, i0 i1 i2 and i0 i2 i3.
+      var tri = null;
+      if (pointInTriangle2d(p, s0, s1, s2) === true) {
+        tri = [qf.i0, qf.i1, qf.i2];
+      } else if (qf.isTriangle() !== true &&
+                 pointInTriangle2d(p, s0, s2,
+                     this.projectPointToCanvas(qf.i3)) === true) {
+        tri = [qf.i0, qf.i2, qf.i3];
+      }
+      if (tri === null)
+        continue;
+
+      var camera_point = intersectRayTrianglePlane(
+          canvasRay(this, x, y), tri[0], tri[1], tri[2]);
+      if (camera_point === null)  // Edge on, use the centroid.
+        camera_point = qf.centroid;
+
+      var inv = invertAffine(obj.transform);
+      return {
+        shape: obj.shape,
+        quad_index: obj.quad_index,
+        point: inv === null ? null : transformPoint(inv, camera_point),
+        camera_point: camera_point
+      };
+    }
+
+    return null;
+  };
+
   // Draw a Path.  There is no buffering, because there is no culling or
   // z-sorting.  There is currently no filling, paths are only stroked.  To
   // control the render state, you should modify ctx directly, and set whatever
@@ -1035,6 +2268,13 @@ var Pre3d = (function() {
         this.projectPointToCanvas(transformPoint(t, {x: 0, y: 0, z: 0})) :
         screen_points[path.starting_point]);
 
+    // Let an alternative backend draw the path, if it knows how.
+    if (this.backend !== null && this.backend.drawPath !== undefined) {
+      this.backend.drawPath(this, start_point, screen_points, path.curves,
+                            opts);
+      return;
+    }
+
     ctx.beginPath();
     ctx.moveTo(start_point.x, start_point.y);
 
@@ -1062,9 +2302,450 @@ var Pre3d = (function() {
     }
   };
 
+  // A RecordingContext is a stand-in for a <canvas> 2d context, that doesn't
+  // draw anything.  Instead, every call and every style property set is
+  // appended to |commands|, as arrays like ['moveTo', 10, 20], or
+  // ['set', 'fillStyle', 'rgba(255,0,0,1)'].  The commands are plain data,
+  // so they can be serialized with JSON, compared in tests, and later
+  // replayed onto a real context.  Images passed to drawImage (and the
+  // ImageData passed to putImageData) can't be serialized, so they are kept
+  // in |images|, and the commands refer to them by index.  Gradients are
+  // recorded as {type: 'linear', x0, y0, x1, y1, stops: [[offset, color]]}.
+  //
+  // Along with RecordingCanvas this lets the Renderer work without a DOM:
+  //   var renderer = new Pre3d.Renderer(new Pre3d.RecordingCanvas(800, 600));
+  function RecordingContext(canvas) {
+    this.canvas = canvas;
+    this.commands = [ ];
+    this.images = [ ];
+    // Current values of the style properties, see below.
+    this.state_ = { };
+  }
+
+  // Forget everything recorded so far.
+  RecordingContext.prototype.clear = function() {
+    this.commands = [ ];
+    this.images = [ ];
+  };
+
+  // Return the index of |image| in |images|, adding it if needed.
+  RecordingContext.prototype.imageIndex_ = function(image) {
+    var images = this.images;
+    for (var i = 0, il = images.length; i < il; ++i) {
+      if (images[i] === image)
+        return i;
+    }
+    images.push(image);
+    return images.length - 1;
+  };
+
+  // Calls with only number arguments, recorded as is.
+  var g_recorded_calls = [
+    'save', 'restore', 'beginPath', 'closePath', 'moveTo', 'lineTo',
+    'quadraticCurveTo', 'bezierCurveTo', 'arc', 'arcTo', 'rect', 'fill',
+    'stroke', 'clip', 'fillRect', 'strokeRect', 'clearRect', 'translate',
+    'rotate', 'scale', 'transform', 'setTransform',
+    // These are the non-standard color setters.  Recording them directly
+    // means the Renderer won't install its fallbacks, and we keep the colors
+    // at full precision.  They are translated when replaying if needed.
+    'setFillColor', 'setStrokeColor'
+  ];
+
+  // Style properties, setting one is recorded as a 'set' command.
+  var g_recorded_properties = [
+    'fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin',
+    'miterLimit', 'globalAlpha', 'globalCompositeOperation', 'font',
+    'textAlign', 'textBaseline'
+  ];
+
+  function makeRecordedCall(name) {
+    return function() {
+      var command = [name];
+      for (var i = 0, il = arguments.length; i < il; ++i)
+        command.push(arguments[i]);
+      this.commands.push(command);
+    };
+  }
+
+  function defineRecordedProperty(name) {
+    Object.defineProperty(RecordingContext.prototype, name, {
+      get: function() { return this.state_[name]; },
+      set: function(value) {
+        // Gradients are copied, stops can still be added after the set.
+        if (value !== null && typeof(value) === 'object' &&
+            value.type === 'linear') {
+          value = {
+            type: 'linear',
+            x0: value.x0, y0: value.y0, x1: value.x1, y1: value.y1,
+            stops: value.stops.slice(0)
+          };
+        }
+        this.state_[name] = value;
+        this.commands.push(['set', name, value]);
+      }
+    });
+  }
+
+  for (var i = 0, il = g_recorded_calls.length; i < il; ++i) {
+    var name = g_recorded_calls[i];
+    RecordingContext.prototype[name] = makeRecordedCall(name);
+  }
+  for (var i = 0, il = g_recorded_properties.length; i < il; ++i)
+    defineRecordedProperty(g_recorded_properties[i]);
+
+  RecordingContext.prototype.createLinearGradient = function(x0, y0, x1, y1) {
+    return {
+      type: 'linear',
+      x0: x0, y0: y0, x1: x1, y1: y1,
+      stops: [ ],
+      addColorStop: function(offset, color) {
+        this.stops.push([offset, color]);
+      }
+    };
+  };
+
+  // drawImage(image, ...) is recorded as ['drawImage', image_index, ...].
+  RecordingContext.prototype.drawImage = function(image) {
+    var command = ['drawImage', this.imageIndex_(image)];
+    for (var i = 1, il = arguments.length; i < il; ++i)
+      command.push(arguments[i]);
+    this.commands.push(command);
+  };
+
+  // Nothing is drawn, so reading back pixels just gives transparent black.
+  RecordingContext.prototype.getImageData = function(x, y, width, height) {
+    return {width: width, height: height,
+            data: new Uint8ClampedArray(width * height * 4)};
+  };
+
+  RecordingContext.prototype.putImageData = function(image_data, x, y) {
+    this.commands.push(['putImageData', this.imageIndex_(image_data), x, y]);
+  };
+
+  // Replay the recorded commands onto the 2d context |ctx|, for example of a
+  // real <canvas> element.  For commands that came from JSON, set |commands|
+  // (and |images|) on a new RecordingContext, and replay from that.
+  RecordingContext.prototype.replay = function(ctx) {
+    var commands = this.commands;
+    var images = this.images;
+
+    for (var i = 0, il = commands.length; i < il; ++i) {
+      var command = commands[i];
+      var name = command[0];
+
+      if (name === 'set') {
+        var value = command[2];
+        if (value !== null && typeof(value) === 'object' &&
+            value.type === 'linear') {
+          var grad = ctx.createLinearGradient(
+              value.x0, value.y0, value.x1, value.y1);
+          for (var j = 0, jl = value.stops.length; j < jl; ++j)
+            grad.addColorStop(value.stops[j][0], value.stops[j][1]);
+          value = grad;
+        }
+        ctx[command[1]] = value;
+      } else if (name === 'setFillColor' && ctx.setFillColor == null) {
+        ctx.fillStyle = cssColorString(
+            command[1], command[2], command[3], command[4]);
+      } else if (name === 'setStrokeColor' && ctx.setStrokeColor == null) {
+        ctx.strokeStyle = cssColorString(
+            command[1], command[2], command[3], command[4]);
+      } else {
+        var args = command.slice(1);
+        if (name === 'drawImage' || name === 'putImageData')
+          args[0] = images[args[0]];
+        ctx[name].apply(ctx, args);
+      }
+    }
+  };
+
+  // A RecordingCanvas is a stand-in for a <canvas> element, of size |width|
+  // by |height|.  Its 2d context is a RecordingContext.
+  function RecordingCanvas(width, height) {
+    this.width = width;
+    this.height = height;
+    this.ctx_ = new RecordingContext(this);
+  }
+
+  RecordingCanvas.prototype.getContext = function(type) {
+    return type === '2d' ? this.ctx_ : null;
+  };
+
+  // Serialization.  serialize() turns a value into a JSON string, and
+  // deserialize() turns it back.  The value can be one of our types (RGBA,
+  // AffineMatrix, Transform, Quaternion, Shape, Path, Camera, Material, and
+  // the lights), or any arrays and plain objects of them, like a scene:
+  //   var json = Pre3d.serialize({camera: renderer.camera, shapes: [a, b]});
+  //   var scene = Pre3d.deserialize(json);
+  // The JSON looks like {format: 'pre3d', version: 1, value: ...}, where each
+  // of our types is an object tagged with its name, like:
+  //   {$type: 'RGBA', r: 1, g: 0, b: 0, a: 1}
+  // To keep geometry compact, points and indices are stored as flat arrays of
+  // numbers.  Shape vertices are [x0, y0, z0, x1, y1, z1, ...], and each
+  // QuadFace is 4 indices, with -1 for the i3 of a triangle.  Shape metadata
+  // (centroids and normals) is not stored, it is recomputed when loading.
+  // Textures are not serialized, since there is no general way to store the
+  // images.
+  var kSerializeVersion = 1;
+
+  function flattenPoints3d(ps) {
+    var out = Array(ps.length * 3);
+    for (var i = 0, il = ps.length; i < il; ++i) {
+      out[i * 3] = ps[i].x;
+      out[i * 3 + 1] = ps[i].y;
+      out[i * 3 + 2] = ps[i].z;
+    }
+    return out;
+  }
+
+  function unflattenPoints3d(a) {
+    var out = Array(a.length / 3);
+    for (var i = 0, il = out.length; i < il; ++i)
+      out[i] = {x: a[i * 3], y: a[i * 3 + 1], z: a[i * 3 + 2]};
+    return out;
+  }
+
+  function flattenAffine(m) {
+    return [m.e0, m.e1, m.e2, m.e3, m.e4, m.e5,
+            m.e6, m.e7, m.e8, m.e9, m.e10, m.e11];
+  }
+
+  function unflattenAffine(a) {
+    return new AffineMatrix(a[0], a[1], a[2], a[3], a[4], a[5],
+                            a[6], a[7], a[8], a[9], a[10], a[11]);
+  }
+
+  // Return the JSON compatible form of |v|.
+  function serializeValue(v) {
+    if (typeof(v) === 'number' && isFinite(v) !== true)
+      return {$type: 'Number', value: '' + v};  // Infinity and NaN.
+    if (v === null || typeof(v) !== 'object')
+      return v;
+
+    if (v instanceof Array) {
+      var out = Array(v.length);
+      for (var i = 0, il = v.length; i < il; ++i)
+        out[i] = serializeValue(v[i]);
+      return out;
+    }
+
+    if (v instanceof RGBA)
+      return {$type: 'RGBA', r: v.r, g: v.g, b: v.b, a: v.a};
+    if (v instanceof AffineMatrix)
+      return {$type: 'AffineMatrix', e: flattenAffine(v)};
+    if (v instanceof Transform)
+      return {$type: 'Transform', m: flattenAffine(v.m)};
+    if (v instanceof Quaternion)
+      return {$type: 'Quaternion', x: v.x, y: v.y, z: v.z, w: v.w};
+
+    if (v instanceof Shape) {
+      var quads = Array(v.quads.length * 4);
+      for (var i = 0, il = v.quads.length; i < il; ++i) {
+        var qf = v.quads[i];
+        quads[i * 4] = qf.i0;
+        quads[i * 4 + 1] = qf.i1;
+        quads[i * 4 + 2] = qf.i2;
+        quads[i * 4 + 3] = qf.isTriangle() === true ? -1 : qf.i3;
+      }
+      var uvs = null;
+      if (v.uvs !== null) {
+        uvs = Array(v.uvs.length * 2);
+        for (var i = 0, il = v.uvs.length; i < il; ++i) {
+          uvs[i * 2] = v.uvs[i].u;
+          uvs[i * 2 + 1] = v.uvs[i].v;
+        }
+      }
+      var colors = null;
+      if (v.vertex_colors !== null) {
+        colors = Array(v.vertex_colors.length * 4);
+        for (var i = 0, il = v.vertex_colors.length; i < il; ++i) {
+          var c = v.vertex_colors[i];
+          colors[i * 4] = c.r;
+          colors[i * 4 + 1] = c.g;
+          colors[i * 4 + 2] = c.b;
+          colors[i * 4 + 3] = c.a;
+        }
+      }
+      return {
+        $type: 'Shape',
+        vertices: flattenPoints3d(v.vertices),
+        quads: quads,
+        vertex_normals: v.vertex_normals === null ? null :
+            flattenPoints3d(v.vertex_normals),
+        quad_normals: v.quad_normals,
+        vertex_normal_options: v.vertex_normal_options,
+        uvs: uvs,
+        quad_uvs: v.quad_uvs,
+        groups: v.groups,
+        vertex_colors: colors
+      };
+    }
+
+    if (v instanceof Path) {
+      var curves = Array(v.curves.length * 3);
+      for (var i = 0, il = v.curves.length; i < il; ++i) {
+        var curve = v.curves[i];
+        curves[i * 3] = curve.ep;
+        curves[i * 3 + 1] = curve.c0;
+        curves[i * 3 + 2] = curve.isQuadratic() === true ? -1 : curve.c1;
+      }
+      return {
+        $type: 'Path',
+        points: flattenPoints3d(v.points),
+        curves: curves,
+        starting_point: v.starting_point
+      };
+    }
+
+    // The rest are just their properties, with the type name attached.
+    var type = null;
+    if (v instanceof Camera) type = 'Camera';
+    else if (v instanceof Material) type = 'Material';
+    else if (v instanceof AmbientLight) type = 'AmbientLight';
+    else if (v instanceof DirectionalLight) type = 'DirectionalLight';
+    else if (v instanceof PointLight) type = 'PointLight';
+    else if (v.constructor !== Object) return null;  // Something unknown.
+
+    var out = { };
+    if (type !== null)
+      out.$type = type;
+    for (var key in v) {
+      if (v.hasOwnProperty(key) === true)
+        out[key] = serializeValue(v[key]);
+    }
+    return out;
+  }
+
+  // The constructors for the types that are just their properties.
+  var g_deserialize_constructors = {
+    Camera: Camera,
+    Material: Material,
+    AmbientLight: AmbientLight,
+    DirectionalLight: DirectionalLight,
+    PointLight: PointLight
+  };
+
+  // Return the value of the JSON compatible form |v| from serializeValue.
+  function deserializeValue(v) {
+    if (v === null || typeof(v) !== 'object')
+      return v;
+
+    if (v instanceof Array) {
+      var out = Array(v.length);
+      for (var i = 0, il = v.length; i < il; ++i)
+        out[i] = deserializeValue(v[i]);
+      return out;
+    }
+
+    var type = v.$type;
+    if (type === 'Number')
+      return parseFloat(v.value);
+    if (type === 'RGBA')
+      return new RGBA(v.r, v.g, v.b, v.a);
+    if (type === 'AffineMatrix')
+      return unflattenAffine(v.e);
+    if (type === 'Transform') {
+      var t = new Transform();
+      t.m = unflattenAffine(v.m);
+      return t;
+    }
+    if (type === 'Quaternion')
+      return new Quaternion(v.x, v.y, v.z, v.w);
+
+    if (type === 'Shape') {
+      var s = new Shape();
+      s.vertices = unflattenPoints3d(v.vertices);
+      for (var i = 0, il = v.quads.length; i < il; i += 4) {
+        var i3 = v.quads[i + 3];
+        s.quads.push(new QuadFace(v.quads[i], v.quads[i + 1], v.quads[i + 2],
+                                  i3 === -1 ? null : i3));
+      }
+      if (v.vertex_normals != null)
+        s.vertex_normals = unflattenPoints3d(v.vertex_normals);
+      if (v.quad_normals != null)
+        s.quad_normals = v.quad_normals;
+      if (v.vertex_normal_options != null)
+        s.vertex_normal_options = v.vertex_normal_options;
+      if (v.uvs != null) {
+        s.uvs = Array(v.uvs.length / 2);
+        for (var i = 0, il = s.uvs.length; i < il; ++i)
+          s.uvs[i] = {u: v.uvs[i * 2], v: v.uvs[i * 2 + 1]};
+      }
+      if (v.quad_uvs != null)
+        s.quad_uvs = v.quad_uvs;
+      if (v.groups != null)
+        s.groups = v.groups;
+      if (v.vertex_colors != null) {
+        var colors = v.vertex_colors;
+        s.vertex_colors = Array(colors.length / 4);
+        for (var i = 0, il = s.vertex_colors.length; i < il; ++i) {
+          s.vertex_colors[i] = new RGBA(colors[i * 4], colors[i * 4 + 1],
+                                        colors[i * 4 + 2], colors[i * 4 + 3]);
+        }
+      }
+      rebuildShapeMeta(s);
+      return s;
+    }
+
+    if (type === 'Path') {
+      var path = new Path();
+      path.points = unflattenPoints3d(v.points);
+      for (var i = 0, il = v.curves.length; i < il; i += 3) {
+        var c1 = v.curves[i + 2];
+        path.curves.push(new Curve(v.curves[i], v.curves[i + 1],
+                                   c1 === -1 ? null : c1));
+      }
+      path.starting_point = v.starting_point;
+      return path;
+    }
+
+    var out;
+    if (type === undefined) {
+      out = { };
+    } else if (g_deserialize_constructors.hasOwnProperty(type) === true) {
+      out = new g_deserialize_constructors[type]();
+    } else {
+      return null;  // Something unknown, maybe from a newer version.
+    }
+    for (var key in v) {
+      if (key !== '$type' && v.hasOwnProperty(key) === true)
+        out[key] = deserializeValue(v[key]);
+    }
+    return out;
+  }
+
+  // Return the JSON string for |value|, see above.
+  function serialize(value) {
+    return JSON.stringify({
+      format: 'pre3d',
+      version: kSerializeVersion,
+      value: serializeValue(value)
+    });
+  }
+
+  // Return the value from |json|, a string from serialize(), or the result
+  // of JSON.parse() on one.  Returns null if it isn't something we can read.
+  function deserialize(json) {
+    var data = json;
+    if (typeof(json) === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (e) {
+        return null;  // Not valid JSON.
+      }
+    }
+    if (typeof(data) !== 'object' || data === null ||
+        data.format !== 'pre3d' || typeof(data.version) !== 'number' ||
+        data.version > kSerializeVersion) {
+      return null;
+    }
+    return deserializeValue(data.value);
+  }
+
   return {
     RGBA: RGBA,
     AffineMatrix: AffineMatrix,
+    Quaternion: Quaternion,
     Transform: Transform,
     QuadFace: QuadFace,
     Shape: Shape,
@@ -1072,7 +2753,16 @@ var Pre3d = (function() {
     Path: Path,
     Camera: Camera,
     TextureInfo: TextureInfo,
+    AmbientLight: AmbientLight,
+    DirectionalLight: DirectionalLight,
+    PointLight: PointLight,
+    Material: Material,
     Renderer: Renderer,
+    RecordingContext: RecordingContext,
+    RecordingCanvas: RecordingCanvas,
+    rebuildShapeMeta: rebuildShapeMeta,
+    serialize: serialize,
+    deserialize: deserialize,
     Math: {
       crossProduct: crossProduct,
       dotProduct2d: dotProduct2d,
@@ -1093,3 +2783,8 @@ var Pre3d = (function() {
     }
   };
 })();
+
+// Export for CommonJS (Node, bundlers).  When loaded with a <script> tag,
+// Pre3d is just a global as usual.
+if (typeof module !== 'undefined' && module.exports)
+  module.exports = Pre3d;
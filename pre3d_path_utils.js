@@ -21,6 +21,10 @@
 //
 // This file implements helpers related to creating / modifying Paths.
 
+// With a <script> tag this just refers to the global Pre3d from pre3d.js.
+// Under CommonJS there is no global, so we require the core instead.
+var Pre3d = typeof(Pre3d) !== 'undefined' ? Pre3d : require('./pre3d');
+
 Pre3d.PathUtils = (function() {
 
   // Make a line (a straight cubic bezier curve) from |p0| to |p1|.
@@ -104,3 +108,6 @@ Pre3d.PathUtils = (function() {
     fitQuadraticToPoints: fitQuadraticToPoints
   };
 })();
+
+if (typeof module !== 'undefined' && module.exports)
+  module.exports = Pre3d.PathUtils;
@@ -26,6 +26,10 @@
 // The procedural operations were inspired from the demoscene.  A lot of the
 // ideas are based on similar concepts in Farbrausch's werkkzeug1.
 
+// With a <script> tag this just refers to the global Pre3d from pre3d.js.
+// Under CommonJS there is no global, so we require the core instead.
+var Pre3d = typeof(Pre3d) !== 'undefined' ? Pre3d : require('./pre3d');
+
 Pre3d.ShapeUtils = (function() {
 
   // TODO(deanm): Having to import all the math like this is a bummer.
@@ -46,6 +50,9 @@ Pre3d.ShapeUtils = (function() {
   var linearInterpolatePoints3d = Pre3d.Math.linearInterpolatePoints3d;
   var averagePoints = Pre3d.Math.averagePoints;
 
+  // Shared with the core, see Pre3d.rebuildShapeMeta.
+  var rebuildMeta = Pre3d.rebuildShapeMeta;
+
   var k2PI = Math.PI * 2;
 
   // averagePoints() specialized for averaging 2 points.
@@ -57,56 +64,183 @@ Pre3d.ShapeUtils = (function() {
     };
   }
 
-  // Rebuild the pre-computed "metadata", for the Shape |shape|.  This
-  // calculates the centroids and normal vectors for each QuadFace.
-  function rebuildMeta(shape) {
-    var quads = shape.quads;
-    var num_quads = quads.length;
+  // Calculate the per-vertex normals for the Shape |shape|, by averaging the
+  // normals of the faces surrounding each vertex.  The result is stored in
+  // shape.vertex_normals, and used by the Renderer when smooth shading.  This
+  // relies on the face normals, so rebuildMeta() should be current.  The
+  // optional |opts| can have:
+  //   - |weighting|, how much each face counts towards the average.  One of
+  //     'equal' (the default), 'area' for the area of the face, or 'angle'
+  //     for the angle of the face's corner at the vertex.
+  //   - |crease_angle|, in radians.  Faces meeting at a sharper angle than
+  //     this form a hard edge, and are not averaged together.  The corners
+  //     of a vertex on a hard edge get their own normals, stored after the
+  //     ones for the vertices, and shape.quad_normals points the corners at
+  //     them.  The vertices and QuadFaces are left as they are.  The default
+  //     is null, for no hard edges, and shape.quad_normals is then null.
+  // The options are remembered in shape.vertex_normal_options, and the
+  // operations here that change the geometry (averageSmooth, linearSubdivide,
+  // explodeFaces, Extruder, etc) recompute the normals with them.  Normals
+  // that weren't computed here, like ones loaded from a file, are never
+  // recomputed.  They survive averageSmooth, but the operations that change
+  // the vertices and faces remove them.
+  function computeVertexNormals(shape, opts) {
+    opts = opts || { };
+    var weighting = opts.weighting || 'equal';
+    var crease_angle = opts.crease_angle == null ? null : opts.crease_angle;
+
     var vertices = shape.vertices;
+    var num_vertices = vertices.length;
+    var quads = shape.quads;
 
-    // TODO: It's possible we could save some work here, we could mark the
-    // faces "dirty" which need their centroid or normal recomputed.  Right now
-    // if we do an operation on a single face, we rebuild all of them.  A
-    // simple scheme would be to track any writes to a QuadFace, and to set
-    // centroid / normal1 / normal2 to null.  This would also prevent bugs
-    // where you forget to call rebuildMeta() and used stale metadata.
+    // The unit normal of each face, and for each vertex a list of the face
+    // corners around it, as [quad index, corner index 0 .. 3, weight].
+    var face_normals = Array(quads.length);
+    var corners = Array(num_vertices);
+    for (var i = 0; i < num_vertices; ++i)
+      corners[i] = [ ];
 
-    for (var i = 0; i < num_quads; ++i) {
+    for (var i = 0, il = quads.length; i < il; ++i) {
       var qf = quads[i];
+      var n = unitVector3d(addPoints3d(qf.normal1, qf.normal2));
+      face_normals[i] = n;
+      // Degenerate faces have no direction, don't let them poison the sum.
+      if (isNaN(n.x))
+        continue;
 
-      var centroid;
-      var n1, n2;
+      var indices = [qf.i0, qf.i1, qf.i2];
+      if (!qf.isTriangle())
+        indices.push(qf.i3);
+      var num = indices.length;
+
+      var area = 0;
+      if (weighting === 'area') {
+        // The normals are the cross products of the two triangles, so their
+        // lengths are twice the areas.
+        area = vecMag3d(qf.normal1) / 2;
+        if (!qf.isTriangle())
+          area += vecMag3d(qf.normal2) / 2;
+      }
 
-      var vert0 = vertices[qf.i0];
-      var vert1 = vertices[qf.i1];
-      var vert2 = vertices[qf.i2];
-      var vec01 = subPoints3d(vert1, vert0);
-      var vec02 = subPoints3d(vert2, vert0);
-      var n1 = crossProduct(vec01, vec02);
+      for (var j = 0; j < num; ++j) {
+        var weight = 1;
+        if (weighting === 'area') {
+          weight = area;
+        } else if (weighting === 'angle') {
+          var p = vertices[indices[j]];
+          var a = unitVector3d(
+              subPoints3d(vertices[indices[(j + num - 1) % num]], p));
+          var b = unitVector3d(
+              subPoints3d(vertices[indices[(j + 1) % num]], p));
+          var d = dotProduct3d(a, b);
+          weight = Math.acos(d < -1 ? -1 : d > 1 ? 1 : d);
+          if (isNaN(weight))
+            weight = 0;
+        }
+        corners[indices[j]].push([i, j, weight]);
+      }
+    }
 
-      if (qf.isTriangle()) {
-        n2 = n1;
-        centroid = averagePoints([vert0, vert1, vert2]);
-      } else {
-        var vert3 = vertices[qf.i3];
-        var vec03 = subPoints3d(vert3, vert0);
-        n2 = crossProduct(vec02, vec03);
-        centroid = averagePoints([vert0, vert1, vert2, vert3]);
+    // Sum the weighted face normals around a vertex, of just the |corners|
+    // whose faces are within the crease angle of the face |face_n|, or of
+    // all of them if |face_n| is null.
+    var cos_crease = crease_angle === null ? null : Math.cos(crease_angle);
+    function sumNormals(corners, face_n) {
+      var sum = {x: 0, y: 0, z: 0};
+      for (var i = 0, il = corners.length; i < il; ++i) {
+        var n = face_normals[corners[i][0]];
+        if (face_n !== null && dotProduct3d(n, face_n) < cos_crease)
+          continue;
+        var w = corners[i][2];
+        sum.x += n.x * w;
+        sum.y += n.y * w;
+        sum.z += n.z * w;
+      }
+      var mag = vecMag3d(sum);
+      return mag === 0 ? sum : mulPoint3d(sum, 1 / mag);
+    }
+
+    var normals = Array(num_vertices);
+    var quad_normals = null;
+
+    for (var i = 0; i < num_vertices; ++i) {
+      var cs = corners[i];
+      if (cos_crease === null || cs.length === 0) {
+        normals[i] = sumNormals(cs, null);
+        continue;
+      }
+
+      // Each corner gets the average of the faces it is smooth with.  The
+      // corners that end up with the same normal share it, the first normal
+      // is the one for the vertex, and the rest are added for the corners.
+      var groups = [ ];
+      for (var j = 0, jl = cs.length; j < jl; ++j) {
+        var n = sumNormals(cs, face_normals[cs[j][0]]);
+        var group = null;
+        for (var k = 0, kl = groups.length; k < kl; ++k) {
+          if (vecMag3d(subPoints3d(groups[k].n, n)) < 1e-6) {
+            group = groups[k];
+            break;
+          }
+        }
+        if (group === null) {
+          group = {n: n, corners: [ ]};
+          groups.push(group);
+        }
+        group.corners.push(cs[j]);
       }
 
-      qf.centroid = centroid;
-      qf.normal1 = n1;
-      qf.normal2 = n2;
+      normals[i] = groups[0].n;
+      for (var k = 1, kl = groups.length; k < kl; ++k) {
+        var index = normals.length;
+        normals.push(groups[k].n);
+        if (quad_normals === null) {
+          quad_normals = Array(quads.length);
+          for (var j = 0, jl = quads.length; j < jl; ++j)
+            quad_normals[j] = null;
+        }
+        var gcs = groups[k].corners;
+        for (var j = 0, jl = gcs.length; j < jl; ++j) {
+          var qi = gcs[j][0];
+          if (quad_normals[qi] === null)
+            quad_normals[qi] = quadIndices(quads[qi]);
+          quad_normals[qi][gcs[j][1]] = index;
+        }
+      }
     }
 
+    shape.vertex_normals = normals;
+    shape.quad_normals = quad_normals;
+    shape.vertex_normal_options = {weighting: weighting,
+                                   crease_angle: crease_angle};
     return shape;
   }
 
+  // Bring shape.vertex_normals up to date after an operation changed the
+  // geometry.  Normals from computeVertexNormals() are recomputed with the
+  // same options.  Other normals, like ones loaded from a file, are kept as
+  // they are when |same_vertices| is true, for an operation that only moved
+  // the vertices, or that already updated them itself.  Otherwise they no
+  // longer fit the Shape, and are removed.
+  function syncVertexNormals(shape, same_vertices) {
+    if (shape.vertex_normals === null)
+      return;
+    if (shape.vertex_normal_options !== null) {
+      computeVertexNormals(shape, shape.vertex_normal_options);
+    } else if (same_vertices !== true) {
+      shape.vertex_normals = null;
+      shape.quad_normals = null;
+    }
+  }
+
   // Convert any quad faces into two triangle faces.  After triangulation,
-  // |shape| should only consist of triangles.
+  // |shape| should only consist of triangles.  The corners in
+  // shape.quad_uvs and shape.quad_normals are split along with the faces,
+  // and the new triangles join the shape.groups of the quads they came from.
   function triangulate(shape) {
     var quads = shape.quads;
     var num_quads = quads.length;
+    var children = [ ];  // The new triangle for quad i, if it was split.
     for (var i = 0; i < num_quads; ++i) {
       var qf = quads[i];
       if (qf.isTriangle())
@@ -118,11 +252,81 @@ Pre3d.ShapeUtils = (function() {
       qf.i3 = null;
       // Add the new triangle to the list of faces.
       quads.push(newtri);
+      children[i] = [quads.length - 1];
+
+      splitQuadCorners(shape.quad_uvs, i, quads.length - 1);
+      splitQuadCorners(shape.quad_normals, i, quads.length - 1);
     }
+
+    addChildrenToGroups(shape, children);
     rebuildMeta(shape);
     return shape;
   }
 
+  // Split the per corner indices |corner_lists[i]| (shape.quad_uvs or
+  // shape.quad_normals) the same way triangulate() splits the quad |i|, with
+  // the ones for the new triangle going to |corner_lists[j]|.  Nothing to do
+  // if |corner_lists| is null.
+  function splitQuadCorners(corner_lists, i, j) {
+    if (corner_lists === null)
+      return;
+    var c = corner_lists[i];
+    if (c === null || c === undefined) {
+      corner_lists[j] = null;
+      return;
+    }
+    corner_lists[i] = [c[0], c[1], c[2]];
+    corner_lists[j] = [c[0], c[2], c[3]];
+  }
+
+  // Return the indices into shape.uvs of the corners of the QuadFace
+  // |quad_index|, or null if it doesn't have texture coordinates.
+  function quadUVIndices(shape, quad_index) {
+    if (shape.quad_uvs === null)
+      return null;
+    var indices = shape.quad_uvs[quad_index];
+    return indices !== undefined ? indices : null;
+  }
+
+  // Return the index into shape.uvs of the texture coordinate at the average
+  // of the ones at |indices|, adding it the first time.  The ones already
+  // added are cached in |uv_points|, so faces sharing the same texture
+  // coordinates share the new one too.
+  function averagedUV(shape, uv_points, indices) {
+    var key = indices.slice(0).sort(function(a, b) { return a - b; }).join();
+    var index = uv_points[key];
+    if (index === undefined) {
+      var uvs = shape.uvs;
+      var u = 0, v = 0;
+      for (var i = 0, il = indices.length; i < il; ++i) {
+        u += uvs[indices[i]].u;
+        v += uvs[indices[i]].v;
+      }
+      index = uvs.length;
+      uvs.push({u: u / indices.length, v: v / indices.length});
+      uv_points[key] = index;
+    }
+    return index;
+  }
+
+  // Add the quad indices |children[i]| to the shape.groups containing the
+  // quad |i|, after an operation split it or added faces built from it.
+  // Quads without any children are left undefined.
+  function addChildrenToGroups(shape, children) {
+    if (shape.groups === null)
+      return;
+    for (var i = 0, il = shape.groups.length; i < il; ++i) {
+      var group_quads = shape.groups[i].quads;
+      for (var j = 0, jl = group_quads.length; j < jl; ++j) {
+        var quad_children = children[group_quads[j]];
+        if (quad_children === undefined)
+          continue;
+        for (var k = 0, kl = quad_children.length; k < kl; ++k)
+          group_quads.push(quad_children[k]);
+      }
+    }
+  }
+
   // Call |func| for each face of |shape|.  The callback |func| should return
   // false to continue iteration, or true to stop.  For example:
   //   forEachFace(shape, function(quad_face, quad_index, shape) {
@@ -146,6 +350,684 @@ Pre3d.ShapeUtils = (function() {
     return shape;
   }
 
+  // Intersect the ray from |origin| in the direction |dir| against the faces
+  // of |shape|, using the normals from rebuildMeta(), so they must be up to
+  // date.  The ray is in the object space of |shape|, see for example
+  // Renderer.rayFromCanvasPoint().  Both the front and back of faces are hit.
+  // Returns the nearest hit in front of |origin|, or null, like:
+  //   {quad_index: 3, distance: 1.5, point: {x, y, z},
+  //    vertex_indices: [i0, i1, i2], barycentrics: [b0, b1, b2]}
+  // A quad is hit as its two triangles, i0 i1 i2 and i0 i2 i3.
+  // |vertex_indices| is the triangle that was hit, and |point| is the sum of
+  // those vertices weighted by |barycentrics|.
+  function intersectRay(shape, origin, dir) {
+    var quads = shape.quads;
+    var vertices = shape.vertices;
+    var d = unitVector3d(dir);
+    var best = null;
+
+    for (var i = 0, il = quads.length; i < il; ++i) {
+      var qf = quads[i];
+      var tris = [[qf.i0, qf.i1, qf.i2, qf.normal1]];
+      if (qf.isTriangle() !== true)
+        tris.push([qf.i0, qf.i2, qf.i3, qf.normal2]);
+
+      for (var j = 0, jl = tris.length; j < jl; ++j) {
+        var tri = tris[j];
+        var n = tri[3];  // Not unit length, |n| is twice the area.
+        var denom = dotProduct3d(n, d);
+        if (denom === 0)  // Parallel to the plane.
+          continue;
+
+        var v0 = vertices[tri[0]];
+        var t = dotProduct3d(n, subPoints3d(v0, origin)) / denom;
+        if (t <= 0 || (best !== null && t >= best.distance))
+          continue;
+
+        // Barycentrics from the areas of the sub-triangles, signed by
+        // comparing against the normal.
+        var p = addPoints3d(origin, mulPoint3d(d, t));
+        var nn = dotProduct3d(n, n);
+        var vp = subPoints3d(p, v0);
+        var b1 = dotProduct3d(
+            n, crossProduct(vp, subPoints3d(vertices[tri[2]], v0))) / nn;
+        var b2 = dotProduct3d(
+            n, crossProduct(subPoints3d(vertices[tri[1]], v0), vp)) / nn;
+        var b0 = 1 - b1 - b2;
+        if (b0 < 0 || b1 < 0 || b2 < 0)
+          continue;
+
+        best = {
+          quad_index: i,
+          distance: t,
+          point: p,
+          vertex_indices: [tri[0], tri[1], tri[2]],
+          barycentrics: [b0, b1, b2]
+        };
+      }
+    }
+
+    return best;
+  }
+
+  // A half-edge view of the connectivity of a Shape, see buildTopology().
+  // Each side of each face is a half-edge, going from one corner to the next
+  // in the winding order of the face.  Two half-edges going in opposite
+  // directions over the same two vertices are twins, and together they are
+  // one edge.  The properties are public, but treat them as read only:
+  //   half_edges: [{vertex, face, next, prev, twin, edge}], |vertex| is the
+  //     vertex the half-edge starts at, and |face| the quad index it is a side
+  //     of.  |next|, |prev| and |twin| are half-edge indices, |twin| is -1 on
+  //     the boundary, or for an edge used by more than two faces.  |edge| is
+  //     the index into |edges|.
+  //   face_half_edges: the first half-edge of each face, starting at i0.
+  //   edges: [{a, b, half_edges, faces}], one per pair of connected vertices.
+  //   vertex_half_edges: the half-edges starting at each vertex.
+  //   vertex_edges: the edge indices touching each vertex.
+  // The Topology is a snapshot, it is not updated when the Shape changes.
+  function Topology(shape) {
+    var num_vertices = shape.vertices.length;
+    var quads = shape.quads;
+
+    this.shape = shape;
+    this.half_edges = [ ];
+    this.face_half_edges = Array(quads.length);
+    this.edges = [ ];
+    this.vertex_half_edges = Array(num_vertices);
+    this.vertex_edges = Array(num_vertices);
+
+    // Internals, don't access me.
+    this.edge_map_ = { };
+
+    for (var i = 0; i < num_vertices; ++i) {
+      this.vertex_half_edges[i] = [ ];
+      this.vertex_edges[i] = [ ];
+    }
+
+    for (var i = 0, il = quads.length; i < il; ++i) {
+      var indices = quadIndices(quads[i]);
+      var first = this.half_edges.length;
+      var n = indices.length;
+      this.face_half_edges[i] = first;
+
+      for (var j = 0; j < n; ++j) {
+        var a = indices[j], b = indices[(j + 1) % n];
+        var key = edgeKey(a, b);
+        var edge_index = this.edge_map_[key];
+        if (edge_index === undefined) {
+          edge_index = this.edges.length;
+          this.edge_map_[key] = edge_index;
+          this.edges.push({a: a, b: b, half_edges: [ ], faces: [ ]});
+          this.vertex_edges[a].push(edge_index);
+          if (b !== a)
+            this.vertex_edges[b].push(edge_index);
+        }
+
+        var he_index = first + j;
+        var edge = this.edges[edge_index];
+        edge.half_edges.push(he_index);
+        edge.faces.push(i);
+        this.vertex_half_edges[a].push(he_index);
+        this.half_edges.push({
+          vertex: a,
+          face: i,
+          next: first + (j + 1) % n,
+          prev: first + (j + n - 1) % n,
+          twin: -1,
+          edge: edge_index
+        });
+      }
+    }
+
+    // Only a manifold edge, used by exactly two faces, gets twins.
+    for (var i = 0, il = this.edges.length; i < il; ++i) {
+      var hes = this.edges[i].half_edges;
+      if (hes.length === 2) {
+        this.half_edges[hes[0]].twin = hes[1];
+        this.half_edges[hes[1]].twin = hes[0];
+      }
+    }
+  }
+
+  // The vertex index a half-edge ends at.
+  Topology.prototype.halfEdgeEnd = function(he_index) {
+    return this.half_edges[this.half_edges[he_index].next].vertex;
+  };
+
+  // Return the index into |edges| of the edge between the vertices |a| and
+  // |b|, in either direction, or -1 if they aren't connected.
+  Topology.prototype.edgeIndex = function(a, b) {
+    var edge_index = this.edge_map_[edgeKey(a, b)];
+    return edge_index === undefined ? -1 : edge_index;
+  };
+
+  // Return the quad indices of the faces on each side of the edge between
+  // the vertices |a| and |b|.  Normally two, one on the boundary, and empty
+  // if there is no such edge.
+  Topology.prototype.edgeFaces = function(a, b) {
+    var edge_index = this.edgeIndex(a, b);
+    return edge_index === -1 ? [ ] : this.edges[edge_index].faces.slice(0);
+  };
+
+  Topology.prototype.isBoundaryEdge = function(a, b) {
+    var edge_index = this.edgeIndex(a, b);
+    return edge_index !== -1 && this.edges[edge_index].faces.length === 1;
+  };
+
+  // Return the quad indices of the faces sharing an edge with the face
+  // |quad_index|, each only once.
+  Topology.prototype.faceNeighbors = function(quad_index) {
+    var neighbors = [ ];
+    var seen = { };
+    seen[quad_index] = true;
+
+    var first = this.face_half_edges[quad_index];
+    var he_index = first;
+    do {
+      var he = this.half_edges[he_index];
+      var faces = this.edges[he.edge].faces;
+      for (var i = 0, il = faces.length; i < il; ++i) {
+        if (seen[faces[i]] !== true) {
+          seen[faces[i]] = true;
+          neighbors.push(faces[i]);
+        }
+      }
+      he_index = he.next;
+    } while (he_index !== first);
+
+    return neighbors;
+  };
+
+  // Return the quad indices of the faces using the vertex |vertex_index|, in
+  // the order of the quads.
+  Topology.prototype.vertexFaces = function(vertex_index) {
+    var hes = this.vertex_half_edges[vertex_index];
+    var faces = Array(hes.length);
+    for (var i = 0, il = hes.length; i < il; ++i)
+      faces[i] = this.half_edges[hes[i]].face;
+    return faces;
+  };
+
+  // Return the edge indices of the edges touching the vertex |vertex_index|.
+  Topology.prototype.vertexEdges = function(vertex_index) {
+    return this.vertex_edges[vertex_index].slice(0);
+  };
+
+  // Return the vertex indices connected by an edge to the vertex
+  // |vertex_index|, its one ring.  Where the faces around the vertex form a
+  // fan (the Shape is manifold there), the ring is in order around the
+  // vertex, and on the boundary it starts and ends with the two neighbors
+  // along the boundary.  Otherwise the order is just the order of the edges.
+  Topology.prototype.vertexNeighbors = function(vertex_index) {
+    var half_edges = this.half_edges;
+    var outgoing = this.vertex_half_edges[vertex_index];
+    var ring = [ ];
+    if (outgoing.length === 0)
+      return ring;
+
+    // Start at a boundary if there is one, since we can only walk one way.
+    var start = outgoing[0];
+    for (var i = 0, il = outgoing.length; i < il; ++i) {
+      if (half_edges[outgoing[i]].twin === -1) {
+        start = outgoing[i];
+        break;
+      }
+    }
+
+    // Walk from face to face, each time crossing the edge coming in to the
+    // vertex, to the half-edge going out of the vertex on the other side.
+    var visited = 0;
+    var he_index = start;
+    var done = false;
+    while (visited < outgoing.length) {
+      ++visited;
+      ring.push(this.halfEdgeEnd(he_index));
+      var prev = half_edges[half_edges[he_index].prev];
+      if (prev.twin === -1) {  // Reached the other side of the boundary.
+        ring.push(prev.vertex);
+        done = true;
+        break;
+      }
+      he_index = prev.twin;
+      if (half_edges[he_index].vertex !== vertex_index)  // Flipped winding.
+        break;
+      if (he_index === start) {  // All the way around.
+        done = true;
+        break;
+      }
+    }
+
+    if (done === true && visited === outgoing.length)
+      return ring;
+
+    // Not a single fan, fall back to the edges.
+    var edges = this.vertex_edges[vertex_index];
+    ring = Array(edges.length);
+    for (var i = 0, il = edges.length; i < il; ++i) {
+      var edge = this.edges[edges[i]];
+      ring[i] = edge.a === vertex_index ? edge.b : edge.a;
+    }
+    return ring;
+  };
+
+  // Whether the vertex |vertex_index| is on a boundary edge.
+  Topology.prototype.isBoundaryVertex = function(vertex_index) {
+    var edges = this.vertex_edges[vertex_index];
+    for (var i = 0, il = edges.length; i < il; ++i) {
+      if (this.edges[edges[i]].faces.length === 1)
+        return true;
+    }
+    return false;
+  };
+
+  // Return the boundaries of the Shape, the holes and open sides, as arrays
+  // of vertex indices.  Each loop follows the winding of the faces along it.
+  // A closed Shape has none.
+  Topology.prototype.boundaryLoops = function() {
+    var half_edges = this.half_edges;
+    var used = { };
+    var loops = [ ];
+
+    for (var i = 0, il = half_edges.length; i < il; ++i) {
+      if (used[i] === true || this.edges[half_edges[i].edge].faces.length !== 1)
+        continue;
+
+      var loop = [ ];
+      var he_index = i;
+      while (he_index !== -1 && used[he_index] !== true) {
+        used[he_index] = true;
+        loop.push(half_edges[he_index].vertex);
+
+        // Continue with the next unused boundary half-edge from the end.
+        var outgoing = this.vertex_half_edges[this.halfEdgeEnd(he_index)];
+        he_index = -1;
+        for (var j = 0, jl = outgoing.length; j < jl; ++j) {
+          var out = outgoing[j];
+          if (used[out] !== true &&
+              this.edges[half_edges[out].edge].faces.length === 1) {
+            he_index = out;
+            break;
+          }
+        }
+      }
+      loops.push(loop);
+    }
+
+    return loops;
+  };
+
+  // Grow the selection of quad indices |quad_indices| by the faces sharing
+  // an edge with it, |steps| times (default 1).  Returns a new array, the
+  // original selection followed by the added faces.
+  Topology.prototype.growSelection = function(quad_indices, steps) {
+    if (steps === undefined)
+      steps = 1;
+
+    var selected = quad_indices.slice(0);
+    var seen = { };
+    for (var i = 0, il = selected.length; i < il; ++i)
+      seen[selected[i]] = true;
+
+    var frontier = selected;
+    for (var step = 0; step < steps; ++step) {
+      var added = [ ];
+      for (var i = 0, il = frontier.length; i < il; ++i) {
+        var neighbors = this.faceNeighbors(frontier[i]);
+        for (var j = 0, jl = neighbors.length; j < jl; ++j) {
+          if (seen[neighbors[j]] !== true) {
+            seen[neighbors[j]] = true;
+            added.push(neighbors[j]);
+          }
+        }
+      }
+      selected = selected.concat(added);
+      frontier = added;
+    }
+
+    return selected;
+  };
+
+  // Build the Topology of |shape|, for connectivity queries like:
+  //   var topology = buildTopology(shape);
+  //   topology.faceNeighbors(0);     // The faces next to face 0.
+  //   topology.vertexNeighbors(3);   // The one ring around vertex 3.
+  //   topology.boundaryLoops();      // The vertex indices around each hole.
+  // Build it again after changing the quads of the Shape.
+  function buildTopology(shape) {
+    return new Topology(shape);
+  }
+
+  // Whether |i| is a valid index into an array of length |length|.
+  function isIndexInRange(i, length) {
+    return typeof(i) === 'number' && i % 1 === 0 && i >= 0 && i < length;
+  }
+
+  // Return the area of the face with the vertex indices |indices|, which is
+  // NaN if any of the vertices aren't finite.
+  function faceArea(vertices, indices) {
+    var p0 = vertices[indices[0]];
+    var vec02 = subPoints3d(vertices[indices[2]], p0);
+    var area = vecMag3d(
+        crossProduct(subPoints3d(vertices[indices[1]], p0), vec02)) / 2;
+    if (indices.length === 4) {
+      area += vecMag3d(
+          crossProduct(vec02, subPoints3d(vertices[indices[3]], p0))) / 2;
+    }
+    return area;
+  }
+
+  // A face is degenerate if it uses a vertex more than once, or has no area,
+  // either of which leaves it without a proper normal.
+  function isFaceDegenerate(vertices, indices) {
+    for (var i = 0, il = indices.length; i < il; ++i) {
+      for (var j = i + 1; j < il; ++j) {
+        if (indices[i] === indices[j])
+          return true;
+      }
+    }
+    return !(faceArea(vertices, indices) > 0);
+  }
+
+  // Whether the quad with the vertex indices |indices| is flat, the distance
+  // of the 4th point from the plane of the other 3 being no more than
+  // |epsilon| times the length of the longest diagonal.
+  function isQuadPlanar(vertices, indices, epsilon) {
+    var p0 = vertices[indices[0]], p1 = vertices[indices[1]];
+    var p2 = vertices[indices[2]], p3 = vertices[indices[3]];
+    var n1 = crossProduct(subPoints3d(p1, p0), subPoints3d(p2, p0));
+    var n2 = crossProduct(subPoints3d(p2, p0), subPoints3d(p3, p0));
+    var distance = Math.abs(dotProduct3d(n1, subPoints3d(p3, p0))) /
+        Math.max(vecMag3d(n1), vecMag3d(n2));
+    var diagonal = Math.max(vecMag3d(subPoints3d(p2, p0)),
+                            vecMag3d(subPoints3d(p3, p1)));
+    return distance <= epsilon * diagonal;
+  }
+
+  // Check |shape| for the problems that lead to NaN normals or garbage from
+  // rebuildMeta(), the Extruder, etc.  The optional |opts| can have:
+  //   - |epsilon|, the grid spacing for finding duplicate vertices, which
+  //     are the ones rounding to the same grid point, see VertexWelder.  The
+  //     default 0 only finds identical vertices.
+  //   - |planar_epsilon|, how far out of plane a quad can be, relative to
+  //     its size, see isQuadPlanar().  The default is 1e-6.
+  // Returns a report, where each problem is a list of quad indices, or of
+  // vertex index pairs:
+  //   {valid: false,
+  //    out_of_range: [quad indices using a vertex that doesn't exist],
+  //    degenerate: [quad indices repeating a vertex, or without area],
+  //    non_planar: [quad indices of quads that aren't flat],
+  //    duplicate_vertices: [[first, duplicate], ...],
+  //    non_manifold_edges: [[a, b] edges used by more than two faces],
+  //    inconsistent_edges: [[a, b] edges where the faces on each side are
+  //                         wound in opposite directions]}
+  // |valid| is true only when all of the lists are empty.  Note that the
+  // hard edges from computeVertexNormals() with a |crease_angle| are made
+  // from duplicate vertices on purpose.  See repair() to fix the problems.
+  function validate(shape, opts) {
+    opts = opts || { };
+    var epsilon = opts.epsilon || 0;
+    var planar_epsilon =
+        opts.planar_epsilon !== undefined ? opts.planar_epsilon : 1e-6;
+
+    var vertices = shape.vertices;
+    var num_vertices = vertices.length;
+    var quads = shape.quads;
+    var report = {
+      valid: true,
+      out_of_range: [ ],
+      degenerate: [ ],
+      non_planar: [ ],
+      duplicate_vertices: [ ],
+      non_manifold_edges: [ ],
+      inconsistent_edges: [ ]
+    };
+
+    var welder = new VertexWelder(new Pre3d.Shape(), epsilon);
+    var firsts = [ ];
+    for (var i = 0; i < num_vertices; ++i) {
+      var welded = welder.index(vertices[i]);
+      if (firsts[welded] === undefined) {
+        firsts[welded] = i;
+      } else {
+        report.duplicate_vertices.push([firsts[welded], i]);
+      }
+    }
+
+    // The connectivity is only checked between the faces we can index.
+    var in_range = new Pre3d.Shape();
+    in_range.vertices = vertices;
+    for (var i = 0, il = quads.length; i < il; ++i) {
+      var indices = quadIndices(quads[i]);
+      var ok = true;
+      for (var j = 0, jl = indices.length; j < jl; ++j) {
+        if (isIndexInRange(indices[j], num_vertices) !== true)
+          ok = false;
+      }
+      if (ok !== true) {
+        report.out_of_range.push(i);
+        continue;
+      }
+
+      in_range.quads.push(quads[i]);
+      if (isFaceDegenerate(vertices, indices) === true) {
+        report.degenerate.push(i);
+      } else if (indices.length === 4 &&
+                 isQuadPlanar(vertices, indices, planar_epsilon) !== true) {
+        report.non_planar.push(i);
+      }
+    }
+
+    var topology = buildTopology(in_range);
+    var half_edges = topology.half_edges;
+    for (var i = 0, il = topology.edges.length; i < il; ++i) {
+      var edge = topology.edges[i];
+      var hes = edge.half_edges;
+      if (hes.length > 2) {
+        report.non_manifold_edges.push([edge.a, edge.b]);
+      } else if (hes.length === 2 &&
+                 half_edges[hes[0]].vertex === half_edges[hes[1]].vertex) {
+        report.inconsistent_edges.push([edge.a, edge.b]);
+      }
+    }
+
+    for (var key in report) {
+      if (report[key].length > 0)
+        report.valid = false;
+    }
+
+    return report;
+  }
+
+  // Reverse the winding of the QuadFace |qf|, turning it around, along with
+  // its texture coordinate indices |uv_indices| (if not null).  The first
+  // vertex stays the first.
+  function flipFace(qf, uv_indices) {
+    if (qf.isTriangle() === true) {
+      qf.setTriangle(qf.i0, qf.i2, qf.i1);
+    } else {
+      qf.setQuad(qf.i0, qf.i3, qf.i2, qf.i1);
+    }
+    if (uv_indices !== null) {
+      var first = uv_indices.shift();
+      uv_indices.reverse();
+      uv_indices.unshift(first);
+    }
+  }
+
+  // Turn the faces of |shape| so that each connected part is wound the same
+  // way.  A closed part is made counter-clockwise from the outside, with its
+  // normals pointing out.  For an open part there is no outside, so the
+  // winding of most of its area is kept.
+  function unifyOrientation(shape) {
+    var quads = shape.quads;
+    var num_quads = quads.length;
+    var vertices = shape.vertices;
+    var topology = buildTopology(shape);
+    var half_edges = topology.half_edges;
+    var flipped = Array(num_quads);
+
+    for (var seed = 0; seed < num_quads; ++seed) {
+      if (flipped[seed] !== undefined)
+        continue;
+
+      // Walk the connected faces, flipping a face when it goes the same
+      // direction along an edge as the face we reached it from.
+      flipped[seed] = false;
+      var component = [seed];
+      var closed = true;
+      for (var c = 0; c < component.length; ++c) {
+        var f = component[c];
+        var first = topology.face_half_edges[f];
+        var he_index = first;
+        do {
+          var he = half_edges[he_index];
+          if (he.twin === -1) {
+            closed = false;
+          } else {
+            var twin = half_edges[he.twin];
+            if (flipped[twin.face] === undefined) {
+              flipped[twin.face] = flipped[f] !== (twin.vertex === he.vertex);
+              component.push(twin.face);
+            }
+          }
+          he_index = he.next;
+        } while (he_index !== first);
+      }
+
+      // Decide which way around the whole part goes, by its signed volume
+      // when closed, otherwise by the area that was flipped.
+      var volume = 0, flipped_area = 0, kept_area = 0;
+      for (var i = 0, il = component.length; i < il; ++i) {
+        var f = component[i];
+        var indices = quadIndices(quads[f]);
+        var sign = flipped[f] === true ? -1 : 1;
+        for (var j = 1, jl = indices.length - 1; j < jl; ++j) {
+          var p0 = vertices[indices[0]];
+          volume += sign * dotProduct3d(p0, crossProduct(
+              vertices[indices[j]], vertices[indices[j + 1]]));
+        }
+        if (flipped[f] === true) {
+          flipped_area += faceArea(vertices, indices);
+        } else {
+          kept_area += faceArea(vertices, indices);
+        }
+      }
+
+      if (closed === true ? volume < 0 : flipped_area > kept_area) {
+        for (var i = 0, il = component.length; i < il; ++i)
+          flipped[component[i]] = !flipped[component[i]];
+      }
+    }
+
+    for (var i = 0; i < num_quads; ++i) {
+      if (flipped[i] === true)
+        flipFace(quads[i], quadUVIndices(shape, i));
+    }
+  }
+
+  // Fix the problems found by validate(), as far as they can be fixed:
+  //   - Duplicate vertices are welded together, rounding to the same point
+  //     on a grid of |opts.epsilon|, like validate().  shape.vertex_colors
+  //     follow along.
+  //   - Faces using a vertex that doesn't exist are removed.
+  //   - A quad that repeats a vertex next to itself becomes a triangle, and
+  //     other degenerate faces are removed.  shape.quad_uvs and shape.groups
+  //     are updated to match.
+  //   - The faces are turned to all be wound the same way, counter-clockwise
+  //     like QuadFace expects, see unifyOrientation().
+  // Non-planar quads and non-manifold edges are left alone.  The metadata
+  // and vertex normals are rebuilt.
+  function repair(shape, opts) {
+    opts = opts || { };
+    var epsilon = opts.epsilon || 0;
+
+    var vertices = shape.vertices;
+    var num_vertices = vertices.length;
+    var colors = shape.vertex_colors;
+
+    // Weld, keeping the first of each set of duplicates.
+    var welder = new VertexWelder(new Pre3d.Shape(), epsilon);
+    var firsts = [ ];
+    var remap = Array(num_vertices);
+    var new_vertices = [ ];
+    var new_colors = colors !== null ? [ ] : null;
+    for (var i = 0; i < num_vertices; ++i) {
+      var welded = welder.index(vertices[i]);
+      if (firsts[welded] === undefined) {
+        firsts[welded] = new_vertices.length;
+        new_vertices.push(vertices[i]);
+        if (colors !== null)
+          new_colors.push(colors[i]);
+      }
+      remap[i] = firsts[welded];
+    }
+    shape.vertices = new_vertices;
+    shape.vertex_colors = new_colors;
+
+    var quads = shape.quads;
+    var quad_uvs = shape.quad_uvs;
+    var new_quads = [ ];
+    var new_quad_uvs = quad_uvs !== null ? [ ] : null;
+    var new_quad_indices = Array(quads.length);
+    for (var i = 0, il = quads.length; i < il; ++i) {
+      var indices = quadIndices(quads[i]);
+      var uv_indices = quadUVIndices(shape, i);
+
+      // Remap the indices, dropping any vertex repeated right after itself.
+      var kept = [ ], kept_uvs = [ ];
+      var ok = true;
+      for (var j = 0, jl = indices.length; j < jl; ++j) {
+        if (isIndexInRange(indices[j], num_vertices) !== true) {
+          ok = false;
+          break;
+        }
+        var index = remap[indices[j]];
+        if (kept.length !== 0 && kept[kept.length - 1] === index)
+          continue;
+        kept.push(index);
+        if (uv_indices !== null)
+          kept_uvs.push(uv_indices[j]);
+      }
+      if (ok === true && kept.length > 1 && kept[kept.length - 1] === kept[0]) {
+        kept.pop();
+        kept_uvs.pop();
+      }
+
+      if (ok !== true || kept.length < 3 ||
+          isFaceDegenerate(new_vertices, kept) === true) {
+        new_quad_indices[i] = -1;
+        continue;
+      }
+
+      new_quad_indices[i] = new_quads.length;
+      new_quads.push(new Pre3d.QuadFace(
+          kept[0], kept[1], kept[2], kept.length === 4 ? kept[3] : null));
+      if (quad_uvs !== null)
+        new_quad_uvs.push(uv_indices !== null ? kept_uvs : null);
+    }
+    shape.quads = new_quads;
+    shape.quad_uvs = new_quad_uvs;
+
+    if (shape.groups !== null) {
+      for (var i = 0, il = shape.groups.length; i < il; ++i) {
+        var group = shape.groups[i];
+        var new_group_quads = [ ];
+        for (var j = 0, jl = group.quads.length; j < jl; ++j) {
+          var qi = new_quad_indices[group.quads[j]];
+          if (qi !== -1)
+            new_group_quads.push(qi);
+        }
+        group.quads = new_group_quads;
+      }
+    }
+
+    unifyOrientation(shape);
+
+    rebuildMeta(shape);
+    syncVertexNormals(shape);
+    return shape;
+  }
+
   function makePlane(p1, p2, p3, p4) {
     var s = new Pre3d.Shape();
     s.vertices = [p1, p2, p3, p4];
@@ -376,7 +1258,7 @@ Pre3d.ShapeUtils = (function() {
     ];
     // Top 4 triangles: 5 0 1, 5 1 2, 5 2 3, 5 3 0
     // Bottom 4 triangles: 0 5 1, 1 5 2, 2 5 3, 3 5 0
-    quads = Array(8);
+    var quads = Array(8);
     for (var i = 0; i < 4; ++i) {
       var i2 = (i + 1) & 3;
       quads[i*2] = new Pre3d.QuadFace(4, i, i2, null);
@@ -418,24 +1300,11 @@ Pre3d.ShapeUtils = (function() {
     var vertices = shape.vertices;
     var psl = vertices.length;
     var new_ps = Array(psl);
-
-    // Build a connection mapping of vertex_index -> [ quad indexes ]
-    var connections = Array(psl);
-    for (var i = 0; i < psl; ++i)
-      connections[i] = [ ];
-
-    for (var i = 0, il = shape.quads.length; i < il; ++i) {
-      var qf = shape.quads[i];
-      connections[qf.i0].push(i);
-      connections[qf.i1].push(i);
-      connections[qf.i2].push(i);
-      if (!qf.isTriangle())
-        connections[qf.i3].push(i);
-    }
+    var topology = buildTopology(shape);
 
     // For every vertex, average the centroids of the faces it's a part of.
     for (var i = 0, il = vertices.length; i < il; ++i) {
-      var cs = connections[i];
+      var cs = topology.vertexFaces(i);
       var avg = {x: 0, y: 0, z: 0};
 
       // Sum together the centroids of each face.
@@ -466,6 +1335,7 @@ Pre3d.ShapeUtils = (function() {
     shape.vertices = new_ps;
 
     rebuildMeta(shape);
+    syncVertexNormals(shape, true);
     return shape;
   }
 
@@ -479,12 +1349,47 @@ Pre3d.ShapeUtils = (function() {
     return out;
   }
 
-  // Divide each face of a Shape into 4 equal new faces.
+  // Return the index of the vertex in the middle of the edge between the
+  // vertices |a| and |b|, adding it to |shape| the first time.  The indices
+  // already added are cached in |edge_points|, by the |topology| edge index.
+  function edgeCentroid(shape, topology, edge_points, a, b) {
+    var edge_index = topology.edgeIndex(a, b);
+    var centroid_index = edge_points[edge_index];
+    if (centroid_index === undefined) {  // hasn't been seen before
+      centroid_index = addAveragedVertex(shape, [a, b]);
+      edge_points[edge_index] = centroid_index;
+    }
+    return centroid_index;
+  }
+
+  // Add a new vertex to |shape| at the average of the vertices |indices|,
+  // and with the average of their shape.vertex_colors, returning its index.
+  function addAveragedVertex(shape, indices) {
+    var vertices = shape.vertices;
+    var index = vertices.length;
+    vertices.push(averagePoints(
+        arrayMap(indices, function(x) { return vertices[x]; })));
+    var colors = shape.vertex_colors;
+    if (colors !== null)
+      colors[index] = averageColors(
+          arrayMap(indices, function(x) { return colors[x]; }));
+    return index;
+  }
+
+  // Divide each face of a Shape into 4 equal new faces.  The texture
+  // coordinates in shape.quad_uvs are split along with the faces, and the new
+  // faces join the shape.groups of the face they came from.
   // TODO(deanm): Better document, doesn't support triangles, etc.
   function linearSubdivide(shape) {
     var num_quads = shape.quads.length;
 
-    var share_points = { };
+    // The new vertex index at the middle of each edge, shared between the
+    // faces on each side of it, so we don't create two on top of each other.
+    var topology = buildTopology(shape);
+    var edge_points = Array(topology.edges.length);
+    var has_uvs = shape.uvs !== null && shape.quad_uvs !== null;
+    var uv_points = { };
+    var children = Array(num_quads);
 
     for (var i = 0; i < num_quads; ++i) {
       var quad = shape.quads[i];
@@ -494,42 +1399,20 @@ Pre3d.ShapeUtils = (function() {
       var i2 = quad.i2;
       var i3 = quad.i3;
 
-      var p0 = shape.vertices[i0];
-      var p1 = shape.vertices[i1];
-      var p2 = shape.vertices[i2];
-      var p3 = shape.vertices[i3];
-
       //  p0   p1      p0  n0  p1
       //           ->  n3  n4  n1
       //  p3   p2      p3  n2  p2
 
       // We end up with an array of vertex indices of the centroids of each
-      // side of the quad and the middle centroid.  We start with the vertex
-      // indices that should be averaged.  We cache centroids to make sure that
-      // we share vertices instead of creating two on top of each other.
+      // side of the quad and the middle centroid.
       var ni = [
-        [i0, i1].sort(),
-        [i1, i2].sort(),
-        [i2, i3].sort(),
-        [i3, i0].sort(),
-        [i0, i1, i2, i3].sort()
+        edgeCentroid(shape, topology, edge_points, i0, i1),
+        edgeCentroid(shape, topology, edge_points, i1, i2),
+        edgeCentroid(shape, topology, edge_points, i2, i3),
+        edgeCentroid(shape, topology, edge_points, i3, i0),
+        addAveragedVertex(shape, [i0, i1, i2, i3])
       ];
 
-      for (var j = 0, jl = ni.length; j < jl; ++j) {
-        var ps = ni[j];
-        var key = ps.join('-');
-        var centroid_index = share_points[key];
-        if (centroid_index === undefined) {  // hasn't been seen before
-          centroid_index = shape.vertices.length;
-          var s = shape;
-          shape.vertices.push(averagePoints(
-              arrayMap(ps, function(x) { return s.vertices[x]; })));
-          share_points[key] = centroid_index;
-        }
-
-        ni[j] = centroid_index;
-      }
-
       // New quads ...
       var q0 = new Pre3d.QuadFace(   i0, ni[0], ni[4], ni[3]);
       var q1 = new Pre3d.QuadFace(ni[0],    i1, ni[1], ni[4]);
@@ -540,19 +1423,50 @@ Pre3d.ShapeUtils = (function() {
       shape.quads.push(q1);
       shape.quads.push(q2);
       shape.quads.push(q3);
+      var first = shape.quads.length - 3;
+      children[i] = [first, first + 1, first + 2];
+
+      if (has_uvs === true) {
+        var t = quadUVIndices(shape, i);
+        var new_uvs = [null, null, null, null];
+        if (t !== null) {
+          var ti = [
+            averagedUV(shape, uv_points, [t[0], t[1]]),
+            averagedUV(shape, uv_points, [t[1], t[2]]),
+            averagedUV(shape, uv_points, [t[2], t[3]]),
+            averagedUV(shape, uv_points, [t[3], t[0]]),
+            averagedUV(shape, uv_points, t)
+          ];
+          new_uvs = [[t[0], ti[0], ti[4], ti[3]],
+                     [ti[0], t[1], ti[1], ti[4]],
+                     [ti[4], ti[1], t[2], ti[2]],
+                     [ti[3], ti[4], ti[2], t[3]]];
+        }
+        shape.quad_uvs[i] = new_uvs[0];
+        shape.quad_uvs[first] = new_uvs[1];
+        shape.quad_uvs[first + 1] = new_uvs[2];
+        shape.quad_uvs[first + 2] = new_uvs[3];
+      }
     }
 
+    addChildrenToGroups(shape, children);
     rebuildMeta(shape);
+    syncVertexNormals(shape);
     return shape;
   }
 
   // Divide each triangle of a Shape into 4 new triangle faces.  This is done
   // by taking the mid point of each edge, and creating 4 new triangles.  You
   // can visualize it by inscribing a new upside-down triangle within the
-  // current triangle, which then defines 4 new sub-triangles.
+  // current triangle, which then defines 4 new sub-triangles.  Like
+  // linearSubdivide(), shape.quad_uvs and shape.groups follow along.
   function linearSubdivideTri(shape) {
     var num_tris = shape.quads.length;
-    var share_points = { };
+    var topology = buildTopology(shape);
+    var edge_points = Array(topology.edges.length);
+    var has_uvs = shape.uvs !== null && shape.quad_uvs !== null;
+    var uv_points = { };
+    var children = Array(num_tris);
 
     for (var i = 0; i < num_tris; ++i) {
       var tri = shape.quads[i];
@@ -561,39 +1475,18 @@ Pre3d.ShapeUtils = (function() {
       var i1 = tri.i1;
       var i2 = tri.i2;
 
-      var p0 = shape.vertices[i0];
-      var p1 = shape.vertices[i1];
-      var p2 = shape.vertices[i2];
-
       //     p0                 p0
       //              ->      n0  n2
       // p1      p2         p1  n1  p2
 
       // We end up with an array of vertex indices of the centroids of each
-      // side of the triangle.  We start with the vertex indices that should be
-      // averaged.  We cache centroids to make sure that we share vertices
-      // instead of creating two on top of each other.
+      // side of the triangle.
       var ni = [
-        [i0, i1].sort(),
-        [i1, i2].sort(),
-        [i2, i0].sort(),
+        edgeCentroid(shape, topology, edge_points, i0, i1),
+        edgeCentroid(shape, topology, edge_points, i1, i2),
+        edgeCentroid(shape, topology, edge_points, i2, i0)
       ];
 
-      for (var j = 0, jl = ni.length; j < jl; ++j) {
-        var ps = ni[j];
-        var key = ps.join('-');
-        var centroid_index = share_points[key];
-        if (centroid_index === undefined) {  // hasn't been seen before
-          centroid_index = shape.vertices.length;
-          var s = shape;
-          shape.vertices.push(averagePoints(
-              arrayMap(ps, function(x) { return s.vertices[x]; })));
-          share_points[key] = centroid_index;
-        }
-
-        ni[j] = centroid_index;
-      }
-
       // New triangles ...
       var q0 = new Pre3d.QuadFace(   i0, ni[0], ni[2], null);
       var q1 = new Pre3d.QuadFace(ni[0],    i1, ni[1], null);
@@ -604,38 +1497,1943 @@ Pre3d.ShapeUtils = (function() {
       shape.quads.push(q1);
       shape.quads.push(q2);
       shape.quads.push(q3);
+      var first = shape.quads.length - 3;
+      children[i] = [first, first + 1, first + 2];
+
+      if (has_uvs === true) {
+        var t = quadUVIndices(shape, i);
+        var new_uvs = [null, null, null, null];
+        if (t !== null) {
+          var ti = [
+            averagedUV(shape, uv_points, [t[0], t[1]]),
+            averagedUV(shape, uv_points, [t[1], t[2]]),
+            averagedUV(shape, uv_points, [t[2], t[0]])
+          ];
+          new_uvs = [[t[0], ti[0], ti[2]],
+                     [ti[0], t[1], ti[1]],
+                     [ti[2], ti[1], t[2]],
+                     [ti[0], ti[1], ti[2]]];
+        }
+        shape.quad_uvs[i] = new_uvs[0];
+        shape.quad_uvs[first] = new_uvs[1];
+        shape.quad_uvs[first + 1] = new_uvs[2];
+        shape.quad_uvs[first + 2] = new_uvs[3];
+      }
     }
 
+    addChildrenToGroups(shape, children);
     rebuildMeta(shape);
+    syncVertexNormals(shape);
     return shape;
   }
 
-  // Detach all of the faces from each other.  Basically this just duplicates
-  // all of the vertices for each face, so a vertex is not shared across faces.
-  function explodeFaces(shape) {
-    var quads = shape.quads;
-    var num_quads = quads.length;
-    var verts = shape.vertices;
-    var new_verts = [ ];
-    for (var i = 0; i < num_quads; ++i) {
-      var q = quads[i];
-      var pos = new_verts.length;
-      new_verts.push({x: verts[q.i0].x, y: verts[q.i0].y, z: verts[q.i0].z});
-      new_verts.push({x: verts[q.i1].x, y: verts[q.i1].y, z: verts[q.i1].z});
-      new_verts.push({x: verts[q.i2].x, y: verts[q.i2].y, z: verts[q.i2].z});
-      q.i0 = pos;
-      q.i1 = pos + 1;
-      q.i2 = pos + 2;
-      if (q.isTriangle() !== true) {
-        new_verts.push({x: verts[q.i3].x, y: verts[q.i3].y, z: verts[q.i3].z});
-        q.i3 = pos + 3;
-      }
+  // Return the key for the edge between the vertices |a| and |b|, the same
+  // no matter which direction the edge is going.
+  function edgeKey(a, b) {
+    return a < b ? a + '-' + b : b + '-' + a;
+  }
+
+  // Return the vertex indices of the QuadFace |qf| as an array.
+  function quadIndices(qf) {
+    return qf.isTriangle() === true ? [qf.i0, qf.i1, qf.i2] :
+        [qf.i0, qf.i1, qf.i2, qf.i3];
+  }
+
+  // Return the average of the RGBA colors |cs|.  Missing colors (null or
+  // undefined) are left out, and if they are all missing, returns null.
+  function averageColors(cs) {
+    var r = 0, g = 0, b = 0, a = 0, n = 0;
+    for (var i = 0, il = cs.length; i < il; ++i) {
+      var c = cs[i];
+      if (c === undefined || c === null)
+        continue;
+      r += c.r; g += c.g; b += c.b; a += c.a;
+      ++n;
     }
-    shape.vertices = new_verts;
-    return shape;
+    if (n === 0)
+      return null;
+    var f = 1 / n;
+    return new Pre3d.RGBA(r * f, g * f, b * f, a * f);
   }
 
-  // The Extruder implements extruding faces of a Shape.  The class mostly
+  // Catmull-Clark subdivision, |levels| times (default 1).  Each face is
+  // split into quads, one for each of its corners, and the vertices are
+  // moved with the proper weights, smoothing the Shape towards a limit
+  // surface.  Edges used by only one face (the boundary of an open Shape,
+  // like the hole of makeBoxWithHole) are kept sharp, and follow a cubic
+  // B-spline curve.  The optional |creases| is an array of edges to also keep
+  // sharp, as pairs of vertex indices like [[0, 1], [1, 2]].  The result is
+  // all quads, and updates shape.vertex_colors and shape.groups.  Texture
+  // coordinates can't be carried along, and are removed.
+  // Reference: "Recursively generated B-spline surfaces on arbitrary
+  // topological meshes" by Catmull and Clark, and for the boundaries and
+  // creases "Piecewise Smooth Surface Reconstruction" by Hoppe et al.
+  function catmullClark(shape, levels, creases) {
+    if (levels === undefined)
+      levels = 1;
+    creases = creases || [ ];
+
+    for (var level = 0; level < levels; ++level)
+      creases = catmullClarkStep(shape, creases);
+
+    rebuildMeta(shape);
+    syncVertexNormals(shape);
+    return shape;
+  }
+
+  // A single level of catmullClark(), returning the new crease edges.
+  function catmullClarkStep(shape, creases) {
+    var vertices = shape.vertices;
+    var num_vertices = vertices.length;
+    var quads = shape.quads;
+    var num_quads = quads.length;
+
+    var crease_keys = { };
+    for (var i = 0, il = creases.length; i < il; ++i)
+      crease_keys[edgeKey(creases[i][0], creases[i][1])] = true;
+
+    // Face points, the centroid of each face.
+    var face_indices = Array(num_quads);
+    var face_points = Array(num_quads);
+    for (var i = 0; i < num_quads; ++i) {
+      var indices = quadIndices(quads[i]);
+      face_indices[i] = indices;
+      face_points[i] = averagePoints(
+          arrayMap(indices, function(x) { return vertices[x]; }));
+    }
+
+    var topology = buildTopology(shape);
+    var edges = topology.edges;
+
+    // Edges with a face on only one side (or on more than two, which isn't
+    // something we can smooth), or marked as creases are sharp.
+    var sharp_edges = Array(edges.length);
+    for (var i = 0, il = edges.length; i < il; ++i) {
+      var edge = edges[i];
+      sharp_edges[i] = edge.faces.length !== 2 ||
+          crease_keys[edgeKey(edge.a, edge.b)] === true;
+    }
+
+    // Edge points.  Sharp edges are just split in the middle, otherwise
+    // average the end points and the face points of the faces on each side.
+    var edge_points = Array(edges.length);
+    for (var i = 0, il = edges.length; i < il; ++i) {
+      var edge = edges[i];
+      var pa = vertices[edge.a], pb = vertices[edge.b];
+      if (sharp_edges[i] === true) {
+        edge_points[i] = averagePoints([pa, pb]);
+      } else {
+        edge_points[i] = averagePoints(
+            [pa, pb, face_points[edge.faces[0]], face_points[edge.faces[1]]]);
+      }
+    }
+
+    // Vertex points.
+    var new_vertices = [ ];
+    for (var i = 0; i < num_vertices; ++i) {
+      var p = vertices[i];
+      var vfs = topology.vertexFaces(i);
+      var ves = topology.vertex_edges[i];
+
+      var sharp = [ ];
+      for (var j = 0, jl = ves.length; j < jl; ++j) {
+        if (sharp_edges[ves[j]] === true)
+          sharp.push(edges[ves[j]]);
+      }
+
+      if (vfs.length === 0 || sharp.length > 2) {
+        // Unused, or a corner, it stays put.
+        new_vertices.push({x: p.x, y: p.y, z: p.z});
+      } else if (sharp.length === 2) {
+        // Along a boundary or crease, 3/4 of the point and 1/8 of each of
+        // the two neighbors along the sharp edges.
+        var n0 = vertices[sharp[0].a === i ? sharp[0].b : sharp[0].a];
+        var n1 = vertices[sharp[1].a === i ? sharp[1].b : sharp[1].a];
+        new_vertices.push({
+          x: p.x * 0.75 + (n0.x + n1.x) * 0.125,
+          y: p.y * 0.75 + (n0.y + n1.y) * 0.125,
+          z: p.z * 0.75 + (n0.z + n1.z) * 0.125
+        });
+      } else {
+        // (Q + 2R + (n - 3)P) / n, where Q is the average of the face points,
+        // R the average of the edge mid points, and n the valence.
+        var q = averagePoints(
+            arrayMap(vfs, function(x) { return face_points[x]; }));
+        var r = averagePoints(arrayMap(ves, function(x) {
+          return averagePoints([vertices[edges[x].a], vertices[edges[x].b]]);
+        }));
+        var n = ves.length;
+        new_vertices.push({
+          x: (q.x + 2 * r.x + (n - 3) * p.x) / n,
+          y: (q.y + 2 * r.y + (n - 3) * p.y) / n,
+          z: (q.z + 2 * r.z + (n - 3) * p.z) / n
+        });
+      }
+    }
+
+    // The new vertices are the vertex points (keeping their indices), then
+    // the edge points, then the face points.
+    var edge_base = new_vertices.length;
+    for (var i = 0, il = edges.length; i < il; ++i)
+      new_vertices.push(edge_points[i]);
+    var face_base = new_vertices.length;
+    for (var i = 0; i < num_quads; ++i)
+      new_vertices.push(face_points[i]);
+
+    // A quad for each corner of each face.  They are in order, so the
+    // children of face i start at first_child[i].
+    var new_quads = [ ];
+    var first_child = Array(num_quads);
+    for (var i = 0; i < num_quads; ++i) {
+      var indices = face_indices[i];
+      var fi = face_base + i;
+      first_child[i] = new_quads.length;
+      for (var j = 0, jl = indices.length; j < jl; ++j) {
+        var prev = indices[(j + jl - 1) % jl];
+        var cur = indices[j];
+        var next = indices[(j + 1) % jl];
+        new_quads.push(new Pre3d.QuadFace(
+            cur,
+            edge_base + topology.edgeIndex(cur, next),
+            fi,
+            edge_base + topology.edgeIndex(prev, cur)));
+      }
+    }
+
+    // Colors are interpolated linearly, like the points before smoothing.
+    var colors = shape.vertex_colors;
+    if (colors !== null) {
+      var new_colors = colors.slice(0, num_vertices);
+      new_colors.length = num_vertices;  // Any missing colors stay missing.
+      for (var i = 0, il = edges.length; i < il; ++i) {
+        var edge = edges[i];
+        new_colors.push(averageColors([colors[edge.a], colors[edge.b]]));
+      }
+      for (var i = 0; i < num_quads; ++i) {
+        new_colors.push(averageColors(
+            arrayMap(face_indices[i], function(x) { return colors[x]; })));
+      }
+      shape.vertex_colors = new_colors;
+    }
+
+    if (shape.groups !== null) {
+      for (var i = 0, il = shape.groups.length; i < il; ++i) {
+        var group = shape.groups[i];
+        var new_group_quads = [ ];
+        for (var j = 0, jl = group.quads.length; j < jl; ++j) {
+          var qi = group.quads[j];
+          for (var k = 0, kl = face_indices[qi].length; k < kl; ++k)
+            new_group_quads.push(first_child[qi] + k);
+        }
+        group.quads = new_group_quads;
+      }
+    }
+
+    shape.vertices = new_vertices;
+    shape.quads = new_quads;
+    shape.uvs = null;
+    shape.quad_uvs = null;
+
+    // Each crease edge is now two edges, through its edge point.
+    var new_creases = [ ];
+    for (var i = 0, il = creases.length; i < il; ++i) {
+      var a = creases[i][0], b = creases[i][1];
+      var edge_index = topology.edgeIndex(a, b);
+      if (edge_index === -1)
+        continue;
+      var ep = edge_base + edge_index;
+      new_creases.push([a, ep], [ep, b]);
+    }
+    return new_creases;
+  }
+
+  // Loop subdivision, |levels| times (default 1).  Each triangle is split
+  // into 4, like linearSubdivideTri, but the vertices are moved with the
+  // Loop weights, smoothing the Shape towards a limit surface.  Edges used by
+  // only one triangle (the boundary of an open Shape) are smoothed as a
+  // curve, and don't pull the surface away from the boundary.  Any quads are
+  // first split with triangulate().  The per vertex shape.vertex_colors, the
+  // texture coordinates, and shape.groups are carried along, interpolated
+  // linearly.  Normals from computeVertexNormals() are computed again, and
+  // other shape.vertex_normals, like ones loaded from a file, are
+  // interpolated too, and normalized.
+  // Reference: "Smooth Subdivision Surfaces Based on Triangles" by Loop.
+  function loopSubdivide(shape, levels) {
+    if (levels === undefined)
+      levels = 1;
+
+    triangulate(shape);
+    for (var level = 0; level < levels; ++level)
+      loopSubdivideStep(shape);
+
+    rebuildMeta(shape);
+    syncVertexNormals(shape, true);
+    return shape;
+  }
+
+  // A single level of loopSubdivide(), on a Shape of only triangles.
+  function loopSubdivideStep(shape) {
+    var vertices = shape.vertices;
+    var num_vertices = vertices.length;
+    var tris = shape.quads;
+    var num_tris = tris.length;
+
+    var topology = buildTopology(shape);
+    var half_edges = topology.half_edges;
+    var edges = topology.edges;
+
+    // Edge points.  Interior edges are 3/8 of each end point and 1/8 of
+    // each opposite vertex, boundary edges are just split in the middle.
+    // In a triangle, the vertex opposite of a half-edge starts the previous.
+    var new_vertices = Array(num_vertices);
+    for (var i = 0, il = edges.length; i < il; ++i) {
+      var edge = edges[i];
+      var pa = vertices[edge.a], pb = vertices[edge.b];
+      var p;
+      if (edge.faces.length === 2) {
+        var hes = edge.half_edges;
+        var pc = vertices[half_edges[half_edges[hes[0]].prev].vertex];
+        var pd = vertices[half_edges[half_edges[hes[1]].prev].vertex];
+        p = {
+          x: (pa.x + pb.x) * 0.375 + (pc.x + pd.x) * 0.125,
+          y: (pa.y + pb.y) * 0.375 + (pc.y + pd.y) * 0.125,
+          z: (pa.z + pb.z) * 0.375 + (pc.z + pd.z) * 0.125
+        };
+      } else {
+        p = averagePoints([pa, pb]);
+      }
+      new_vertices[num_vertices + i] = p;
+    }
+
+    // Vertex points.
+    for (var i = 0; i < num_vertices; ++i) {
+      var p = vertices[i];
+      var es = arrayMap(topology.vertex_edges[i],
+                        function(x) { return edges[x]; });
+      var n = es.length;
+
+      var boundary = [ ];
+      for (var j = 0; j < n; ++j) {
+        if (es[j].faces.length !== 2)
+          boundary.push(es[j]);
+      }
+
+      if (n === 0 || boundary.length > 2) {
+        // Unused, or something non-manifold, it stays put.
+        new_vertices[i] = {x: p.x, y: p.y, z: p.z};
+      } else if (boundary.length !== 0) {
+        // On the boundary, 3/4 of the point and 1/8 of the two neighbors
+        // along the boundary.
+        var n0 = vertices[boundary[0].a === i ? boundary[0].b : boundary[0].a];
+        var n1 = boundary.length === 2 ?
+            vertices[boundary[1].a === i ? boundary[1].b : boundary[1].a] : p;
+        new_vertices[i] = {
+          x: p.x * 0.75 + (n0.x + n1.x) * 0.125,
+          y: p.y * 0.75 + (n0.y + n1.y) * 0.125,
+          z: p.z * 0.75 + (n0.z + n1.z) * 0.125
+        };
+      } else {
+        // (1 - n * beta) of the point, and beta of each of its n neighbors.
+        var c = 0.375 + 0.25 * Math.cos(k2PI / n);
+        var beta = (0.625 - c * c) / n;
+        var sum = {x: 0, y: 0, z: 0};
+        for (var j = 0; j < n; ++j) {
+          var q = vertices[es[j].a === i ? es[j].b : es[j].a];
+          sum.x += q.x;
+          sum.y += q.y;
+          sum.z += q.z;
+        }
+        var w = 1 - n * beta;
+        new_vertices[i] = {
+          x: p.x * w + sum.x * beta,
+          y: p.y * w + sum.y * beta,
+          z: p.z * w + sum.z * beta
+        };
+      }
+    }
+
+    // Texture coordinates are split along with the triangles, sharing the
+    // new coordinates between triangles that shared both of the old ones.
+    var has_uvs = shape.uvs !== null && shape.quad_uvs !== null;
+    var new_quad_uvs = has_uvs === true ? [ ] : null;
+    var uv_points = { };
+
+    //     p0                 p0
+    //              ->      n0  n2
+    // p1      p2         p1  n1  p2
+    var new_tris = [ ];
+    for (var i = 0; i < num_tris; ++i) {
+      var tri = tris[i];
+      var i0 = tri.i0, i1 = tri.i1, i2 = tri.i2;
+      var n0 = num_vertices + topology.edgeIndex(i0, i1);
+      var n1 = num_vertices + topology.edgeIndex(i1, i2);
+      var n2 = num_vertices + topology.edgeIndex(i2, i0);
+      new_tris.push(new Pre3d.QuadFace(i0, n0, n2, null),
+                    new Pre3d.QuadFace(n0, i1, n1, null),
+                    new Pre3d.QuadFace(n2, n1, i2, null),
+                    new Pre3d.QuadFace(n0, n1, n2, null));
+
+      if (has_uvs === true) {
+        var t = quadUVIndices(shape, i);
+        if (t === null) {
+          new_quad_uvs.push(null, null, null, null);
+        } else {
+          var t0 = averagedUV(shape, uv_points, [t[0], t[1]]);
+          var t1 = averagedUV(shape, uv_points, [t[1], t[2]]);
+          var t2 = averagedUV(shape, uv_points, [t[2], t[0]]);
+          new_quad_uvs.push([t[0], t0, t2], [t0, t[1], t1],
+                            [t2, t1, t[2]], [t0, t1, t2]);
+        }
+      }
+    }
+
+    var colors = shape.vertex_colors;
+    if (colors !== null) {
+      var new_colors = colors.slice(0, num_vertices);
+      new_colors.length = num_vertices;  // Any missing colors stay missing.
+      for (var i = 0, il = edges.length; i < il; ++i) {
+        var edge = edges[i];
+        new_colors.push(averageColors([colors[edge.a], colors[edge.b]]));
+      }
+      shape.vertex_colors = new_colors;
+    }
+
+    // Loaded normals are interpolated like the colors.  Any corner normals
+    // are left out, the new corners use the normals of their vertices.
+    var normals = shape.vertex_normals;
+    if (normals !== null && shape.vertex_normal_options === null) {
+      var new_normals = normals.slice(0, num_vertices);
+      for (var i = 0, il = edges.length; i < il; ++i) {
+        var edge = edges[i];
+        var sum = addPoints3d(normals[edge.a], normals[edge.b]);
+        new_normals.push(vecMag3d(sum) > 0 ? unitVector3d(sum) :
+                                             normals[edge.a]);
+      }
+      shape.vertex_normals = new_normals;
+      shape.quad_normals = null;
+    }
+
+    // The 4 children of triangle i are at 4 * i.
+    if (shape.groups !== null) {
+      for (var i = 0, il = shape.groups.length; i < il; ++i) {
+        var group = shape.groups[i];
+        var new_group_quads = [ ];
+        for (var j = 0, jl = group.quads.length; j < jl; ++j) {
+          var qi = group.quads[j] * 4;
+          new_group_quads.push(qi, qi + 1, qi + 2, qi + 3);
+        }
+        group.quads = new_group_quads;
+      }
+    }
+
+    shape.vertices = new_vertices;
+    shape.quads = new_tris;
+    if (has_uvs === true)
+      shape.quad_uvs = new_quad_uvs;
+  }
+
+  // Constructive solid geometry, boolean operations between two closed
+  // Shapes, using BSP trees like the Renderer's BSP sorting.  The faces of
+  // each Shape are polygons {points, n, d}, with the plane n . p + d = 0.
+  // The tree for a Shape has each node split by the plane of one of its
+  // polygons, with the polygons in that plane, and subtrees for the polygons
+  // in front of and behind it.  Since the Shape is closed, a point behind
+  // the leaf it falls into is inside the solid.  Clipping the polygons of one
+  // Shape to the tree of the other removes the parts inside (or outside) of
+  // it, and the results are merged.
+  // Reference: "Merging BSP Trees Yields Polyhedral Set Operations" by
+  // Naylor, Amanatides, and Thibault, and Evan Wallace's csg.js.
+  var kCSGEpsilon = 1e-5;
+
+  // Return a polygon with the |points|, in the plane with the normal |n|.
+  function makeCSGPolygon(points, n) {
+    return {points: points, n: n, d: -dotProduct3d(n, points[0])};
+  }
+
+  // Return a copy of the polygon |poly| turned around, facing the other way.
+  function flipCSGPolygon(poly) {
+    return {
+      points: poly.points.slice(0).reverse(),
+      n: mulPoint3d(poly.n, -1),
+      d: -poly.d
+    };
+  }
+
+  // Return the faces of |shape| as polygons, in the same space.  Quads that
+  // aren't flat are split into two triangles, and degenerate faces (which
+  // don't have a plane) are skipped.
+  function shapeToCSGPolygons(shape) {
+    var vertices = shape.vertices;
+    var polys = [ ];
+    for (var i = 0, il = shape.quads.length; i < il; ++i) {
+      var indices = quadIndices(shape.quads[i]);
+      if (isFaceDegenerate(vertices, indices) === true)
+        continue;
+
+      var faces = [indices];
+      if (indices.length === 4 &&
+          isQuadPlanar(vertices, indices, kCSGEpsilon) !== true) {
+        faces = [[indices[0], indices[1], indices[2]],
+                 [indices[0], indices[2], indices[3]]];
+      }
+
+      for (var j = 0, jl = faces.length; j < jl; ++j) {
+        var points = arrayMap(faces[j], function(x) {
+          return {x: vertices[x].x, y: vertices[x].y, z: vertices[x].z};
+        });
+        // Sum the normals of the triangles, in case one is tiny.
+        var n = {x: 0, y: 0, z: 0};
+        for (var k = 1, kl = points.length - 1; k < kl; ++k) {
+          n = addPoints3d(n, crossProduct(
+              subPoints3d(points[k], points[0]),
+              subPoints3d(points[k + 1], points[0])));
+        }
+        polys.push(makeCSGPolygon(points, unitVector3d(n)));
+      }
+    }
+    return polys;
+  }
+
+  // Split the polygon |poly| by the plane of the BSP |node|, adding it or
+  // its pieces to the arrays.  Polygons in the plane go to |coplanar_front|
+  // or |coplanar_back|, depending on which way they are facing.
+  function splitCSGPolygon(node, poly, coplanar_front, coplanar_back,
+                           front, back) {
+    var points = poly.points;
+    var num_points = points.length;
+    var dists = Array(num_points);
+    var num_front = 0, num_back = 0;
+    for (var i = 0; i < num_points; ++i) {
+      var dist = dotProduct3d(node.n, points[i]) + node.d;
+      dists[i] = dist;
+      if (dist > kCSGEpsilon) {
+        ++num_front;
+      } else if (dist < -kCSGEpsilon) {
+        ++num_back;
+      }
+    }
+
+    if (num_front === 0 && num_back === 0) {
+      if (dotProduct3d(node.n, poly.n) > 0) {
+        coplanar_front.push(poly);
+      } else {
+        coplanar_back.push(poly);
+      }
+    } else if (num_back === 0) {
+      front.push(poly);
+    } else if (num_front === 0) {
+      back.push(poly);
+    } else {
+      // Spanning, the points within epsilon of the plane go on both sides,
+      // and there's a new point on each edge crossing the plane.
+      var front_points = [ ], back_points = [ ];
+      for (var i = 0; i < num_points; ++i) {
+        var j = (i + 1) % num_points;
+        var di = dists[i], dj = dists[j];
+        if (di >= -kCSGEpsilon)
+          front_points.push(points[i]);
+        if (di <= kCSGEpsilon)
+          back_points.push(points[i]);
+        if ((di > kCSGEpsilon && dj < -kCSGEpsilon) ||
+            (di < -kCSGEpsilon && dj > kCSGEpsilon)) {
+          var p = linearInterpolatePoints3d(points[i], points[j],
+                                            di / (di - dj));
+          front_points.push(p);
+          back_points.push(p);
+        }
+      }
+      if (front_points.length >= 3)
+        front.push({points: front_points, n: poly.n, d: poly.d});
+      if (back_points.length >= 3)
+        back.push({points: back_points, n: poly.n, d: poly.d});
+    }
+  }
+
+  // The trees below are built and walked with explicit stacks instead of
+  // recursion.  The faces of a closed convex Shape are all behind each other,
+  // so its tree is a single chain, one node deep for every face.
+
+  // Add the polygons |polys| to the BSP tree |root|, creating it when null.
+  // Returns the root.
+  function buildCSGTree(root, polys) {
+    // Each entry is the polygons for a subtree, and where to attach it if the
+    // subtree doesn't exist yet.
+    var stack = [{node: root, polys: polys, parent: null, side: null}];
+
+    while (stack.length !== 0) {
+      var entry = stack.pop();
+      var entry_polys = entry.polys;
+      if (entry_polys.length === 0)
+        continue;
+
+      var node = entry.node;
+      if (node === null) {
+        node = {n: entry_polys[0].n, d: entry_polys[0].d, polys: [ ],
+                front: null, back: null};
+        if (entry.parent === null) {
+          root = node;
+        } else {
+          entry.parent[entry.side] = node;
+        }
+      }
+
+      var front = [ ], back = [ ];
+      for (var i = 0, il = entry_polys.length; i < il; ++i) {
+        splitCSGPolygon(node, entry_polys[i], node.polys, node.polys,
+                        front, back);
+      }
+
+      stack.push({node: node.front, polys: front, parent: node, side: 'front'});
+      stack.push({node: node.back, polys: back, parent: node, side: 'back'});
+    }
+
+    return root;
+  }
+
+  // Turn the solid of the BSP tree |root| inside out, in place.
+  function invertCSGTree(root) {
+    var stack = [root];
+    while (stack.length !== 0) {
+      var node = stack.pop();
+      if (node === null)
+        continue;
+
+      for (var i = 0, il = node.polys.length; i < il; ++i)
+        node.polys[i] = flipCSGPolygon(node.polys[i]);
+      node.n = mulPoint3d(node.n, -1);
+      node.d = -node.d;
+
+      var front = node.front;
+      node.front = node.back;
+      node.back = front;
+      stack.push(node.front, node.back);
+    }
+  }
+
+  // Return the parts of the polygons |polys| outside of the solid of the BSP
+  // tree |root|.
+  function clipCSGPolygons(root, polys) {
+    var out = [ ];
+    // The front is pushed last, so it's finished before the back, keeping
+    // the polygons in the order of the tree.
+    var stack = [{node: root, polys: polys}];
+
+    while (stack.length !== 0) {
+      var entry = stack.pop();
+      var node = entry.node;
+      var entry_polys = entry.polys;
+      if (node === null) {
+        for (var i = 0, il = entry_polys.length; i < il; ++i)
+          out.push(entry_polys[i]);
+        continue;
+      }
+
+      var front = [ ], back = [ ];
+      for (var i = 0, il = entry_polys.length; i < il; ++i)
+        splitCSGPolygon(node, entry_polys[i], front, back, front, back);
+
+      // Behind a leaf is inside the solid, so those parts are dropped.
+      if (node.back !== null)
+        stack.push({node: node.back, polys: back});
+      stack.push({node: node.front, polys: front});
+    }
+
+    return out;
+  }
+
+  // Remove the parts of the polygons in the BSP tree |root| that are inside
+  // the solid of the BSP tree |other|, in place.
+  function clipCSGTree(root, other) {
+    var stack = [root];
+    while (stack.length !== 0) {
+      var node = stack.pop();
+      if (node === null)
+        continue;
+
+      node.polys = clipCSGPolygons(other, node.polys);
+      stack.push(node.back, node.front);
+    }
+  }
+
+  // Append all of the polygons in the BSP tree |root| to |out|, each node
+  // before its front and then its back subtree.
+  function allCSGPolygons(root, out) {
+    var stack = [root];
+    while (stack.length !== 0) {
+      var node = stack.pop();
+      if (node === null)
+        continue;
+
+      for (var i = 0, il = node.polys.length; i < il; ++i)
+        out.push(node.polys[i]);
+      stack.push(node.back, node.front);
+    }
+    return out;
+  }
+
+  // Return a new Shape from the polygons |polys|, sharing identical points.
+  function csgPolygonsToShape(polys) {
+    var shape = new Pre3d.Shape();
+    var welder = new VertexWelder(shape, 0);
+    for (var i = 0, il = polys.length; i < il; ++i) {
+      var points = polys[i].points;
+      var indices = [ ];
+      for (var j = 0, jl = points.length; j < jl; ++j) {
+        var index = welder.index(points[j]);
+        if (indices.length === 0 || indices[indices.length - 1] !== index)
+          indices.push(index);
+      }
+      if (indices.length > 1 && indices[indices.length - 1] === indices[0])
+        indices.pop();
+      if (indices.length >= 3)
+        addPolygon(shape, indices);
+    }
+    rebuildMeta(shape);
+    return shape;
+  }
+
+  // Return a new Shape of the space inside of either |a| or |b|.  Both
+  // Shapes should be closed, wound counter-clockwise from the outside (see
+  // validate() and repair()), and in the same coordinate space.  The result
+  // is made of quads and triangles, the faces split where they cross the
+  // other Shape.  Only the geometry is kept, not the vertex colors, texture
+  // coordinates, groups, etc.  |a| and |b| are not changed.
+  function csgUnion(a, b) {
+    var ta = buildCSGTree(null, shapeToCSGPolygons(a));
+    var tb = buildCSGTree(null, shapeToCSGPolygons(b));
+    clipCSGTree(ta, tb);
+    clipCSGTree(tb, ta);
+    // Drop the faces of |b| lying on faces of |a|, so they aren't doubled.
+    invertCSGTree(tb);
+    clipCSGTree(tb, ta);
+    invertCSGTree(tb);
+    ta = buildCSGTree(ta, allCSGPolygons(tb, [ ]));
+    return csgPolygonsToShape(allCSGPolygons(ta, [ ]));
+  }
+
+  // Return a new Shape of the space inside of |a| but not |b|, like |a| with
+  // |b| drilled or cut out of it.  See csgUnion().
+  function csgSubtract(a, b) {
+    var ta = buildCSGTree(null, shapeToCSGPolygons(a));
+    var tb = buildCSGTree(null, shapeToCSGPolygons(b));
+    // a - b is the inverse of (inverse of a) union b.
+    invertCSGTree(ta);
+    clipCSGTree(ta, tb);
+    clipCSGTree(tb, ta);
+    invertCSGTree(tb);
+    clipCSGTree(tb, ta);
+    invertCSGTree(tb);
+    ta = buildCSGTree(ta, allCSGPolygons(tb, [ ]));
+    invertCSGTree(ta);
+    return csgPolygonsToShape(allCSGPolygons(ta, [ ]));
+  }
+
+  // Return a new Shape of the space inside of both |a| and |b|.  See
+  // csgUnion().
+  function csgIntersect(a, b) {
+    var ta = buildCSGTree(null, shapeToCSGPolygons(a));
+    var tb = buildCSGTree(null, shapeToCSGPolygons(b));
+    // a & b is the inverse of (inverse of a) union (inverse of b).
+    invertCSGTree(ta);
+    clipCSGTree(tb, ta);
+    invertCSGTree(tb);
+    clipCSGTree(ta, tb);
+    clipCSGTree(tb, ta);
+    ta = buildCSGTree(ta, allCSGPolygons(tb, [ ]));
+    invertCSGTree(ta);
+    return csgPolygonsToShape(allCSGPolygons(ta, [ ]));
+  }
+
+  // Detach all of the faces from each other.  Basically this just duplicates
+  // all of the vertices for each face, so a vertex is not shared across faces.
+  // The shape.vertex_colors are duplicated along with them.
+  function explodeFaces(shape) {
+    var quads = shape.quads;
+    var num_quads = quads.length;
+    var verts = shape.vertices;
+    var colors = shape.vertex_colors;
+    var new_verts = [ ];
+    var new_colors = [ ];
+    for (var i = 0; i < num_quads; ++i) {
+      var q = quads[i];
+      var pos = new_verts.length;
+      var indices = quadIndices(q);
+      for (var j = 0, jl = indices.length; j < jl; ++j) {
+        var v = verts[indices[j]];
+        new_verts.push({x: v.x, y: v.y, z: v.z});
+        if (colors !== null)
+          new_colors.push(colors[indices[j]]);
+      }
+      q.i0 = pos;
+      q.i1 = pos + 1;
+      q.i2 = pos + 2;
+      if (q.isTriangle() !== true)
+        q.i3 = pos + 3;
+    }
+    shape.vertices = new_verts;
+    if (colors !== null)
+      shape.vertex_colors = new_colors;
+    syncVertexNormals(shape);
+    return shape;
+  }
+
+  // Return a TextureInfo for the QuadFace |quad_index| of |shape|, textured
+  // with |image|, from the texture coordinates in shape.uvs.  Returns null if
+  // the QuadFace doesn't have any.  For example, to texture a loaded model:
+  //   renderer.quad_callback = function(quad_face, quad_index, shape) {
+  //     renderer.texture = Pre3d.ShapeUtils.makeTextureInfo(
+  //         shape, quad_index, image);
+  //     return false;
+  //   };
+  function makeTextureInfo(shape, quad_index, image) {
+    var indices = quadUVIndices(shape, quad_index);
+    if (indices === null)
+      return null;
+
+    // TextureInfo is in image pixels, with y going down.
+    var uvs = shape.uvs;
+    var coords = Array(8);
+    for (var i = 0, il = indices.length; i < il; ++i) {
+      var uv = uvs[indices[i]];
+      coords[i * 2] = uv.u * image.width;
+      coords[i * 2 + 1] = (1 - uv.v) * image.height;
+    }
+
+    var texinfo = new Pre3d.TextureInfo();
+    texinfo.image = image;
+    texinfo.u0 = coords[0]; texinfo.v0 = coords[1];
+    texinfo.u1 = coords[2]; texinfo.v1 = coords[3];
+    texinfo.u2 = coords[4]; texinfo.v2 = coords[5];
+    if (indices.length === 4) {
+      texinfo.u3 = coords[6]; texinfo.v3 = coords[7];
+    }
+    return texinfo;
+  }
+
+  // Add the QuadFace |quad_index| to the group named |name| of |shape|,
+  // creating the group if needed.
+  function addToGroup(shape, name, quad_index) {
+    if (shape.groups === null)
+      shape.groups = [ ];
+    var groups = shape.groups;
+    var group = null;
+    for (var i = 0, il = groups.length; i < il; ++i) {
+      if (groups[i].name === name) {
+        group = groups[i];
+        break;
+      }
+    }
+    if (group === null) {
+      group = {name: name, quads: [ ]};
+      groups.push(group);
+    }
+    group.quads.push(quad_index);
+  }
+
+  // Parse the text of a Wavefront OBJ file into a new Shape.  Quads and
+  // triangles are kept, larger polygons are split into a fan of triangles.
+  // Texture coordinates (vt) are stored in shape.uvs / shape.quad_uvs, and
+  // groups (g and o) in shape.groups.  If the file has normals (vn), they are
+  // averaged per vertex into shape.vertex_normals.  Things we don't handle,
+  // like materials, lines, and faces with bad indices, are skipped.
+  // http://www.martinreddy.net/gfx/3d/OBJ.spec
+  function parseOBJ(text) {
+    var s = new Pre3d.Shape();
+    var vertices = s.vertices;
+    var quads = s.quads;
+    var uvs = [ ];
+    var quad_uvs = [ ];
+    var normals = [ ];
+    var vertex_normals = null;
+    var has_uvs = false;
+    var group = null;
+
+    // Join continued lines, ending in a backslash.
+    var lines = text.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+
+    // OBJ indices are 1 based, and negative indices count from the end.
+    function resolveIndex(str, length) {
+      var index = parseInt(str, 10);
+      if (isNaN(index) || index === 0)
+        return -1;
+      index = index < 0 ? length + index : index - 1;
+      return index < length ? index : -1;
+    }
+
+    for (var i = 0, il = lines.length; i < il; ++i) {
+      var line = lines[i];
+      var comment = line.indexOf('#');
+      if (comment !== -1)
+        line = line.substr(0, comment);
+      var parts = line.replace(/^\s+|\s+$/g, '').split(/\s+/);
+      var cmd = parts[0];
+
+      if (cmd === 'v') {
+        vertices.push({x: parseFloat(parts[1]),
+                       y: parseFloat(parts[2]),
+                       z: parseFloat(parts[3])});
+      } else if (cmd === 'vt') {
+        uvs.push({u: parseFloat(parts[1]),
+                  v: parts.length > 2 ? parseFloat(parts[2]) : 0});
+      } else if (cmd === 'vn') {
+        normals.push({x: parseFloat(parts[1]),
+                      y: parseFloat(parts[2]),
+                      z: parseFloat(parts[3])});
+      } else if (cmd === 'g' || cmd === 'o') {
+        group = parts.length > 1 ? parts.slice(1).join(' ') : null;
+      } else if (cmd === 'f') {
+        // Each corner is v, v/vt, v//vn, or v/vt/vn.
+        var vis = [ ], vtis = [ ], vnis = [ ];
+        var ok = true;
+        for (var j = 1, jl = parts.length; j < jl; ++j) {
+          var refs = parts[j].split('/');
+          var vi = resolveIndex(refs[0], vertices.length);
+          if (vi === -1) {
+            ok = false;
+            break;
+          }
+          vis.push(vi);
+          vtis.push(refs.length > 1 && refs[1] !== '' ?
+              resolveIndex(refs[1], uvs.length) : -1);
+          vnis.push(refs.length > 2 && refs[2] !== '' ?
+              resolveIndex(refs[2], normals.length) : -1);
+        }
+        if (ok !== true || vis.length < 3)
+          continue;
+
+        for (var j = 0, jl = vnis.length; j < jl; ++j) {
+          if (vnis[j] === -1)
+            continue;
+          if (vertex_normals === null)
+            vertex_normals = [ ];
+          var sum = vertex_normals[vis[j]];
+          if (sum === undefined)
+            sum = vertex_normals[vis[j]] = {x: 0, y: 0, z: 0};
+          var n = normals[vnis[j]];
+          sum.x += n.x;
+          sum.y += n.y;
+          sum.z += n.z;
+        }
+
+        // Split into a fan, using a quad for a 4 sided polygon.
+        var corners = vis.length === 4 ? [[0, 1, 2, 3]] : [ ];
+        for (var j = 1, jl = vis.length - 1; j < jl && vis.length !== 4; ++j)
+          corners.push([0, j, j + 1]);
+
+        for (var j = 0, jl = corners.length; j < jl; ++j) {
+          var c = corners[j];
+          quads.push(new Pre3d.QuadFace(
+              vis[c[0]], vis[c[1]], vis[c[2]],
+              c.length === 4 ? vis[c[3]] : null));
+
+          var face_uvs = [ ];
+          for (var k = 0, kl = c.length; k < kl; ++k) {
+            if (vtis[c[k]] === -1) {
+              face_uvs = null;
+              break;
+            }
+            face_uvs.push(vtis[c[k]]);
+          }
+          if (face_uvs !== null)
+            has_uvs = true;
+          quad_uvs.push(face_uvs);
+
+          if (group !== null)
+            addToGroup(s, group, quads.length - 1);
+        }
+      }
+    }
+
+    if (has_uvs === true) {
+      s.uvs = uvs;
+      s.quad_uvs = quad_uvs;
+    }
+
+    if (vertex_normals !== null) {
+      for (var i = 0, il = vertices.length; i < il; ++i) {
+        var n = vertex_normals[i];
+        vertex_normals[i] = (n === undefined || vecMag3d(n) === 0) ?
+            {x: 0, y: 0, z: 0} : unitVector3d(n);
+      }
+      s.vertex_normals = vertex_normals;
+    }
+
+    rebuildMeta(s);
+    return s;
+  }
+
+  // Format a number for the text model formats, without exponents or any
+  // trailing noise from floating point.
+  function fmtNumber(x) {
+    return '' + parseFloat(x.toFixed(6));
+  }
+
+  // Write |shape| out as the text of a Wavefront OBJ file.  This includes
+  // shape.uvs, shape.vertex_normals (and shape.quad_normals), and
+  // shape.groups, if they are set.  A QuadFace in more than one group is
+  // written under the last one.
+  function toOBJ(shape) {
+    var vertices = shape.vertices;
+    var quads = shape.quads;
+    var uvs = shape.uvs;
+    var quad_uvs = shape.quad_uvs;
+    var normals = shape.vertex_normals;
+    var quad_normals = normals !== null ? shape.quad_normals : null;
+    var out = [ ];
+
+    for (var i = 0, il = vertices.length; i < il; ++i) {
+      var v = vertices[i];
+      out.push('v ' + fmtNumber(v.x) + ' ' + fmtNumber(v.y) + ' ' +
+               fmtNumber(v.z));
+    }
+
+    if (uvs !== null && quad_uvs !== null) {
+      for (var i = 0, il = uvs.length; i < il; ++i)
+        out.push('vt ' + fmtNumber(uvs[i].u) + ' ' + fmtNumber(uvs[i].v));
+    }
+
+    if (normals !== null) {
+      for (var i = 0, il = normals.length; i < il; ++i) {
+        var n = normals[i];
+        out.push('vn ' + fmtNumber(n.x) + ' ' + fmtNumber(n.y) + ' ' +
+                 fmtNumber(n.z));
+      }
+    }
+
+    var quad_groups = Array(quads.length);
+    if (shape.groups !== null) {
+      for (var i = 0, il = shape.groups.length; i < il; ++i) {
+        var group = shape.groups[i];
+        for (var j = 0, jl = group.quads.length; j < jl; ++j)
+          quad_groups[group.quads[j]] = group.name;
+      }
+    }
+
+    var current_group = null;
+    for (var i = 0, il = quads.length; i < il; ++i) {
+      var qf = quads[i];
+
+      if (shape.groups !== null) {
+        var name = quad_groups[i] === undefined ? 'default' : quad_groups[i];
+        if (name !== current_group)
+          out.push('g ' + name);
+        current_group = name;
+      }
+
+      var indices = [qf.i0, qf.i1, qf.i2];
+      if (qf.isTriangle() !== true)
+        indices.push(qf.i3);
+      var face_uvs = uvs !== null ? quadUVIndices(shape, i) : null;
+      var face_normals = (quad_normals !== null && quad_normals[i] !== null) ?
+          quad_normals[i] : indices;
+
+      var line = 'f';
+      for (var j = 0, jl = indices.length; j < jl; ++j) {
+        var vi = indices[j] + 1;
+        line += ' ' + vi;
+        if (face_uvs !== null) {
+          line += '/' + (face_uvs[j] + 1);
+          if (normals !== null)
+            line += '/' + (face_normals[j] + 1);
+        } else if (normals !== null) {
+          line += '//' + (face_normals[j] + 1);
+        }
+      }
+      out.push(line);
+    }
+
+    return out.join('\n') + '\n';
+  }
+
+  // Welds vertices together while building a Shape from a triangle soup,
+  // so that faces share vertices.  With an |epsilon| of 0 only identical
+  // points are merged.  Otherwise points are rounded to a grid with a spacing
+  // of |epsilon|, and merged when they round to the same grid point, keeping
+  // the first one.  Close points on either side of a grid line aren't merged.
+  function VertexWelder(shape, epsilon) {
+    this.shape_ = shape;
+    this.epsilon_ = epsilon;
+    this.map_ = { };
+  }
+
+  // Return the index of the vertex at |p|, adding it if it's new.
+  VertexWelder.prototype.index = function(p) {
+    var e = this.epsilon_;
+    var key = e > 0 ?
+        Math.round(p.x / e) + ',' + Math.round(p.y / e) + ',' +
+            Math.round(p.z / e) :
+        p.x + ',' + p.y + ',' + p.z;
+    var index = this.map_[key];
+    if (index === undefined) {
+      index = this.shape_.vertices.length;
+      this.shape_.vertices.push(p);
+      this.map_[key] = index;
+    }
+    return index;
+  };
+
+  // Add the triangle |a|, |b|, |c| to the Shape being welded.  Triangles
+  // that collapse to a line or a point after welding are dropped.
+  VertexWelder.prototype.addTriangle = function(a, b, c) {
+    var i0 = this.index(a), i1 = this.index(b), i2 = this.index(c);
+    if (i0 === i1 || i1 === i2 || i2 === i0)
+      return;
+    this.shape_.quads.push(new Pre3d.QuadFace(i0, i1, i2, null));
+  };
+
+  // Return a DataView of the binary |data|, an ArrayBuffer or a view of one
+  // (a typed array, or a Node Buffer), or null if |data| is neither.
+  function dataViewOf(data) {
+    if (data instanceof ArrayBuffer)
+      return new DataView(data);
+    if (typeof(data) === 'object' && data !== null &&
+        data.buffer instanceof ArrayBuffer)
+      return new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+  }
+
+  // Return |data|, a string, or an ArrayBuffer (or view of one) of 8-bit
+  // text, as a string.  Returns null if |data| is neither.
+  function textOf(data) {
+    if (typeof(data) === 'string')
+      return data;
+    var view = dataViewOf(data);
+    if (view === null)
+      return null;
+    var chars = [ ];
+    for (var i = 0, il = view.byteLength; i < il; ++i)
+      chars.push(String.fromCharCode(view.getUint8(i)));
+    return chars.join('');
+  }
+
+  // Parse an STL file into a new Shape of triangles.  |data| is the text of
+  // an ASCII STL, or the contents of an ASCII or binary STL as an
+  // ArrayBuffer (or a typed array view of one).  STL stores every triangle
+  // separately, so identical vertices are welded together.  With the
+  // optional |epsilon|, vertices are also welded when they round to the
+  // same point on a grid with that spacing, see VertexWelder.  The facet
+  // normals in the file are ignored, and recomputed by rebuildMeta().
+  // Returns null if |data| is neither text nor binary.
+  // http://en.wikipedia.org/wiki/STL_(file_format)
+  function parseSTL(data, epsilon) {
+    var s = new Pre3d.Shape();
+    var welder = new VertexWelder(s, epsilon === undefined ? 0 : epsilon);
+
+    var text = data;
+    if (typeof(data) !== 'string') {
+      var view = dataViewOf(data);
+      if (view === null)
+        return null;
+      // A binary STL is an 80 byte header, a 32-bit triangle count, and then
+      // 50 bytes per triangle.  Some binary files start with "solid" too, so
+      // the size is the more reliable test.
+      var count = view.byteLength >= 84 ? view.getUint32(80, true) : -1;
+      if (count !== -1 && view.byteLength === 84 + count * 50) {
+        for (var i = 0, o = 84; i < count; ++i, o += 50) {
+          var points = Array(3);
+          for (var j = 0; j < 3; ++j) {
+            var po = o + 12 + j * 12;  // Skip the normal.
+            points[j] = {x: view.getFloat32(po, true),
+                         y: view.getFloat32(po + 4, true),
+                         z: view.getFloat32(po + 8, true)};
+          }
+          welder.addTriangle(points[0], points[1], points[2]);
+        }
+        rebuildMeta(s);
+        return s;
+      }
+
+      text = textOf(data);
+    }
+
+    // ASCII, we only need the vertex lines, every 3 make a triangle.
+    var re = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    var points = [ ];
+    var match;
+    while ((match = re.exec(text)) !== null) {
+      points.push({x: parseFloat(match[1]),
+                   y: parseFloat(match[2]),
+                   z: parseFloat(match[3])});
+      if (points.length === 3) {
+        welder.addTriangle(points[0], points[1], points[2]);
+        points = [ ];
+      }
+    }
+
+    rebuildMeta(s);
+    return s;
+  }
+
+  // Call |func| with the vertices and unit normal of each triangle of
+  // |shape|, splitting quads into two triangles like triangulate().
+  function forEachTriangle(shape, func) {
+    var vertices = shape.vertices;
+    var quads = shape.quads;
+    for (var i = 0, il = quads.length; i < il; ++i) {
+      var qf = quads[i];
+      func(vertices[qf.i0], vertices[qf.i1], vertices[qf.i2],
+           unitVector3d(qf.normal1));
+      if (qf.isTriangle() !== true) {
+        func(vertices[qf.i0], vertices[qf.i2], vertices[qf.i3],
+             unitVector3d(qf.normal2));
+      }
+    }
+  }
+
+  // Write |shape| out as the text of an ASCII STL file, optionally with the
+  // solid named |name|.  The normals from rebuildMeta() must be current.
+  function toSTL(shape, name) {
+    name = name === undefined ? '' : name;
+    var out = ['solid ' + name];
+
+    function fmtPoint(p) {
+      return fmtNumber(p.x) + ' ' + fmtNumber(p.y) + ' ' + fmtNumber(p.z);
+    }
+
+    forEachTriangle(shape, function(a, b, c, n) {
+      // A degenerate triangle has no normal, STL readers expect 0 0 0.
+      if (isNaN(n.x))
+        n = {x: 0, y: 0, z: 0};
+      out.push('facet normal ' + fmtPoint(n));
+      out.push('  outer loop');
+      out.push('    vertex ' + fmtPoint(a));
+      out.push('    vertex ' + fmtPoint(b));
+      out.push('    vertex ' + fmtPoint(c));
+      out.push('  endloop');
+      out.push('endfacet');
+    });
+
+    out.push('endsolid ' + name);
+    return out.join('\n') + '\n';
+  }
+
+  // Write |shape| out as a binary STL file, returning an ArrayBuffer.  The
+  // normals from rebuildMeta() must be current.
+  function toBinarySTL(shape) {
+    var count = 0;
+    forEachTriangle(shape, function() { ++count; });
+
+    var buffer = new ArrayBuffer(84 + count * 50);
+    var view = new DataView(buffer);
+    view.setUint32(80, count, true);  // The header is left as zeros.
+
+    var o = 84;
+    forEachTriangle(shape, function(a, b, c, n) {
+      if (isNaN(n.x))
+        n = {x: 0, y: 0, z: 0};
+      var points = [n, a, b, c];
+      for (var i = 0; i < 4; ++i, o += 12) {
+        view.setFloat32(o, points[i].x, true);
+        view.setFloat32(o + 4, points[i].y, true);
+        view.setFloat32(o + 8, points[i].z, true);
+      }
+      o += 2;  // Attribute byte count, 0.
+    });
+
+    return buffer;
+  }
+
+  // Add the polygon with the vertex indices |indices| to |shape|.  Quads and
+  // triangles are kept, larger polygons are split into a fan of triangles.
+  function addPolygon(shape, indices) {
+    var quads = shape.quads;
+    var num = indices.length;
+    if (num === 4) {
+      quads.push(new Pre3d.QuadFace(
+          indices[0], indices[1], indices[2], indices[3]));
+      return;
+    }
+    for (var i = 1; i < num - 1; ++i)
+      quads.push(new Pre3d.QuadFace(indices[0], indices[i], indices[i + 1],
+                                    null));
+  }
+
+  // Add the polygon with the vertex indices |indices| read from a file to
+  // |shape|, like addPolygon().  Polygons with fewer than 3 vertices, or
+  // using a vertex that |shape| doesn't have, are skipped.
+  function addParsedPolygon(shape, indices) {
+    var num_vertices = shape.vertices.length;
+    if (indices.length < 3)
+      return;
+    for (var i = 0, il = indices.length; i < il; ++i) {
+      if (isIndexInRange(indices[i], num_vertices) !== true)
+        return;
+    }
+    addPolygon(shape, indices);
+  }
+
+  // The PLY property types, as [DataView type, size in bytes].
+  var kPLYTypes = {
+    'char': ['Int8', 1], 'int8': ['Int8', 1],
+    'uchar': ['Uint8', 1], 'uint8': ['Uint8', 1],
+    'short': ['Int16', 2], 'int16': ['Int16', 2],
+    'ushort': ['Uint16', 2], 'uint16': ['Uint16', 2],
+    'int': ['Int32', 4], 'int32': ['Int32', 4],
+    'uint': ['Uint32', 4], 'uint32': ['Uint32', 4],
+    'float': ['Float32', 4], 'float32': ['Float32', 4],
+    'double': ['Float64', 8], 'float64': ['Float64', 8]
+  };
+
+  // Parse a PLY file into a new Shape.  |data| is the text of an ASCII PLY,
+  // or the contents of an ASCII or binary PLY as an ArrayBuffer (or a view of
+  // one).  Vertex colors (red, green, blue, alpha) are stored in
+  // shape.vertex_colors, normals (nx, ny, nz) in shape.vertex_normals, and
+  // texture coordinates (u, v or s, t) in shape.uvs / shape.quad_uvs.  Other
+  // elements and properties are skipped, and so are faces using a vertex
+  // that doesn't exist.  Returns null if |data| isn't a PLY file we
+  // understand, including unknown property types and data that ends early.
+  // http://paulbourke.net/dataformats/ply/
+  function parsePLY(data) {
+    var text = typeof(data) === 'string' ? data : null;
+    var view = text === null ? dataViewOf(data) : null;
+    if (text === null && view === null)
+      return null;
+
+    // The header is always text, read it a line at a time.
+    var pos = 0;
+    var length = text !== null ? text.length : view.byteLength;
+    function readLine() {
+      var chars = [ ];
+      while (pos < length) {
+        var ch = text !== null ? text.charAt(pos) :
+            String.fromCharCode(view.getUint8(pos));
+        ++pos;
+        if (ch === '\n')
+          break;
+        if (ch !== '\r')
+          chars.push(ch);
+      }
+      return chars.join('');
+    }
+
+    if (readLine() !== 'ply')
+      return null;
+
+    var format = null;
+    var elements = [ ];
+    while (pos < length) {
+      var parts = readLine().replace(/^\s+|\s+$/g, '').split(/\s+/);
+      if (parts[0] === 'end_header') {
+        break;
+      } else if (parts[0] === 'format') {
+        format = parts[1];
+      } else if (parts[0] === 'element') {
+        elements.push({name: parts[1], count: parseInt(parts[2], 10),
+                       properties: [ ]});
+      } else if (parts[0] === 'property' && elements.length !== 0) {
+        var props = elements[elements.length - 1].properties;
+        var prop = parts[1] === 'list' ?
+            {name: parts[4], count_type: parts[2], type: parts[3]} :
+            {name: parts[2], count_type: null, type: parts[1]};
+        if (kPLYTypes.hasOwnProperty(prop.type) !== true ||
+            (prop.count_type !== null &&
+             kPLYTypes.hasOwnProperty(prop.count_type) !== true)) {
+          return null;
+        }
+        props.push(prop);
+      }
+    }
+
+    var little_endian = format === 'binary_little_endian';
+    if (format !== 'ascii' && little_endian !== true &&
+        format !== 'binary_big_endian') {
+      return null;
+    }
+
+    // A function to read the next value of a given type, from either the
+    // whitespace separated text, or the binary data.  Reading past the end
+    // clears |ok| and returns 0.
+    var read;
+    var ok = true;
+    if (format === 'ascii') {
+      var tokens = (text !== null ? text.substr(pos) : textOf(
+          new DataView(view.buffer, view.byteOffset + pos,
+                       view.byteLength - pos))).split(/\s+/);
+      var ti = tokens[0] === '' ? 1 : 0;
+      read = function(type) {
+        if (ti >= tokens.length || tokens[ti] === '') {
+          ok = false;
+          return 0;
+        }
+        return parseFloat(tokens[ti++]);
+      };
+    } else {
+      if (view === null)  // A binary file must come as binary data.
+        return null;
+      read = function(type) {
+        var t = kPLYTypes[type];
+        if (pos + t[1] > length) {
+          ok = false;
+          return 0;
+        }
+        var value = view['get' + t[0]](pos, little_endian);
+        pos += t[1];
+        return value;
+      };
+    }
+
+    var s = new Pre3d.Shape();
+    var vertices = s.vertices;
+    var colors = [ ], normals = [ ], uvs = [ ];
+    // The faces are added at the end, when all of the vertices are known.
+    var faces = [ ];
+
+    for (var i = 0, il = elements.length; i < il; ++i) {
+      var element = elements[i];
+      var props = element.properties;
+
+      // Colors stored as integers are 0 .. 255, as floats 0 .. 1.
+      var color_scales = { };
+      for (var j = 0, jl = props.length; j < jl; ++j) {
+        var type = props[j].type;
+        color_scales[props[j].name] =
+            (type.indexOf('float') === 0 || type === 'double') ? 1 : 1 / 255;
+      }
+
+      for (var k = 0; k < element.count; ++k) {
+        var record = { };
+        for (var j = 0, jl = props.length; j < jl; ++j) {
+          var prop = props[j];
+          if (prop.count_type === null) {
+            record[prop.name] = read(prop.type);
+          } else {
+            var list = [ ];
+            for (var n = read(prop.count_type); n > 0 && ok === true; --n)
+              list.push(read(prop.type));
+            record[prop.name] = list;
+          }
+        }
+        if (ok !== true)
+          return null;
+
+        if (element.name === 'vertex') {
+          vertices.push({x: record.x, y: record.y, z: record.z});
+          if (record.red !== undefined) {
+            colors.push(new Pre3d.RGBA(
+                record.red * color_scales.red,
+                record.green * color_scales.green,
+                record.blue * color_scales.blue,
+                record.alpha === undefined ? 1 :
+                    record.alpha * color_scales.alpha));
+          }
+          if (record.nx !== undefined)
+            normals.push({x: record.nx, y: record.ny, z: record.nz});
+          if (record.u !== undefined)
+            uvs.push({u: record.u, v: record.v});
+          else if (record.s !== undefined)
+            uvs.push({u: record.s, v: record.t});
+        } else if (element.name === 'face') {
+          var indices = record.vertex_indices !== undefined ?
+              record.vertex_indices : record.vertex_index;
+          if (indices !== undefined)
+            faces.push(indices);
+        }
+      }
+    }
+
+    for (var i = 0, il = faces.length; i < il; ++i)
+      addParsedPolygon(s, faces[i]);
+
+    if (colors.length === vertices.length && colors.length !== 0)
+      s.vertex_colors = colors;
+    if (normals.length === vertices.length && normals.length !== 0)
+      s.vertex_normals = normals;
+    if (uvs.length === vertices.length && uvs.length !== 0)
+      setVertexUVs(s, uvs);
+
+    rebuildMeta(s);
+    return s;
+  }
+
+  // Set the per vertex texture coordinates |uvs| (one for each vertex) on
+  // |shape|, as shape.uvs and shape.quad_uvs.
+  function setVertexUVs(shape, uvs) {
+    var quads = shape.quads;
+    var quad_uvs = Array(quads.length);
+    for (var i = 0, il = quads.length; i < il; ++i) {
+      var qf = quads[i];
+      quad_uvs[i] = qf.isTriangle() === true ? [qf.i0, qf.i1, qf.i2] :
+          [qf.i0, qf.i1, qf.i2, qf.i3];
+    }
+    shape.uvs = uvs;
+    shape.quad_uvs = quad_uvs;
+  }
+
+  // Return the 0 .. 255 components of the RGBA color |c| as a string, like
+  // '255 0 0 255', for the PLY and OFF writers.
+  function fmtColor255(c) {
+    return [Math.round(c.r * 255), Math.round(c.g * 255),
+            Math.round(c.b * 255), Math.round(c.a * 255)].join(' ');
+  }
+
+  // Return the vertex indices of the QuadFace |qf| as a string, prefixed
+  // by the number of them, like '3 0 1 2', for the PLY and OFF writers.
+  function fmtFace(qf) {
+    return qf.isTriangle() === true ?
+        '3 ' + qf.i0 + ' ' + qf.i1 + ' ' + qf.i2 :
+        '4 ' + qf.i0 + ' ' + qf.i1 + ' ' + qf.i2 + ' ' + qf.i3;
+  }
+
+  // Write |shape| out as the text of an ASCII PLY file.  This includes
+  // shape.vertex_normals and shape.vertex_colors, if they are set.  PLY has
+  // one normal per vertex, so the corners in shape.quad_normals are lost.
+  function toPLY(shape) {
+    var vertices = shape.vertices;
+    var quads = shape.quads;
+    var normals = shape.vertex_normals;
+    var colors = shape.vertex_colors;
+
+    var out = [
+      'ply',
+      'format ascii 1.0',
+      'element vertex ' + vertices.length,
+      'property float x',
+      'property float y',
+      'property float z'
+    ];
+    if (normals !== null) {
+      out.push('property float nx', 'property float ny', 'property float nz');
+    }
+    if (colors !== null) {
+      out.push('property uchar red', 'property uchar green',
+               'property uchar blue', 'property uchar alpha');
+    }
+    out.push('element face ' + quads.length,
+             'property list uchar int vertex_indices',
+             'end_header');
+
+    for (var i = 0, il = vertices.length; i < il; ++i) {
+      var v = vertices[i];
+      var line = fmtNumber(v.x) + ' ' + fmtNumber(v.y) + ' ' + fmtNumber(v.z);
+      if (normals !== null) {
+        var n = normals[i];
+        line += ' ' + fmtNumber(n.x) + ' ' + fmtNumber(n.y) + ' ' +
+            fmtNumber(n.z);
+      }
+      if (colors !== null)
+        line += ' ' + fmtColor255(colors[i]);
+      out.push(line);
+    }
+
+    for (var i = 0, il = quads.length; i < il; ++i)
+      out.push(fmtFace(quads[i]));
+
+    return out.join('\n') + '\n';
+  }
+
+  // Parse the text of an OFF file into a new Shape.  The COFF, NOFF, and
+  // STOFF variants (and combinations like CNOFF) are supported, storing the
+  // vertex colors, normals, and texture coordinates on the Shape like
+  // parsePLY().  Per face colors are not supported, and are skipped, like
+  // faces using a vertex that doesn't exist.  Returns null if |data| isn't an
+  // OFF file.
+  // http://www.geomview.org/docs/html/OFF.html
+  function parseOFF(data) {
+    var text = textOf(data);
+    if (text === null)
+      return null;
+    var lines = text.split(/\r?\n/);
+    var li = 0;
+
+    // Return the numbers on the next line with anything on it, or null.
+    function nextLine() {
+      while (li < lines.length) {
+        var line = lines[li++];
+        var comment = line.indexOf('#');
+        if (comment !== -1)
+          line = line.substr(0, comment);
+        line = line.replace(/^\s+|\s+$/g, '');
+        if (line !== '')
+          return line.split(/\s+/);
+      }
+      return null;
+    }
+
+    var header = nextLine();
+    if (header === null || /^(ST)?C?N?OFF$/.test(header[0]) !== true)
+      return null;
+    var has_uvs = header[0].indexOf('ST') === 0;
+    var has_colors = header[0].indexOf('C') !== -1;
+    var has_normals = header[0].indexOf('N') !== -1;
+
+    // The counts can be on the same line as the header.
+    var counts = header.length > 1 ? header.slice(1) : nextLine();
+    if (counts === null)
+      return null;
+    var num_vertices = parseInt(counts[0], 10);
+    var num_faces = parseInt(counts[1], 10);
+
+    // Colors written as integers are 0 .. 255, as floats 0 .. 1.
+    function parseColorComponent(str) {
+      return /[.eE]/.test(str) ? parseFloat(str) : parseInt(str, 10) / 255;
+    }
+
+    var s = new Pre3d.Shape();
+    var colors = [ ], normals = [ ], uvs = [ ];
+
+    for (var i = 0; i < num_vertices; ++i) {
+      var parts = nextLine();
+      if (parts === null)
+        return null;
+      s.vertices.push({x: parseFloat(parts[0]),
+                       y: parseFloat(parts[1]),
+                       z: parseFloat(parts[2])});
+      var pi = 3;
+      if (has_normals === true) {
+        normals.push({x: parseFloat(parts[pi]),
+                      y: parseFloat(parts[pi + 1]),
+                      z: parseFloat(parts[pi + 2])});
+        pi += 3;
+      }
+      if (has_colors === true) {
+        // RGB or RGBA, depending on what's left after any uvs.
+        var num = parts.length - pi - (has_uvs === true ? 2 : 0);
+        colors.push(new Pre3d.RGBA(
+            parseColorComponent(parts[pi]),
+            parseColorComponent(parts[pi + 1]),
+            parseColorComponent(parts[pi + 2]),
+            num > 3 ? parseColorComponent(parts[pi + 3]) : 1));
+        pi += num;
+      }
+      if (has_uvs === true)
+        uvs.push({u: parseFloat(parts[pi]), v: parseFloat(parts[pi + 1])});
+    }
+
+    for (var i = 0; i < num_faces; ++i) {
+      var parts = nextLine();
+      if (parts === null)
+        return null;
+      var num = parseInt(parts[0], 10);
+      if (isNaN(num) || num < 3 || num >= parts.length)
+        continue;
+      var indices = Array(num);
+      for (var j = 0; j < num; ++j)
+        indices[j] = parseInt(parts[j + 1], 10);
+      addParsedPolygon(s, indices);
+    }
+
+    if (has_colors === true)
+      s.vertex_colors = colors;
+    if (has_normals === true)
+      s.vertex_normals = normals;
+    if (has_uvs === true)
+      setVertexUVs(s, uvs);
+
+    rebuildMeta(s);
+    return s;
+  }
+
+  // Write |shape| out as the text of an OFF file.  If shape.vertex_normals or
+  // shape.vertex_colors are set, this writes the NOFF / COFF variants.  Like
+  // toPLY(), the corners in shape.quad_normals are lost.
+  function toOFF(shape) {
+    var vertices = shape.vertices;
+    var quads = shape.quads;
+    var normals = shape.vertex_normals;
+    var colors = shape.vertex_colors;
+
+    var out = [
+      (colors !== null ? 'C' : '') + (normals !== null ? 'N' : '') + 'OFF',
+      vertices.length + ' ' + quads.length + ' 0'
+    ];
+
+    for (var i = 0, il = vertices.length; i < il; ++i) {
+      var v = vertices[i];
+      var line = fmtNumber(v.x) + ' ' + fmtNumber(v.y) + ' ' + fmtNumber(v.z);
+      if (normals !== null) {
+        var n = normals[i];
+        line += ' ' + fmtNumber(n.x) + ' ' + fmtNumber(n.y) + ' ' +
+            fmtNumber(n.z);
+      }
+      if (colors !== null)
+        line += ' ' + fmtColor255(colors[i]);
+      out.push(line);
+    }
+
+    for (var i = 0, il = quads.length; i < il; ++i)
+      out.push(fmtFace(quads[i]));
+
+    return out.join('\n') + '\n';
+  }
+
+  // Decode the base64 string |str| into a new ArrayBuffer.  We do this by
+  // hand, since atob() isn't available everywhere (Node).
+  var kBase64Chars =
+      'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  function decodeBase64(str) {
+    str = str.replace(/[^A-Za-z0-9+\/]/g, '');  // Whitespace and padding.
+    var bytes = new Uint8Array(Math.floor(str.length * 3 / 4));
+    var bits = 0, num_bits = 0, pos = 0;
+    for (var i = 0, il = str.length; i < il; ++i) {
+      bits = (bits << 6) | kBase64Chars.indexOf(str.charAt(i));
+      num_bits += 6;
+      if (num_bits >= 8) {
+        num_bits -= 8;
+        bytes[pos++] = (bits >> num_bits) & 0xff;
+      }
+    }
+    return bytes.buffer;
+  }
+
+  // The glTF accessor component types, as [DataView type, size in bytes,
+  // the divisor for normalized integers].
+  var kGLTFComponentTypes = {
+    5120: ['Int8', 1, 127],
+    5121: ['Uint8', 1, 255],
+    5122: ['Int16', 2, 32767],
+    5123: ['Uint16', 2, 65535],
+    5125: ['Uint32', 4, 4294967295],
+    5126: ['Float32', 4, 1]
+  };
+
+  var kGLTFTypeSizes = {SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4};
+
+  // Parse a glTF 2.0 file into Shapes.  |gltf| is the JSON text of a .gltf
+  // file, or the result of JSON.parse() on one.  Buffers embedded as base64
+  // data: URIs are decoded, nothing is ever fetched.  Other buffers (like a
+  // separate .bin file) can be passed in |buffers|, an array of ArrayBuffers
+  // by buffer index.  Only triangle meshes are loaded, with their positions,
+  // and normals, texture coordinates and vertex colors if there are any.
+  // The scene's node hierarchy is flattened, and the result is an array with
+  // one entry for each mesh primitive of each node, like:
+  //   {shape: Shape, transform: Transform, rgba: RGBA or null, name: 'x'}
+  // where |rgba| is the material's base color factor.  A mesh used by more
+  // than one node shares the same Shape.  To draw them:
+  //   for (var i = 0; i < items.length; ++i) {
+  //     renderer.pushTransform();
+  //     renderer.transform.multTransform(items[i].transform);
+  //     renderer.fill_rgba = items[i].rgba || default_rgba;
+  //     renderer.bufferShape(items[i].shape);
+  //     renderer.popTransform();
+  //   }
+  // Returns null if |gltf| isn't glTF 2 (including text that isn't JSON), or
+  // a needed buffer is missing.
+  // https://github.com/KhronosGroup/glTF/tree/master/specification/2.0
+  function parseGLTF(gltf, buffers) {
+    var json = gltf;
+    if (typeof(gltf) === 'string') {
+      try {
+        json = JSON.parse(gltf);
+      } catch (e) {
+        return null;  // Not valid JSON.
+      }
+    }
+    if (typeof(json) !== 'object' || json === null ||
+        typeof(json.asset) !== 'object' || json.asset === null ||
+        /^2\./.test(json.asset.version) !== true) {
+      return null;
+    }
+
+    var meshes = json.meshes || [ ];
+    var nodes = json.nodes || [ ];
+    var accessors = json.accessors || [ ];
+    var buffer_views = json.bufferViews || [ ];
+    var materials = json.materials || [ ];
+
+    var datas = [ ];
+    var json_buffers = json.buffers || [ ];
+    for (var i = 0, il = json_buffers.length; i < il; ++i) {
+      var uri = json_buffers[i].uri;
+      if (buffers !== undefined && buffers[i] !== undefined) {
+        datas.push(dataViewOf(buffers[i]));
+      } else if (uri !== undefined && /^data:[^,]*;base64,/.test(uri)) {
+        var base64 = uri.substr(uri.indexOf(',') + 1);
+        datas.push(new DataView(decodeBase64(base64)));
+      } else {
+        return null;
+      }
+    }
+
+    // Read the accessor |index| as an array of arrays of numbers (a SCALAR
+    // is also an array, of one number).
+    function readAccessor(index) {
+      var accessor = accessors[index];
+      var ctype = kGLTFComponentTypes[accessor.componentType];
+      var num = kGLTFTypeSizes[accessor.type];
+      var out = Array(accessor.count);
+
+      if (accessor.bufferView === undefined) {  // All zeros.
+        for (var i = 0, il = out.length; i < il; ++i) {
+          out[i] = [ ];
+          for (var j = 0; j < num; ++j)
+            out[i].push(0);
+        }
+        return out;
+      }
+
+      var view = buffer_views[accessor.bufferView];
+      var data = datas[view.buffer];
+      var stride = view.byteStride || ctype[1] * num;
+      var base = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+      var divisor = accessor.normalized === true ? ctype[2] : 1;
+      var get = data['get' + ctype[0]];
+
+      for (var i = 0, il = out.length; i < il; ++i) {
+        var element = Array(num);
+        for (var j = 0; j < num; ++j) {
+          element[j] = get.call(data, base + i * stride + j * ctype[1],
+                                true) / divisor;
+        }
+        out[i] = element;
+      }
+      return out;
+    }
+
+    // Build the Shapes for the mesh |index|, as [{shape, rgba}, ...].
+    var mesh_cache = [ ];
+    function meshShapes(index) {
+      if (mesh_cache[index] !== undefined)
+        return mesh_cache[index];
+
+      var out = [ ];
+      var primitives = meshes[index].primitives;
+      for (var i = 0, il = primitives.length; i < il; ++i) {
+        var prim = primitives[i];
+        var mode = prim.mode === undefined ? 4 : prim.mode;
+        var attributes = prim.attributes;
+        if (mode !== 4 || attributes.POSITION === undefined)
+          continue;  // Only triangles.
+
+        var s = new Pre3d.Shape();
+        var positions = readAccessor(attributes.POSITION);
+        for (var j = 0, jl = positions.length; j < jl; ++j) {
+          var p = positions[j];
+          s.vertices.push({x: p[0], y: p[1], z: p[2]});
+        }
+
+        var indices;
+        if (prim.indices !== undefined) {
+          indices = readAccessor(prim.indices);
+        } else {
+          indices = Array(positions.length);
+          for (var j = 0, jl = indices.length; j < jl; ++j)
+            indices[j] = [j];
+        }
+        for (var j = 0, jl = indices.length - 2; j < jl; j += 3) {
+          s.quads.push(new Pre3d.QuadFace(
+              indices[j][0], indices[j + 1][0], indices[j + 2][0], null));
+        }
+
+        if (attributes.NORMAL !== undefined) {
+          var normals = readAccessor(attributes.NORMAL);
+          s.vertex_normals = Array(normals.length);
+          for (var j = 0, jl = normals.length; j < jl; ++j) {
+            var n = normals[j];
+            s.vertex_normals[j] = {x: n[0], y: n[1], z: n[2]};
+          }
+        }
+
+        if (attributes.TEXCOORD_0 !== undefined) {
+          // glTF has v going down the image, and ours goes up.
+          var coords = readAccessor(attributes.TEXCOORD_0);
+          var uvs = Array(coords.length);
+          for (var j = 0, jl = coords.length; j < jl; ++j)
+            uvs[j] = {u: coords[j][0], v: 1 - coords[j][1]};
+          setVertexUVs(s, uvs);
+        }
+
+        if (attributes.COLOR_0 !== undefined) {
+          var colors = readAccessor(attributes.COLOR_0);
+          s.vertex_colors = Array(colors.length);
+          for (var j = 0, jl = colors.length; j < jl; ++j) {
+            var c = colors[j];
+            s.vertex_colors[j] = new Pre3d.RGBA(
+                c[0], c[1], c[2], c.length > 3 ? c[3] : 1);
+          }
+        }
+
+        rebuildMeta(s);
+
+        var rgba = null;
+        var material = prim.material === undefined ?
+            null : materials[prim.material];
+        if (material !== null && material.pbrMetallicRoughness !== undefined &&
+            material.pbrMetallicRoughness.baseColorFactor !== undefined) {
+          var f = material.pbrMetallicRoughness.baseColorFactor;
+          rgba = new Pre3d.RGBA(f[0], f[1], f[2], f[3]);
+        }
+
+        out.push({shape: s, rgba: rgba});
+      }
+
+      mesh_cache[index] = out;
+      return out;
+    }
+
+    // The local transform of a node, from either a column major 4x4 matrix,
+    // or translation, rotation (a quaternion), and scale.
+    function nodeTransform(node) {
+      var t = new Pre3d.Transform();
+      if (node.matrix !== undefined) {
+        var a = node.matrix;
+        t.m = new Pre3d.AffineMatrix(
+            a[0], a[4], a[8], a[12],
+            a[1], a[5], a[9], a[13],
+            a[2], a[6], a[10], a[14]);
+        return t;
+      }
+      if (node.scale !== undefined)
+        t.scale(node.scale[0], node.scale[1], node.scale[2]);
+      if (node.rotation !== undefined) {
+        var r = node.rotation;
+        t.rotateQuaternion(new Pre3d.Quaternion(r[0], r[1], r[2], r[3]));
+      }
+      if (node.translation !== undefined) {
+        var d = node.translation;
+        t.translate(d[0], d[1], d[2]);
+      }
+      return t;
+    }
+
+    var items = [ ];
+    function visitNode(index, parent_transform) {
+      var node = nodes[index];
+      var transform = parent_transform.dup();
+      transform.multTransform(nodeTransform(node));
+
+      if (node.mesh !== undefined) {
+        var shapes = meshShapes(node.mesh);
+        var name = node.name !== undefined ? node.name :
+            meshes[node.mesh].name;
+        for (var i = 0, il = shapes.length; i < il; ++i) {
+          items.push({shape: shapes[i].shape, transform: transform,
+                      rgba: shapes[i].rgba,
+                      name: name === undefined ? null : name});
+        }
+      }
+
+      var children = node.children || [ ];
+      for (var i = 0, il = children.length; i < il; ++i)
+        visitNode(children[i], transform);
+    }
+
+    // Use the default scene, or without any scenes, every root node.
+    var roots;
+    if (json.scenes !== undefined && json.scenes.length !== 0) {
+      roots = json.scenes[json.scene === undefined ? 0 : json.scene].nodes ||
+          [ ];
+    } else {
+      var is_child = [ ];
+      for (var i = 0, il = nodes.length; i < il; ++i) {
+        var children = nodes[i].children || [ ];
+        for (var j = 0, jl = children.length; j < jl; ++j)
+          is_child[children[j]] = true;
+      }
+      roots = [ ];
+      for (var i = 0, il = nodes.length; i < il; ++i) {
+        if (is_child[i] !== true)
+          roots.push(i);
+      }
+    }
+
+    for (var i = 0, il = roots.length; i < il; ++i)
+      visitNode(roots[i], new Pre3d.Transform());
+
+    return items;
+  }
+
+  // The Extruder implements extruding faces of a Shape.  The class mostly
   // exists as a place to hold all of the extrusion parameters.  The properties
   // are meant to be private, please use the getter/setter APIs.
   function Extruder() {
@@ -703,6 +3501,7 @@ Pre3d.ShapeUtils = (function() {
 
     var vertices = shape.vertices;
     var quads = shape.quads;
+    var colors = shape.vertex_colors;
 
     var faces = [ ];
     for (var i = 0, il = quads.length; i < il; ++i) {
@@ -710,6 +3509,9 @@ Pre3d.ShapeUtils = (function() {
         faces.push(i);
     }
 
+    // The new side faces for each extruded face, which join its groups.
+    var children = [ ];
+
     for (var i = 0, il = faces.length; i < il; ++i) {
       // This is the index of the original face.  It will eventually be
       // replaced with the last iteration's outside face.
@@ -767,8 +3569,19 @@ Pre3d.ShapeUtils = (function() {
               addPoints3d(new_cent, t.transformPoint(inner_normal3)));
         }
 
+        // The new vertices have the colors of the ones they were pushed out
+        // from.
+        if (colors !== null) {
+          colors[index_before] = colors[qf.i0];
+          colors[index_before + 1] = colors[qf.i1];
+          colors[index_before + 2] = colors[qf.i2];
+          if (is_triangle !== true)
+            colors[index_before + 3] = colors[qf.i3];
+        }
+
         // Add the new faces.  These faces will always be quads, even if we
         // extruded a triangle.  We will have 3 or 4 new side faces.
+        var first_side = quads.length;
         quads.push(new Pre3d.QuadFace(
             qf.i1,
             index_before + 1,
@@ -799,6 +3612,16 @@ Pre3d.ShapeUtils = (function() {
               qf.i3));
         }
 
+        // The sides don't have texture coordinates, the extruded face keeps
+        // its own.
+        if (children[face_index] === undefined)
+          children[face_index] = [ ];
+        for (var j = first_side, jl = quads.length; j < jl; ++j) {
+          children[face_index].push(j);
+          if (shape.quad_uvs !== null)
+            shape.quad_uvs[j] = null;
+        }
+
         // Update (in place) the original face with the new extruded vertices.
         qf.i0 = index_before;
         qf.i1 = index_before + 1;
@@ -808,14 +3631,21 @@ Pre3d.ShapeUtils = (function() {
       }
     }
 
+    addChildrenToGroups(shape, children);
     rebuildMeta(shape);  // Compute all the new normals, etc.
+    syncVertexNormals(shape);
   };
 
   return {
     rebuildMeta: rebuildMeta,
+    computeVertexNormals: computeVertexNormals,
     triangulate: triangulate,
     forEachFace: forEachFace,
     forEachVertex: forEachVertex,
+    intersectRay: intersectRay,
+    buildTopology: buildTopology,
+    validate: validate,
+    repair: repair,
 
     makePlane: makePlane,
     makeCube: makeCube,
@@ -828,8 +3658,29 @@ Pre3d.ShapeUtils = (function() {
     averageSmooth: averageSmooth,
     linearSubdivide: linearSubdivide,
     linearSubdivideTri: linearSubdivideTri,
+    catmullClark: catmullClark,
+    loopSubdivide: loopSubdivide,
     explodeFaces: explodeFaces,
 
+    csgUnion: csgUnion,
+    csgSubtract: csgSubtract,
+    csgIntersect: csgIntersect,
+
+    makeTextureInfo: makeTextureInfo,
+    parseOBJ: parseOBJ,
+    toOBJ: toOBJ,
+    parseSTL: parseSTL,
+    toSTL: toSTL,
+    toBinarySTL: toBinarySTL,
+    parsePLY: parsePLY,
+    toPLY: toPLY,
+    parseOFF: parseOFF,
+    toOFF: toOFF,
+    parseGLTF: parseGLTF,
+
     Extruder: Extruder
   };
 })();
+
+if (typeof module !== 'undefined' && module.exports)
+  module.exports = Pre3d.ShapeUtils;
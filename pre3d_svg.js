@@ -0,0 +1,230 @@
+// Pre3d, a JavaScript software 3d renderer.
+// (c) Dean McNamee <dean@gmail.com>.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS
+// IN THE SOFTWARE.
+//
+// This file implements an SVG backend for the Renderer.  The buffered quads
+// and Paths are written out as SVG elements instead of being painted, which
+// gives resolution independent output.  Nothing here touches the DOM, the
+// result is just a string, so it works fine outside of a browser:
+//   var renderer = new Pre3d.Renderer({width: 800, height: 600});
+//   var svg = new Pre3d.SVGBackend();
+//   renderer.backend = svg;
+//   ... bufferShape, drawBuffer, drawPath, etc ...
+//   var document_string = svg.toSVG(renderer);
+//
+// Textures are not supported, since there is no general way to reference the
+// image from the SVG document.
+
+// With a <script> tag this just refers to the global Pre3d from pre3d.js.
+// Under CommonJS there is no global, so we require the core instead.
+var Pre3d = typeof(Pre3d) !== 'undefined' ? Pre3d : require('./pre3d');
+
+Pre3d.SVGBackend = (function() {
+
+  var addPoints3d = Pre3d.Math.addPoints3d;
+  var unitVector3d = Pre3d.Math.unitVector3d;
+
+  function SVGBackend() {
+    // The background color, or null for a transparent background.
+    this.background_rgba = null;
+
+    // The render state for drawPath.  With <canvas> this is set on the ctx,
+    // here it is set directly on the backend.
+    this.path_stroke_rgba = new Pre3d.RGBA(0, 0, 0, 1);
+    this.path_fill_rgba = new Pre3d.RGBA(0, 0, 0, 1);
+    this.path_line_width = 1;
+
+    // Internals, don't access me.
+    this.elements_ = [ ];
+    this.defs_ = [ ];
+  }
+
+  // Throw away everything drawn so far, to start a new document.
+  SVGBackend.prototype.reset = function() {
+    this.elements_ = [ ];
+    this.defs_ = [ ];
+  };
+
+  // Format a number for the SVG output, we don't need more precision than
+  // a hundredth of a pixel, and it keeps the documents smaller.
+  function fmt(x) {
+    return '' + (Math.round(x * 100) / 100);
+  }
+
+  // Return an SVG color attribute value like 'rgb(255,0,0)' for the 0 .. 1
+  // color components |r|, |g|, and |b|.  Alpha is a separate attribute.
+  function svgColor(r, g, b) {
+    return 'rgb(' + Math.floor(r * 255) + ',' + Math.floor(g * 255) + ',' +
+        Math.floor(b * 255) + ')';
+  }
+
+  // Return the fill or stroke attributes for the color |c| {r, g, b, a}.
+  function colorAttributes(name, c) {
+    var attrs = ' ' + name + '="' + svgColor(c.r, c.g, c.b) + '"';
+    if (c.a !== 1)
+      attrs += ' ' + name + '-opacity="' + fmt(c.a) + '"';
+    return attrs;
+  }
+
+  SVGBackend.prototype.drawBuffer = function drawBuffer(renderer, quads) {
+    var elements = this.elements_;
+
+    for (var j = 0, jl = quads.length; j < jl; ++j) {
+      var obj = quads[j];
+      var qf = obj.qf;
+
+      var points = [qf.i0, qf.i1, qf.i2];
+      if (qf.isTriangle() !== true)
+        points.push(qf.i3);
+      for (var i = 0, il = points.length; i < il; ++i)
+        points[i] = renderer.projectPointToCanvas(points[i]);
+
+      var points_attr = '';
+      for (var i = 0, il = points.length; i < il; ++i) {
+        if (i !== 0) points_attr += ' ';
+        points_attr += fmt(points[i].x) + ',' + fmt(points[i].y);
+      }
+
+      var attrs = '';
+      var fill = renderer.fillColorForQuad(obj, obj.light);
+      if (fill !== null) {
+        var gradient = null;
+        if (obj.vertex_lights !== null) {
+          var screen_qf = new Pre3d.QuadFace(
+              points[0], points[1], points[2],
+              points.length === 4 ? points[3] : null);
+          gradient = renderer.smoothGradientForQuad(obj, screen_qf);
+        }
+
+        if (gradient !== null) {
+          var id = 'g' + this.defs_.length;
+          this.defs_.push(
+              '<linearGradient id="' + id + '" ' +
+              'gradientUnits="userSpaceOnUse" ' +
+              'x1="' + fmt(gradient.x0) + '" y1="' + fmt(gradient.y0) + '" ' +
+              'x2="' + fmt(gradient.x1) + '" y2="' + fmt(gradient.y1) + '">' +
+              '<stop offset="0" stop-color="' +
+              svgColor(gradient.c0.r, gradient.c0.g, gradient.c0.b) +
+              '" stop-opacity="' + fmt(gradient.c0.a) + '"/>' +
+              '<stop offset="1" stop-color="' +
+              svgColor(gradient.c1.r, gradient.c1.g, gradient.c1.b) +
+              '" stop-opacity="' + fmt(gradient.c1.a) + '"/>' +
+              '</linearGradient>');
+          attrs += ' fill="url(#' + id + ')"';
+        } else {
+          attrs += colorAttributes('fill', fill);
+        }
+      } else {
+        attrs += ' fill="none"';
+      }
+
+      var srgba = obj.stroke_rgba;
+      if (srgba !== null) {
+        attrs += colorAttributes('stroke', srgba);
+      } else if (fill !== null && fill.a === 1 &&
+                 obj.draw_overdraw === true) {
+        // Like the <canvas> path, cover up the antialiasing gaps between
+        // quads.  Here it's fine to do that with a thin stroke.
+        attrs += colorAttributes('stroke', fill) + ' stroke-width="0.5"';
+      }
+
+      elements.push('<polygon points="' + points_attr + '"' + attrs + '/>');
+
+      // Normal lines, from the centroid out along the normal.
+      var normal_rgbas = [obj.normal1_rgba, obj.normal2_rgba];
+      var normals = [qf.normal1, qf.normal2];
+      for (var k = 0; k < 2; ++k) {
+        var nrgba = normal_rgbas[k];
+        if (nrgba === null)
+          continue;
+        var p0 = renderer.projectPointToCanvas(qf.centroid);
+        var p1 = renderer.projectPointToCanvas(
+            addPoints3d(qf.centroid, unitVector3d(normals[k])));
+        elements.push(
+            '<line x1="' + fmt(p0.x) + '" y1="' + fmt(p0.y) + '" ' +
+            'x2="' + fmt(p1.x) + '" y2="' + fmt(p1.y) + '"' +
+            colorAttributes('stroke', nrgba) + '/>');
+      }
+    }
+
+    return quads.length;
+  };
+
+  SVGBackend.prototype.drawPath = function drawPath(
+      renderer, start_point, screen_points, curves, opts) {
+    var d = 'M' + fmt(start_point.x) + ' ' + fmt(start_point.y);
+
+    for (var j = 0, jl = curves.length; j < jl; ++j) {
+      var curve = curves[j];
+      var c0 = screen_points[curve.c0];
+      var ep = screen_points[curve.ep];
+      if (curve.isQuadratic() === true) {
+        d += ' Q' + fmt(c0.x) + ' ' + fmt(c0.y) + ' ' +
+            fmt(ep.x) + ' ' + fmt(ep.y);
+      } else {
+        var c1 = screen_points[curve.c1];
+        d += ' C' + fmt(c0.x) + ' ' + fmt(c0.y) + ' ' +
+            fmt(c1.x) + ' ' + fmt(c1.y) + ' ' +
+            fmt(ep.x) + ' ' + fmt(ep.y);
+      }
+    }
+
+    var attrs;
+    if (opts.fill === true) {
+      attrs = colorAttributes('fill', this.path_fill_rgba);
+    } else {
+      attrs = ' fill="none"' +
+          colorAttributes('stroke', this.path_stroke_rgba) +
+          ' stroke-width="' + fmt(this.path_line_width) + '"';
+    }
+
+    this.elements_.push('<path d="' + d + '"' + attrs + '/>');
+  };
+
+  // Return everything drawn so far as a complete SVG document string.  The
+  // size of the document is the size of the |renderer|'s canvas.
+  SVGBackend.prototype.toSVG = function(renderer) {
+    var width = renderer.canvas.width;
+    var height = renderer.canvas.height;
+
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<svg xmlns="http://www.w3.org/2000/svg" version="1.1" ' +
+          'width="' + width + '" height="' + height + '" ' +
+          'viewBox="0 0 ' + width + ' ' + height + '">'
+    ];
+
+    if (this.defs_.length !== 0)
+      out.push('<defs>' + this.defs_.join('') + '</defs>');
+
+    var bg = this.background_rgba;
+    if (bg !== null) {
+      out.push('<rect x="0" y="0" width="' + width + '" height="' + height +
+               '"' + colorAttributes('fill', bg) + '/>');
+    }
+
+    return out.concat(this.elements_, ['</svg>']).join('\n') + '\n';
+  };
+
+  return SVGBackend;
+})();
+
+if (typeof module !== 'undefined' && module.exports)
+  module.exports = Pre3d.SVGBackend;
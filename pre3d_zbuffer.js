@@ -0,0 +1,344 @@
+// Pre3d, a JavaScript software 3d renderer.
+// (c) Dean McNamee <dean@gmail.com>.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS
+// IN THE SOFTWARE.
+//
+// This file implements a z-buffer backend for the Renderer.  Instead of
+// painting the buffered quads as <canvas> paths, they are rasterized in
+// JavaScript into an ImageData, with a depth value kept for every pixel.
+// This is a lot slower, but intersecting geometry is drawn correctly, and
+// smooth shading is properly interpolated.  To use it:
+//   renderer.backend = new Pre3d.ZBufferBackend();
+//
+// The current contents of the canvas are read back before drawing, so things
+// like drawBackground() work as usual.
+//
+// - Depth
+//   We store 1 / distance for each pixel, where -Infinity is the cleared
+//   value.  Unlike the distance, this is linear in screen space, so it can
+//   be interpolated directly, and is also what we need for perspective
+//   correct interpolation of texture coordinates and colors.  With an
+//   orthographic camera the z coordinate itself is linear, so we store that.
+
+// With a <script> tag this just refers to the global Pre3d from pre3d.js.
+// Under CommonJS there is no global, so we require the core instead.
+var Pre3d = typeof(Pre3d) !== 'undefined' ? Pre3d : require('./pre3d');
+
+Pre3d.ZBufferBackend = (function() {
+
+  var addPoints3d = Pre3d.Math.addPoints3d;
+  var unitVector3d = Pre3d.Math.unitVector3d;
+
+  function ZBufferBackend() {
+    // Internals, don't access me.
+    this.width_ = 0;
+    this.height_ = 0;
+    this.depth_ = null;
+    // Pixel data of texture images, as a list of {image, data}.
+    this.texture_cache_ = [ ];
+  }
+
+  // Forget the pixel data read from texture images.  This is needed if you
+  // change the contents of an image (for example a <canvas>) used as texture.
+  ZBufferBackend.prototype.clearTextureCache = function() {
+    this.texture_cache_ = [ ];
+  };
+
+  // Return the pixel data (an ImageData-like {width, height, data}) of the
+  // texture image |image|.  Images that already are ImageData are used
+  // directly, anything else is drawn into a scratch <canvas> and read back.
+  ZBufferBackend.prototype.textureData_ = function(renderer, image) {
+    if (image.data !== undefined)
+      return image;
+
+    var cache = this.texture_cache_;
+    for (var i = 0, il = cache.length; i < il; ++i) {
+      if (cache[i].image === image)
+        return cache[i].data;
+    }
+
+    var canvas = renderer.canvas.ownerDocument.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    var ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    var data = ctx.getImageData(0, 0, image.width, image.height);
+    cache.push({image: image, data: data});
+    return data;
+  };
+
+  // Blend the color |r|, |g|, |b| (0 .. 255) with alpha |a| (0 .. 1) into
+  // the pixel at byte offset |o| of the pixels |px|.
+  function blendPixel(px, o, r, g, b, a) {
+    if (a >= 1) {
+      px[o] = r;
+      px[o + 1] = g;
+      px[o + 2] = b;
+      px[o + 3] = 255;
+    } else {
+      var ia = 1 - a;
+      px[o] = r * a + px[o] * ia;
+      px[o + 1] = g * a + px[o + 1] * ia;
+      px[o + 2] = b * a + px[o + 2] * ia;
+      px[o + 3] = 255 * a + px[o + 3] * ia;
+    }
+  }
+
+  // Rasterize a triangle.  Each vertex |v0|, |v1|, |v2| is a projected
+  // vertex, with screen coordinates x and y, the perspective weight w
+  // (1 / distance), the depth d (larger is closer), the texture coordinates
+  // u and v, and the color c {r, g, b, a}.  |flat| is a
+  // color for the whole triangle, or null to interpolate the vertex colors.
+  // |tex| is the pixel data to texture with, or null.
+  ZBufferBackend.prototype.drawTriangle_ = function(px, v0, v1, v2,
+                                                    flat, tex) {
+    var width = this.width_;
+    var height = this.height_;
+    var depth = this.depth_;
+
+    var x0 = v0.x, y0 = v0.y, x1 = v1.x, y1 = v1.y, x2 = v2.x, y2 = v2.y;
+
+    // Twice the signed area, used to normalize the barycentric coordinates.
+    var area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (area === 0 || isNaN(area))
+      return;
+    var inv_area = 1 / area;
+
+    // The bounding box, clipped to the canvas.
+    var min_x = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+    var max_x = Math.min(width - 1, Math.ceil(Math.max(x0, x1, x2)));
+    var min_y = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+    var max_y = Math.min(height - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+    var w0 = v0.w, w1 = v1.w, w2 = v2.w;
+    var d0 = v0.d, d1 = v1.d, d2 = v2.d;
+    var c0 = v0.c, c1 = v1.c, c2 = v2.c;
+
+    for (var y = min_y; y <= max_y; ++y) {
+      var cy = y + 0.5;
+      for (var x = min_x; x <= max_x; ++x) {
+        var cx = x + 0.5;
+
+        // Barycentric coordinates of the pixel center.
+        var l0 = ((x1 - cx) * (y2 - cy) - (x2 - cx) * (y1 - cy)) * inv_area;
+        var l1 = ((x2 - cx) * (y0 - cy) - (x0 - cx) * (y2 - cy)) * inv_area;
+        var l2 = 1 - l0 - l1;
+        if (l0 < 0 || l1 < 0 || l2 < 0)
+          continue;
+
+        var z = l0 * d0 + l1 * d1 + l2 * d2;
+        var di = y * width + x;
+        if (z <= depth[di])
+          continue;
+
+        var w = l0 * w0 + l1 * w1 + l2 * w2;
+
+        // Perspective correct weights.
+        var pw0 = l0 * w0 / w, pw1 = l1 * w1 / w, pw2 = l2 * w2 / w;
+
+        var r, g, b, a;
+        if (flat !== null) {
+          r = flat.r; g = flat.g; b = flat.b; a = flat.a;
+        } else {
+          r = pw0 * c0.r + pw1 * c1.r + pw2 * c2.r;
+          g = pw0 * c0.g + pw1 * c1.g + pw2 * c2.g;
+          b = pw0 * c0.b + pw1 * c1.b + pw2 * c2.b;
+          a = pw0 * c0.a + pw1 * c1.a + pw2 * c2.a;
+        }
+        r *= 255; g *= 255; b *= 255;
+
+        if (tex !== null) {
+          // The texture is painted over the fill, like the <canvas> path.
+          var tu = Math.floor(pw0 * v0.u + pw1 * v1.u + pw2 * v2.u);
+          var tv = Math.floor(pw0 * v0.v + pw1 * v1.v + pw2 * v2.v);
+          if (tu < 0) tu = 0; else if (tu >= tex.width) tu = tex.width - 1;
+          if (tv < 0) tv = 0; else if (tv >= tex.height) tv = tex.height - 1;
+          var to = (tv * tex.width + tu) * 4;
+          var td = tex.data;
+          var ta = td[to + 3] / 255;
+          if (a === 0) {
+            r = td[to]; g = td[to + 1]; b = td[to + 2]; a = ta;
+          } else {
+            var ita = 1 - ta;
+            r = td[to] * ta + r * ita;
+            g = td[to + 1] * ta + g * ita;
+            b = td[to + 2] * ta + b * ita;
+            a = ta + a * ita;
+          }
+        }
+
+        if (a <= 0)
+          continue;
+
+        // Only opaque pixels hide what is behind them.
+        if (a >= 1)
+          depth[di] = z;
+        blendPixel(px, di * 4, r, g, b, a);
+      }
+    }
+  };
+
+  // Draw a line between the projected vertices |v0| and |v1| with the color
+  // |rgba|.  The line is depth tested, with a little slack so that lines
+  // along the edges of faces are not hidden by the faces themselves.
+  ZBufferBackend.prototype.drawLine_ = function(px, v0, v1, rgba) {
+    var width = this.width_;
+    var height = this.height_;
+    var depth = this.depth_;
+
+    var dx = v1.x - v0.x, dy = v1.y - v0.y;
+    var steps = Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)));
+    if (isNaN(steps))
+      return;
+    if (steps === 0)
+      steps = 1;
+
+    var r = rgba.r * 255, g = rgba.g * 255, b = rgba.b * 255, a = rgba.a;
+    for (var i = 0; i <= steps; ++i) {
+      var t = i / steps;
+      var x = Math.floor(v0.x + dx * t);
+      var y = Math.floor(v0.y + dy * t);
+      if (x < 0 || x >= width || y < 0 || y >= height)
+        continue;
+      var z = v0.d + (v1.d - v0.d) * t;
+      var di = y * width + x;
+      if (z < depth[di] - Math.abs(depth[di]) * 0.001)
+        continue;
+      blendPixel(px, di * 4, r, g, b, a);
+    }
+  };
+
+  // Project the camera space point |p| for rasterization.  With a parallel
+  // projection everything interpolates linearly in screen space, so there is
+  // no perspective weight, and the depth is just the z coordinate.
+  function projectVertex(renderer, p, u, v, c) {
+    var sp = renderer.projectPointToCanvas(p);
+    if (renderer.camera.orthographic === true)
+      return {x: sp.x, y: sp.y, w: 1, d: p.z, u: u, v: v, c: c};
+    return {x: sp.x, y: sp.y, w: 1 / -p.z, d: 1 / -p.z, u: u, v: v, c: c};
+  }
+
+  ZBufferBackend.prototype.drawBuffer = function drawBuffer(renderer, quads) {
+    var ctx = renderer.ctx;
+    var width = renderer.canvas.width;
+    var height = renderer.canvas.height;
+
+    if (this.depth_ === null ||
+        this.width_ !== width || this.height_ !== height) {
+      this.width_ = width;
+      this.height_ = height;
+      this.depth_ = new Float32Array(width * height);
+    }
+    var depth = this.depth_;
+    for (var i = 0, il = depth.length; i < il; ++i)
+      depth[i] = -Infinity;
+
+    // Start with whatever is already on the canvas, like the background.
+    var image_data = ctx.getImageData(0, 0, width, height);
+    var px = image_data.data;
+
+    for (var j = 0, jl = quads.length; j < jl; ++j) {
+      var obj = quads[j];
+      var qf = obj.qf;
+      var is_triangle = qf.isTriangle();
+      var texture = obj.texture;
+
+      var fill = renderer.fillColorForQuad(obj, obj.light);
+      var flat = fill;
+      var colors;
+      if (fill === null) {
+        // Not filled, the texture is drawn over nothing.
+        fill = {r: 0, g: 0, b: 0, a: 0};
+        flat = fill;
+        colors = [fill, fill, fill, fill];
+      } else if (obj.vertex_lights !== null) {
+        var vl = obj.vertex_lights;
+        colors = [
+          renderer.fillColorForQuad(obj, vl[0]),
+          renderer.fillColorForQuad(obj, vl[1]),
+          renderer.fillColorForQuad(obj, vl[2]),
+          is_triangle === true ? null : renderer.fillColorForQuad(obj, vl[3])
+        ];
+        flat = null;
+      } else {
+        colors = [fill, fill, fill, fill];
+      }
+
+      var tex = null;
+      var us = [0, 0, 0, 0], vs = [0, 0, 0, 0];
+      if (texture !== null) {
+        tex = this.textureData_(renderer, texture.image);
+        us = [texture.u0, texture.u1, texture.u2, texture.u3];
+        vs = [texture.v0, texture.v1, texture.v2, texture.v3];
+      }
+
+      if (fill.a === 0 && tex === null && obj.stroke_rgba === null &&
+          obj.normal1_rgba === null && obj.normal2_rgba === null) {
+        continue;
+      }
+
+      var v0 = projectVertex(renderer, qf.i0, us[0], vs[0], colors[0]);
+      var v1 = projectVertex(renderer, qf.i1, us[1], vs[1], colors[1]);
+      var v2 = projectVertex(renderer, qf.i2, us[2], vs[2], colors[2]);
+      var v3 = is_triangle === true ? null :
+          projectVertex(renderer, qf.i3, us[3], vs[3], colors[3]);
+
+      if (fill.a !== 0 || tex !== null) {
+        this.drawTriangle_(px, v0, v1, v2, flat, tex);
+        if (v3 !== null)
+          this.drawTriangle_(px, v0, v2, v3, flat, tex);
+      }
+
+      var srgba = obj.stroke_rgba;
+      if (srgba !== null) {
+        this.drawLine_(px, v0, v1, srgba);
+        this.drawLine_(px, v1, v2, srgba);
+        if (v3 === null) {
+          this.drawLine_(px, v2, v0, srgba);
+        } else {
+          this.drawLine_(px, v2, v3, srgba);
+          this.drawLine_(px, v3, v0, srgba);
+        }
+      }
+
+      // Normal lines, from the centroid out along the normal.
+      var normal_rgbas = [obj.normal1_rgba, obj.normal2_rgba];
+      var normals = [qf.normal1, qf.normal2];
+      for (var k = 0; k < 2; ++k) {
+        var nrgba = normal_rgbas[k];
+        if (nrgba === null)
+          continue;
+        var c = qf.centroid;
+        this.drawLine_(px,
+            projectVertex(renderer, c, 0, 0, null),
+            projectVertex(renderer,
+                addPoints3d(c, unitVector3d(normals[k])), 0, 0, null),
+            nrgba);
+      }
+    }
+
+    ctx.putImageData(image_data, 0, 0);
+    return quads.length;
+  };
+
+  return ZBufferBackend;
+})();
+
+if (typeof module !== 'undefined' && module.exports)
+  module.exports = Pre3d.ZBufferBackend;
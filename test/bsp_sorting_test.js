@@ -0,0 +1,68 @@
+// Tests for BSP tree sorting.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+
+// A long floor below the eye, and a wall standing on it, further away than
+// the center of the floor.  Sorting by centroid paints the floor over the
+// wall, the floor is the one that has to go first.
+function bufferFloorAndWall(renderer) {
+  var floor = ShapeUtils.makePlane(
+      {x: -5, y: -1, z: -2}, {x: 5, y: -1, z: -2},
+      {x: 5, y: -1, z: -30}, {x: -5, y: -1, z: -30});
+  var wall = ShapeUtils.makePlane(
+      {x: -1, y: -1, z: -20}, {x: 1, y: -1, z: -20},
+      {x: 1, y: 1, z: -20}, {x: -1, y: 1, z: -20});
+  renderer.emptyBuffer();
+  renderer.bufferShape(floor);
+  renderer.bufferShape(wall);
+  renderer.drawBuffer();
+  return {floor: floor, wall: wall, quads: renderer.backend.quads};
+}
+
+function indexOfShape(quads, shape) {
+  for (var i = 0, il = quads.length; i < il; ++i) {
+    if (quads[i].shape === shape)
+      return i;
+  }
+  return -1;
+}
+
+test('the BSP tree paints in the right order', function() {
+  var renderer = common.makeCapturingRenderer();
+  var result = bufferFloorAndWall(renderer);
+  assert.ok(indexOfShape(result.quads, result.floor) >
+            indexOfShape(result.quads, result.wall));
+
+  renderer.perform_bsp_sorting = true;
+  result = bufferFloorAndWall(renderer);
+  assert.ok(indexOfShape(result.quads, result.floor) <
+            indexOfShape(result.quads, result.wall));
+});
+
+test('quads crossing each other are split', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.perform_bsp_sorting = true;
+  renderer.draw_backfaces = true;
+  renderer.transform.translate(0, 0, -5);
+  renderer.bufferShape(ShapeUtils.makePlane(
+      {x: -1, y: -1, z: -1}, {x: 1, y: -1, z: -1},
+      {x: 1, y: 1, z: 1}, {x: -1, y: 1, z: 1}));
+  renderer.bufferShape(ShapeUtils.makePlane(
+      {x: -1, y: -1, z: 1}, {x: 1, y: -1, z: 1},
+      {x: 1, y: 1, z: -1}, {x: -1, y: 1, z: -1}));
+  renderer.drawBuffer();
+  assert.strictEqual(renderer.backend.quads.length, 3);
+});
+
+test('a dense convex shape does not overflow the stack', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.perform_bsp_sorting = true;
+  renderer.transform.translate(0, 0, -5);
+  var quads = common.drawShape(renderer, ShapeUtils.makeSphere(1, 200, 200));
+  assert.ok(quads.length > 10000);
+});
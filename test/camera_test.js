@@ -0,0 +1,101 @@
+// Tests for the Camera projection settings.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+
+// A 400 x 200 canvas, so the height maps to 100 pixels per unit, and the
+// center is at (200, 100).
+function makeWideRenderer() {
+  return common.makeCapturingRenderer(400, 200);
+}
+
+function assertPoint2dNear(actual, x, y) {
+  assertNear(actual.x, x, 1e-9, 'x');
+  assertNear(actual.y, y, 1e-9, 'y');
+}
+
+test('perspective projection divides by the depth', function() {
+  var renderer = makeWideRenderer();
+  assertPoint2dNear(renderer.projectPointToCanvas({x: 1, y: 0.5, z: -2}),
+                    250, 75);
+  renderer.camera.focal_length = 2;
+  assertPoint2dNear(renderer.projectPointToCanvas({x: 1, y: 0.5, z: -2}),
+                    300, 50);
+});
+
+test('field of view sets the focal length', function() {
+  var camera = new Pre3d.Camera();
+  camera.setFieldOfView(90);
+  assertNear(camera.focal_length, 1);
+  camera.setFieldOfView(60);
+  assertNear(camera.focal_length, Math.sqrt(3));
+  assertNear(camera.fieldOfView(), 60);
+});
+
+test('orthographic projection ignores the depth', function() {
+  var renderer = makeWideRenderer();
+  renderer.camera.orthographic = true;
+  renderer.camera.ortho_scale = 2;
+  assertPoint2dNear(renderer.projectPointToCanvas({x: 1, y: 0.5, z: -2}),
+                    250, 75);
+  assertPoint2dNear(renderer.projectPointToCanvas({x: 1, y: 0.5, z: -20}),
+                    250, 75);
+});
+
+test('lens shift moves the image without changing perspective', function() {
+  var renderer = makeWideRenderer();
+  renderer.camera.shift_x = 0.5;
+  renderer.camera.shift_y = -1;
+  assertPoint2dNear(renderer.projectPointToCanvas({x: 1, y: 0.5, z: -2}),
+                    300, 175);
+});
+
+test('orthographic views cull backfaces along -z', function() {
+  // Off to the left, one face of the tilted cube is turned away from the
+  // eye, but still faces +z, so a parallel view straight down -z sees it.
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.rotateY(0.3);
+  renderer.transform.rotateX(0.2);
+  renderer.transform.translate(-3, 0, -10);
+  assert.strictEqual(
+      common.drawShape(renderer, ShapeUtils.makeCube(1)).length, 2);
+  renderer.camera.orthographic = true;
+  renderer.camera.ortho_scale = 6;
+  assert.strictEqual(
+      common.drawShape(renderer, ShapeUtils.makeCube(1)).length, 3);
+});
+
+test('orthographic views cull by the view volume, not the depth', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.camera.orthographic = true;
+  renderer.camera.ortho_scale = 2;
+  // Far enough away that a perspective view would see it, still outside of
+  // the parallel view volume.
+  renderer.transform.translate(4, 0, -100);
+  assert.strictEqual(
+      common.drawShape(renderer, ShapeUtils.makeCube(1)).length, 0);
+  renderer.camera.orthographic = false;
+  assert.ok(common.drawShape(renderer, ShapeUtils.makeCube(1)).length > 0);
+});
+
+test('drawPath uses the camera projection', function() {
+  var renderer = new Pre3d.Renderer(new Pre3d.RecordingCanvas(400, 200));
+  renderer.camera.orthographic = true;
+  renderer.camera.ortho_scale = 2;
+  var path = new Pre3d.Path();
+  path.points = [{x: 0, y: 0, z: -5}, {x: 1, y: 0.5, z: -50},
+                 {x: 2, y: 0, z: -5}];
+  path.starting_point = 0;
+  path.curves = [new Pre3d.Curve(2, 1, null)];
+  renderer.drawPath(path);
+  assert.deepStrictEqual(renderer.ctx.commands.slice(0, 3), [
+    ['beginPath'],
+    ['moveTo', 200, 100],
+    ['quadraticCurveTo', 250, 75, 300, 100]
+  ]);
+});
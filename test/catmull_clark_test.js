@@ -0,0 +1,116 @@
+// Tests for ShapeUtils.catmullClark.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+var assertPointNear = common.assertPointNear;
+
+function hasVertexNear(shape, p) {
+  return shape.vertices.some(function(v) {
+    return Math.abs(v.x - p.x) < 1e-9 && Math.abs(v.y - p.y) < 1e-9 &&
+        Math.abs(v.z - p.z) < 1e-9;
+  });
+}
+
+function allQuads(shape) {
+  return shape.quads.every(function(qf) { return qf.isTriangle() !== true; });
+}
+
+test('one level on a cube uses the Catmull-Clark weights', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var corner = cube.vertices[0];
+  ShapeUtils.catmullClark(cube);
+  assert.strictEqual(cube.vertices.length, 8 + 12 + 6);
+  assert.strictEqual(cube.quads.length, 24);
+  assert.ok(allQuads(cube));
+
+  // The vertex points keep their indices, and a corner of valence 3 moves
+  // to (F + 2R) / 3, from the face points and the edge mid points.
+  var s = 5 / 9;
+  assertPointNear(cube.vertices[0], {x: s * Math.sign(corner.x),
+                                     y: s * Math.sign(corner.y),
+                                     z: s * Math.sign(corner.z)});
+  // Edge points average the ends and the two face points, and face points
+  // are the face centroids.
+  assert.ok(hasVertexNear(cube, {x: 0.75, y: 0.75, z: 0}));
+  assert.ok(hasVertexNear(cube, {x: 1, y: 0, z: 0}));
+  // The meta data is rebuilt.
+  var qf = cube.quads[0];
+  assert.ok(qf.centroid !== undefined && qf.normal1 !== undefined);
+});
+
+test('more levels shrink the cube towards its limit surface', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var volume = common.shapeVolume(cube);
+  ShapeUtils.catmullClark(cube, 2);
+  assert.strictEqual(cube.vertices.length, 98);
+  assert.strictEqual(cube.quads.length, 96);
+  var smoothed = common.shapeVolume(cube);
+  assert.ok(smoothed > 0 && smoothed < volume);
+  for (var i = 0, il = cube.vertices.length; i < il; ++i) {
+    var v = cube.vertices[i];
+    assert.ok(Math.max(Math.abs(v.x), Math.abs(v.y), Math.abs(v.z)) <= 1);
+  }
+});
+
+test('triangles are split into quads', function() {
+  var tri = new Pre3d.Shape();
+  tri.vertices = [{x: 0, y: 0, z: 0}, {x: 1, y: 0, z: 0}, {x: 0, y: 1, z: 0}];
+  tri.quads = [new Pre3d.QuadFace(0, 1, 2, null)];
+  ShapeUtils.catmullClark(tri);
+  assert.strictEqual(tri.quads.length, 3);
+  assert.ok(allQuads(tri));
+});
+
+test('the boundary of an open shape stays in its plane', function() {
+  var box = ShapeUtils.makeCube(1);
+  var removed = box.quads.shift();
+  var plane = removed.normal1;
+  var offset = Pre3d.Math.dotProduct3d(plane, box.vertices[removed.i0]);
+  ShapeUtils.rebuildMeta(box);
+  ShapeUtils.catmullClark(box, 2);
+  assert.ok(allQuads(box));
+  // The boundary edges are sharp, so the boundary points are only averaged
+  // with each other and stay in the plane of the removed face.
+  var loops = ShapeUtils.buildTopology(box).boundaryLoops();
+  assert.strictEqual(loops.length, 1);
+  assert.strictEqual(loops[0].length, 16);
+  for (var i = 0; i < loops[0].length; ++i) {
+    var v = box.vertices[loops[0][i]];
+    assertNear(Pre3d.Math.dotProduct3d(plane, v), offset);
+  }
+});
+
+test('crease edges are kept sharp', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var creases = [ ];
+  var topology = ShapeUtils.buildTopology(cube);
+  for (var i = 0, il = topology.edges.length; i < il; ++i)
+    creases.push([topology.edges[i].a, topology.edges[i].b]);
+  ShapeUtils.catmullClark(cube, 2, creases);
+  // With every edge a crease, the corners stay put, and the creases stay
+  // on the edges of the cube, so the cube keeps its shape.
+  assert.ok(hasVertexNear(cube, {x: 1, y: 1, z: 1}));
+  assert.ok(hasVertexNear(cube, {x: 1, y: 1, z: 0.5}));
+  assertNear(common.shapeVolume(cube), common.shapeVolume(
+      ShapeUtils.makeCube(1)), 1e-9);
+});
+
+test('colors and groups follow along, uvs are removed', function() {
+  var cube = ShapeUtils.makeCube(1);
+  cube.vertex_colors = cube.vertices.map(function(v) {
+    return new Pre3d.RGBA(v.x > 0 ? 1 : 0, 0, 0, 1);
+  });
+  cube.groups = [{name: 'first', quads: [0]}];
+  cube.uvs = [{u: 0, v: 0}];
+  cube.quad_uvs = cube.quads.map(function() { return [0, 0, 0, 0]; });
+  ShapeUtils.catmullClark(cube);
+  assert.strictEqual(cube.vertex_colors.length, cube.vertices.length);
+  assert.deepStrictEqual(cube.groups, [{name: 'first', quads: [0, 1, 2, 3]}]);
+  assert.strictEqual(cube.uvs, null);
+  assert.strictEqual(cube.quad_uvs, null);
+});
@@ -0,0 +1,85 @@
+// Tests for clipping and culling against the view frustum.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+
+// A floor below the eye, running from z = 0 to z = -10.
+function makeFloor() {
+  return ShapeUtils.makePlane({x: -1, y: -1, z: 0}, {x: 1, y: -1, z: 0},
+                              {x: 1, y: -1, z: -10}, {x: -1, y: -1, z: -10});
+}
+
+function quadPoints(qf) {
+  return qf.isTriangle() === true ? [qf.i0, qf.i1, qf.i2] :
+      [qf.i0, qf.i1, qf.i2, qf.i3];
+}
+
+test('quads crossing the near plane are clipped to it', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.camera.near = 2;
+  var quads = common.drawShape(renderer, makeFloor());
+  assert.ok(quads.length > 0);
+  var min_depth = Infinity;
+  for (var i = 0, il = quads.length; i < il; ++i) {
+    var points = quadPoints(quads[i].qf);
+    for (var j = 0, jl = points.length; j < jl; ++j)
+      min_depth = Math.min(min_depth, -points[j].z);
+  }
+  common.assertNear(min_depth, 2, 1e-9);
+});
+
+test('quads crossing the far plane are clipped to it', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.camera.far = 5;
+  var quads = common.drawShape(renderer, makeFloor());
+  var max_depth = 0;
+  for (var i = 0, il = quads.length; i < il; ++i) {
+    var points = quadPoints(quads[i].qf);
+    for (var j = 0, jl = points.length; j < jl; ++j)
+      max_depth = Math.max(max_depth, -points[j].z);
+  }
+  common.assertNear(max_depth, 5, 1e-9);
+});
+
+test('quads entirely outside of the frustum are culled', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.draw_backfaces = true;
+
+  // Behind the eye.
+  renderer.transform.translate(0, 0, 5);
+  assert.strictEqual(
+      common.drawShape(renderer, ShapeUtils.makeCube(1)).length, 0);
+
+  // Off to the side.
+  renderer.transform.reset();
+  renderer.transform.translate(50, 0, -5);
+  assert.strictEqual(
+      common.drawShape(renderer, ShapeUtils.makeCube(1)).length, 0);
+
+  // Beyond the far plane.
+  renderer.transform.reset();
+  renderer.transform.translate(0, 0, -50);
+  renderer.camera.far = 10;
+  assert.strictEqual(
+      common.drawShape(renderer, ShapeUtils.makeCube(1)).length, 0);
+
+  // In view.
+  renderer.camera.far = Infinity;
+  assert.ok(common.drawShape(renderer, ShapeUtils.makeCube(1)).length > 0);
+});
+
+test('a cube around the eye draws without points behind it', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.draw_backfaces = true;
+  var quads = common.drawShape(renderer, ShapeUtils.makeCube(3));
+  assert.ok(quads.length > 0);
+  for (var i = 0, il = quads.length; i < il; ++i) {
+    var points = quadPoints(quads[i].qf);
+    for (var j = 0, jl = points.length; j < jl; ++j)
+      assert.ok(points[j].z <= -renderer.camera.near + 1e-9);
+  }
+});
@@ -0,0 +1,84 @@
+// Helpers shared by the tests, not a test itself.
+
+var assert = require('node:assert');
+
+var Pre3d = require('../index.js');
+
+// Return a Renderer for a headless |width| x |height| canvas, drawing with
+// a backend that just keeps the buffered quads it is given, for checking
+// what would have been painted.  The quads from the last drawBuffer() are
+// in renderer.backend.quads.
+function makeCapturingRenderer(width, height) {
+  var renderer = new Pre3d.Renderer(
+      new Pre3d.RecordingCanvas(width || 400, height || 400));
+  renderer.backend = {
+    quads: [ ],
+    drawBuffer: function(renderer, quads) {
+      this.quads = quads;
+      return quads.length;
+    }
+  };
+  return renderer;
+}
+
+// Buffer |shape| with |renderer| and draw, returning the drawn quads.
+function drawShape(renderer, shape) {
+  renderer.emptyBuffer();
+  renderer.bufferShape(shape);
+  renderer.drawBuffer();
+  return renderer.backend.quads;
+}
+
+function assertNear(actual, expected, epsilon, message) {
+  if (epsilon === undefined)
+    epsilon = 1e-9;
+  assert.ok(Math.abs(actual - expected) <= epsilon,
+            (message ? message + ': ' : '') + actual + ' is not within ' +
+            epsilon + ' of ' + expected);
+}
+
+function assertPointNear(actual, expected, epsilon, message) {
+  assertNear(actual.x, expected.x, epsilon, message);
+  assertNear(actual.y, expected.y, epsilon, message);
+  assertNear(actual.z, expected.z, epsilon, message);
+}
+
+// The signed volume enclosed by |shape|, positive when the faces are
+// counter-clockwise from the outside.
+function shapeVolume(shape) {
+  var vertices = shape.vertices;
+  var volume = 0;
+  for (var i = 0, il = shape.quads.length; i < il; ++i) {
+    var qf = shape.quads[i];
+    var indices = qf.isTriangle() === true ? [qf.i0, qf.i1, qf.i2] :
+        [qf.i0, qf.i1, qf.i2, qf.i3];
+    for (var j = 1, jl = indices.length - 1; j < jl; ++j) {
+      volume += Pre3d.Math.dotProduct3d(
+          vertices[indices[0]],
+          Pre3d.Math.crossProduct(vertices[indices[j]],
+                                  vertices[indices[j + 1]]));
+    }
+  }
+  return volume / 6;
+}
+
+// Move the vertices of |shape| by |dx|, |dy|, |dz|, returning |shape|.
+function translateShape(shape, dx, dy, dz) {
+  var vertices = shape.vertices;
+  for (var i = 0, il = vertices.length; i < il; ++i) {
+    vertices[i] = {x: vertices[i].x + dx, y: vertices[i].y + dy,
+                   z: vertices[i].z + dz};
+  }
+  Pre3d.ShapeUtils.rebuildMeta(shape);
+  return shape;
+}
+
+module.exports = {
+  Pre3d: Pre3d,
+  makeCapturingRenderer: makeCapturingRenderer,
+  drawShape: drawShape,
+  assertNear: assertNear,
+  assertPointNear: assertPointNear,
+  shapeVolume: shapeVolume,
+  translateShape: translateShape
+};
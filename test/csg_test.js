@@ -0,0 +1,82 @@
+// Tests for ShapeUtils.csgUnion, csgSubtract and csgIntersect.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+
+// Two cubes of size 2, overlapping in a cube of size 1.
+function makeCubes() {
+  return [ShapeUtils.makeCube(1),
+          common.translateShape(ShapeUtils.makeCube(1), 1, 1, 1)];
+}
+
+function bounds(shape) {
+  var min = {x: Infinity, y: Infinity, z: Infinity};
+  var max = {x: -Infinity, y: -Infinity, z: -Infinity};
+  shape.vertices.forEach(function(v) {
+    ['x', 'y', 'z'].forEach(function(axis) {
+      min[axis] = Math.min(min[axis], v[axis]);
+      max[axis] = Math.max(max[axis], v[axis]);
+    });
+  });
+  return {min: min, max: max};
+}
+
+function snapshot(shape) {
+  return JSON.stringify({vertices: shape.vertices, quads: shape.quads.map(
+      function(qf) { return [qf.i0, qf.i1, qf.i2, qf.i3]; })});
+}
+
+test('union covers the space of both', function() {
+  var cubes = makeCubes();
+  var before = cubes.map(snapshot);
+  var result = ShapeUtils.csgUnion(cubes[0], cubes[1]);
+  assertNear(common.shapeVolume(result), 8 + 8 - 1, 1e-6);
+  assert.deepStrictEqual(bounds(result),
+                         {min: {x: -1, y: -1, z: -1}, max: {x: 2, y: 2, z: 2}});
+  assert.deepStrictEqual(cubes.map(snapshot), before);
+});
+
+test('subtract cuts the second out of the first', function() {
+  var cubes = makeCubes();
+  var before = cubes.map(snapshot);
+  var result = ShapeUtils.csgSubtract(cubes[0], cubes[1]);
+  assertNear(common.shapeVolume(result), 8 - 1, 1e-6);
+  assert.deepStrictEqual(bounds(result),
+                         {min: {x: -1, y: -1, z: -1}, max: {x: 1, y: 1, z: 1}});
+  assert.deepStrictEqual(cubes.map(snapshot), before);
+  // The other way around is the same shape, mirrored.
+  assertNear(common.shapeVolume(ShapeUtils.csgSubtract(cubes[1], cubes[0])),
+             7, 1e-6);
+});
+
+test('intersect keeps the space inside of both', function() {
+  var cubes = makeCubes();
+  var before = cubes.map(snapshot);
+  var result = ShapeUtils.csgIntersect(cubes[0], cubes[1]);
+  assertNear(common.shapeVolume(result), 1, 1e-6);
+  assert.deepStrictEqual(bounds(result),
+                         {min: {x: 0, y: 0, z: 0}, max: {x: 1, y: 1, z: 1}});
+  assert.deepStrictEqual(cubes.map(snapshot), before);
+});
+
+test('separate shapes', function() {
+  var a = ShapeUtils.makeCube(1);
+  var b = common.translateShape(ShapeUtils.makeCube(1), 5, 0, 0);
+  assertNear(common.shapeVolume(ShapeUtils.csgUnion(a, b)), 16, 1e-6);
+  assertNear(common.shapeVolume(ShapeUtils.csgSubtract(a, b)), 8, 1e-6);
+  assert.strictEqual(ShapeUtils.csgIntersect(a, b).quads.length, 0);
+});
+
+test('a convex shape with many faces does not overflow the stack', function() {
+  // Every face of a convex shape is behind all of the others, so its tree is
+  // one node deep for each of the thousands of faces.
+  var sphere = ShapeUtils.makeSphere(1, 90, 90);
+  var cube = ShapeUtils.makeCube(0.1);
+  var result = ShapeUtils.csgUnion(sphere, cube);
+  assertNear(common.shapeVolume(result), common.shapeVolume(sphere), 1e-6);
+});
@@ -0,0 +1,30 @@
+// Tests for the CommonJS and ES module entry points.
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var Pre3d = require('../index.js');
+
+test('index.js attaches all of the helpers to Pre3d', function() {
+  assert.strictEqual(typeof Pre3d.Renderer, 'function');
+  assert.strictEqual(Pre3d.ShapeUtils, require('../pre3d_shape_utils'));
+  assert.strictEqual(Pre3d.PathUtils, require('../pre3d_path_utils'));
+  assert.strictEqual(Pre3d.ZBufferBackend, require('../pre3d_zbuffer'));
+  assert.strictEqual(Pre3d.SVGBackend, require('../pre3d_svg'));
+});
+
+test('the files can be required individually', function() {
+  assert.strictEqual(require('../pre3d'), Pre3d);
+  assert.strictEqual(typeof require('../pre3d_shape_utils').makeCube,
+                     'function');
+});
+
+test('index.mjs exports the same objects', function() {
+  return import('../index.mjs').then(function(mod) {
+    assert.strictEqual(mod.default, Pre3d);
+    assert.strictEqual(mod.ShapeUtils, Pre3d.ShapeUtils);
+    assert.strictEqual(mod.PathUtils, Pre3d.PathUtils);
+    assert.strictEqual(mod.ZBufferBackend, Pre3d.ZBufferBackend);
+    assert.strictEqual(mod.SVGBackend, Pre3d.SVGBackend);
+  });
+});
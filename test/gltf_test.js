@@ -0,0 +1,133 @@
+// Tests for ShapeUtils.parseGLTF.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+var assertPointNear = common.assertPointNear;
+
+// A buffer with a triangle: 3 float VEC3 positions at 0, 3 float VEC3
+// normals at 36, 3 float VEC2 texture coordinates at 72, 3 normalized
+// unsigned byte VEC4 colors at 96, and 3 unsigned short indices at 108.
+function makeTriangleBuffer() {
+  var buffer = Buffer.alloc(114);
+  var floats = [0, 0, 0, 1, 0, 0, 0, 1, 0,
+                0, 0, 1, 0, 0, 1, 0, 0, 1,
+                0, 0, 1, 0, 0, 1];
+  for (var i = 0; i < floats.length; ++i)
+    buffer.writeFloatLE(floats[i], i * 4);
+  var bytes = [255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 51];
+  for (var i = 0; i < bytes.length; ++i)
+    buffer.writeUInt8(bytes[i], 96 + i);
+  for (var i = 0; i < 3; ++i)
+    buffer.writeUInt16LE(i, 108 + i * 2);
+  return buffer;
+}
+
+function makeGLTF(uri) {
+  return {
+    asset: {version: '2.0'},
+    buffers: [uri === undefined ?
+        {byteLength: 114,
+         uri: 'data:application/octet-stream;base64,' +
+             makeTriangleBuffer().toString('base64')} :
+        {byteLength: 114, uri: uri}],
+    bufferViews: [{buffer: 0, byteOffset: 0, byteLength: 108},
+                  {buffer: 0, byteOffset: 108, byteLength: 6}],
+    accessors: [
+      {bufferView: 0, componentType: 5126, count: 3, type: 'VEC3'},
+      {bufferView: 0, byteOffset: 36, componentType: 5126, count: 3,
+       type: 'VEC3'},
+      {bufferView: 0, byteOffset: 72, componentType: 5126, count: 3,
+       type: 'VEC2'},
+      {bufferView: 0, byteOffset: 96, componentType: 5121, count: 3,
+       type: 'VEC4', normalized: true},
+      {bufferView: 1, componentType: 5123, count: 3, type: 'SCALAR'}
+    ],
+    materials: [
+      {pbrMetallicRoughness: {baseColorFactor: [0.5, 0.25, 1, 1]}}
+    ],
+    meshes: [{
+      name: 'tri',
+      primitives: [
+        {attributes: {POSITION: 0, NORMAL: 1, TEXCOORD_0: 2, COLOR_0: 3},
+         indices: 4, material: 0},
+        {attributes: {POSITION: 0}, mode: 1}  // Lines are skipped.
+      ]
+    }],
+    nodes: [
+      {name: 'parent', translation: [10, 0, 0], children: [1, 2]},
+      {mesh: 0, scale: [2, 2, 2], rotation: [0, 0, Math.SQRT1_2,
+                                            Math.SQRT1_2]},
+      {name: 'moved', mesh: 0,
+       matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 5, 0, 1]}
+    ],
+    scenes: [{nodes: [0]}],
+    scene: 0
+  };
+}
+
+test('parseGLTF loads the mesh attributes', function() {
+  var items = ShapeUtils.parseGLTF(JSON.stringify(makeGLTF()));
+  assert.strictEqual(items.length, 2);
+  var shape = items[0].shape;
+  assert.strictEqual(shape.vertices.length, 3);
+  assert.strictEqual(shape.quads.length, 1);
+  assert.strictEqual(shape.quads[0].isTriangle(), true);
+  assertPointNear(shape.vertices[1], {x: 1, y: 0, z: 0});
+  assertPointNear(shape.vertex_normals[2], {x: 0, y: 0, z: 1});
+  // Texture coordinates are flipped to v going up.
+  assert.deepStrictEqual(shape.uvs[1], {u: 1, v: 1});
+  assert.deepStrictEqual(shape.quad_uvs, [[0, 1, 2]]);
+  assertNear(shape.vertex_colors[2].b, 1);
+  assertNear(shape.vertex_colors[2].a, 0.2);
+  // The meta data is built.
+  assertPointNear(shape.quads[0].centroid, {x: 1 / 3, y: 1 / 3, z: 0});
+  assert.deepStrictEqual(items[0].rgba, new Pre3d.RGBA(0.5, 0.25, 1, 1));
+});
+
+test('parseGLTF flattens the node hierarchy', function() {
+  var items = ShapeUtils.parseGLTF(makeGLTF());
+  // The mesh is shared between the nodes.
+  assert.strictEqual(items[0].shape, items[1].shape);
+  assert.strictEqual(items[0].name, 'tri');
+  assert.strictEqual(items[1].name, 'moved');
+
+  // Scaled by 2, rotated a quarter turn around z, then moved by the parent.
+  assertPointNear(items[0].transform.transformPoint({x: 1, y: 0, z: 0}),
+                  {x: 10, y: 2, z: 0});
+  // The column major matrix, then moved by the parent.
+  assertPointNear(items[1].transform.transformPoint({x: 1, y: 0, z: 0}),
+                  {x: 11, y: 5, z: 0});
+});
+
+test('parseGLTF without scenes uses the root nodes', function() {
+  var gltf = makeGLTF();
+  delete gltf.scenes;
+  delete gltf.scene;
+  assert.strictEqual(ShapeUtils.parseGLTF(gltf).length, 2);
+});
+
+test('parseGLTF takes external buffers', function() {
+  var gltf = makeGLTF('triangle.bin');
+  assert.strictEqual(ShapeUtils.parseGLTF(gltf), null);
+  var items = ShapeUtils.parseGLTF(gltf, [makeTriangleBuffer()]);
+  assertPointNear(items[0].shape.vertices[2], {x: 0, y: 1, z: 0});
+});
+
+test('parseGLTF returns null for other versions', function() {
+  var gltf = makeGLTF();
+  gltf.asset.version = '1.0';
+  assert.strictEqual(ShapeUtils.parseGLTF(gltf), null);
+});
+
+test('parseGLTF returns null for text that is not glTF', function() {
+  var text = JSON.stringify(makeGLTF());
+  assert.ok(ShapeUtils.parseGLTF(text) !== null);
+  var bad = [text.substr(0, text.length - 1), '', 'null', '42', '{}', null];
+  for (var i = 0; i < bad.length; ++i)
+    assert.strictEqual(ShapeUtils.parseGLTF(bad[i]), null);
+});
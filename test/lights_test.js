@@ -0,0 +1,99 @@
+// Tests for the Renderer's light sources.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var assertNear = common.assertNear;
+
+// Draw a cube in front of the camera, returning the light on its front face,
+// the only face that isn't culled.
+function frontFaceLight(setup) {
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.translate(0, 0, -5);
+  if (setup)
+    setup(renderer);
+  var quads = common.drawShape(renderer, Pre3d.ShapeUtils.makeCube(1));
+  assert.strictEqual(quads.length, 1);
+  return quads[0].light;
+}
+
+test('without lights there is a white headlight', function() {
+  var light = frontFaceLight();
+  assertNear(light.r, 1);
+  assertNear(light.g, 1);
+  assertNear(light.b, 1);
+});
+
+test('ambient light lights every face the same', function() {
+  var light = frontFaceLight(function(renderer) {
+    renderer.lights.push(
+        new Pre3d.AmbientLight(new Pre3d.RGBA(1, 0.5, 0, 1), 0.5));
+  });
+  assertNear(light.r, 0.5);
+  assertNear(light.g, 0.25);
+  assertNear(light.b, 0);
+});
+
+test('directional light falls off with the angle to the face', function() {
+  var white = new Pre3d.RGBA(1, 1, 1, 1);
+  // Straight on.
+  assertNear(frontFaceLight(function(renderer) {
+    renderer.lights.push(
+        new Pre3d.DirectionalLight({x: 0, y: 0, z: -1}, white, 1));
+  }).r, 1);
+  // At 60 degrees.
+  assertNear(frontFaceLight(function(renderer) {
+    renderer.lights.push(new Pre3d.DirectionalLight(
+        {x: 0, y: -Math.sin(Math.PI / 3), z: -0.5}, white, 1));
+  }).r, 0.5);
+  // From behind.
+  assertNear(frontFaceLight(function(renderer) {
+    renderer.lights.push(
+        new Pre3d.DirectionalLight({x: 0, y: 0, z: 1}, white, 1));
+  }).r, 0);
+});
+
+test('point light shines from its position', function() {
+  var white = new Pre3d.RGBA(1, 1, 1, 1);
+  // Right in front of the face's centroid, at (0, 0, -4) in camera space.
+  assertNear(frontFaceLight(function(renderer) {
+    renderer.lights.push(new Pre3d.PointLight({x: 0, y: 0, z: 0}, white, 1));
+  }).r, 1);
+  // Behind the face.
+  assertNear(frontFaceLight(function(renderer) {
+    renderer.lights.push(
+        new Pre3d.PointLight({x: 0, y: 0, z: -10}, white, 1));
+  }).r, 0);
+});
+
+test('lights are in world space unless camera_space is set', function() {
+  var white = new Pre3d.RGBA(1, 1, 1, 1);
+  function withRotatedCamera(camera_space) {
+    return frontFaceLight(function(renderer) {
+      // Turn the camera around, and the cube along with it.
+      renderer.camera.transform.rotateY(Math.PI);
+      renderer.transform.rotateY(Math.PI);
+      var light = new Pre3d.DirectionalLight({x: 0, y: 0, z: -1}, white, 1);
+      light.camera_space = camera_space;
+      renderer.lights.push(light);
+    });
+  }
+  assertNear(withRotatedCamera(false).r, 0);
+  assertNear(withRotatedCamera(true).r, 1);
+});
+
+test('the light color and intensity scale the fill', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.translate(0, 0, -5);
+  renderer.fill_rgba = new Pre3d.RGBA(1, 1, 1, 1);
+  renderer.lights.push(new Pre3d.DirectionalLight(
+      {x: 0, y: 0, z: -1}, new Pre3d.RGBA(0, 1, 0, 1), 0.5));
+  var obj = common.drawShape(renderer, Pre3d.ShapeUtils.makeCube(1))[0];
+  var fill = renderer.fillColorForQuad(obj, obj.light);
+  assertNear(fill.r, 0);
+  assertNear(fill.g, 0.5);
+  assertNear(fill.b, 0);
+  assertNear(fill.a, 1);
+});
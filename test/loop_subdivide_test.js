@@ -0,0 +1,145 @@
+// Tests for ShapeUtils.loopSubdivide and ShapeUtils.triangulate.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertPointNear = common.assertPointNear;
+
+function makeTetrahedron() {
+  var shape = new Pre3d.Shape();
+  shape.vertices = [{x: 1, y: 1, z: 1}, {x: 1, y: -1, z: -1},
+                    {x: -1, y: 1, z: -1}, {x: -1, y: -1, z: 1}];
+  shape.quads = [new Pre3d.QuadFace(0, 1, 2, null),
+                 new Pre3d.QuadFace(0, 3, 1, null),
+                 new Pre3d.QuadFace(0, 2, 3, null),
+                 new Pre3d.QuadFace(1, 3, 2, null)];
+  ShapeUtils.rebuildMeta(shape);
+  return shape;
+}
+
+function makeTexturedQuad() {
+  return ShapeUtils.parseOBJ([
+    'v 0 0 0', 'v 1 0 0', 'v 1 1 0', 'v 0 1 0',
+    'vt 0 0', 'vt 1 0', 'vt 1 1', 'vt 0 1',
+    'f 1/1 2/2 3/3 4/4'
+  ].join('\n'));
+}
+
+test('triangulate splits the texture coordinates and groups', function() {
+  var shape = makeTexturedQuad();
+  shape.groups = [{name: 'quad', quads: [0]}];
+  ShapeUtils.triangulate(shape);
+  assert.strictEqual(shape.quads.length, 2);
+  assert.ok(shape.quads[0].isTriangle() && shape.quads[1].isTriangle());
+  assert.deepStrictEqual(shape.quad_uvs, [[0, 1, 2], [0, 2, 3]]);
+  assert.deepStrictEqual(shape.groups, [{name: 'quad', quads: [0, 1]}]);
+});
+
+test('one level on a tetrahedron uses the Loop weights', function() {
+  var shape = makeTetrahedron();
+  ShapeUtils.loopSubdivide(shape);
+  assert.strictEqual(shape.vertices.length, 4 + 6);
+  assert.strictEqual(shape.quads.length, 16);
+  // The neighbors of each vertex add up to -p, so a vertex of valence 3
+  // with beta 3/16 goes to 7/16 p - 3/16 p, and an edge point to
+  // 3/8 (a + b) + 1/8 (c + d), which is 1/4 (a + b).
+  assertPointNear(shape.vertices[0], {x: 0.25, y: 0.25, z: 0.25});
+  var found = shape.vertices.slice(4).some(function(v) {
+    return Math.abs(v.x - 0.5) < 1e-9 && Math.abs(v.y) < 1e-9 &&
+        Math.abs(v.z) < 1e-9;
+  });
+  assert.ok(found);
+});
+
+test('quads are triangulated first, and the solid shrinks', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var volume = common.shapeVolume(cube);
+  ShapeUtils.loopSubdivide(cube, 2);
+  // 8 vertices, 18 edges and 12 triangles, and then 26, 72 and 48.
+  assert.strictEqual(cube.vertices.length, 26 + 72);
+  assert.strictEqual(cube.quads.length, 12 * 16);
+  assert.ok(cube.quads.every(function(qf) { return qf.isTriangle(); }));
+  var smoothed = common.shapeVolume(cube);
+  assert.ok(smoothed > 0 && smoothed < volume);
+});
+
+test('the boundary is smoothed as a curve', function() {
+  var shape = new Pre3d.Shape();
+  shape.vertices = [{x: 0, y: 0, z: 0}, {x: 8, y: 0, z: 0},
+                    {x: 0, y: 8, z: 0}];
+  shape.quads = [new Pre3d.QuadFace(0, 1, 2, null)];
+  ShapeUtils.loopSubdivide(shape);
+  assertPointNear(shape.vertices[0], {x: 1, y: 1, z: 0});
+  assertPointNear(shape.vertices[1], {x: 6, y: 1, z: 0});
+  assert.ok(shape.vertices.every(function(v) { return v.z === 0; }));
+});
+
+test('a textured quad keeps its texture coordinates', function() {
+  var shape = makeTexturedQuad();
+  shape.groups = [{name: 'quad', quads: [0]}];
+  ShapeUtils.loopSubdivide(shape);
+  assert.strictEqual(shape.quads.length, 8);
+  assert.strictEqual(shape.quad_uvs.length, 8);
+  // The 4 corners, and the middle of the 4 sides and the diagonal.
+  assert.strictEqual(shape.uvs.length, 9);
+  assert.ok(shape.uvs.some(function(uv) {
+    return uv.u === 0.5 && uv.v === 0.5;
+  }));
+  for (var i = 0; i < shape.quad_uvs.length; ++i) {
+    var t = shape.quad_uvs[i];
+    assert.strictEqual(t.length, 3);
+    for (var j = 0; j < 3; ++j)
+      assert.ok(t[j] >= 0 && t[j] < shape.uvs.length);
+  }
+  assert.deepStrictEqual(shape.groups,
+                         [{name: 'quad', quads: [0, 1, 2, 3, 4, 5, 6, 7]}]);
+});
+
+test('vertex colors are interpolated along the edges', function() {
+  var shape = makeTetrahedron();
+  shape.vertex_colors = [new Pre3d.RGBA(1, 0, 0, 1), new Pre3d.RGBA(0, 0, 1, 1),
+                         null, new Pre3d.RGBA(1, 1, 1, 1)];
+  ShapeUtils.loopSubdivide(shape);
+  var colors = shape.vertex_colors;
+  assert.strictEqual(colors.length, shape.vertices.length);
+  assert.strictEqual(colors[2], null);
+  // The new colors are averages of the two ends, skipping missing ones.
+  var has_purple = colors.some(function(c) {
+    return c !== null && c.r === 0.5 && c.g === 0 && c.b === 0.5;
+  });
+  assert.ok(has_purple);
+});
+
+test('loaded normals are interpolated, computed ones recomputed', function() {
+  var shape = ShapeUtils.parseOFF([
+    'NOFF',
+    '3 1 0',
+    '0 0 0 0 0 1',
+    '1 0 0 1 0 0',
+    '0 1 0 0 0 1',
+    '3 0 1 2'
+  ].join('\n'));
+  ShapeUtils.loopSubdivide(shape);
+  var normals = shape.vertex_normals;
+  assert.strictEqual(normals.length, shape.vertices.length);
+  assertPointNear(normals[0], {x: 0, y: 0, z: 1});
+  // The new vertices are after the old ones.  Two of the edges go between
+  // a normal along z and one along x, the other is between two along z.
+  var s = Math.SQRT1_2;
+  var edge_normals = normals.slice(3);
+  assert.strictEqual(edge_normals.filter(function(n) {
+    return Math.abs(n.x - s) < 1e-9 && Math.abs(n.z - s) < 1e-9;
+  }).length, 2);
+  assert.strictEqual(edge_normals.filter(function(n) {
+    return n.x === 0 && n.z === 1;
+  }).length, 1);
+
+  var cube = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(cube);
+  ShapeUtils.loopSubdivide(cube);
+  assert.strictEqual(cube.vertex_normals.length, cube.vertices.length);
+  assert.ok(cube.vertex_normal_options !== null);
+});
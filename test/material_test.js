@@ -0,0 +1,82 @@
+// Tests for Materials and specular highlights.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var assertNear = common.assertNear;
+
+// Draw a cube in front of the camera with |material|, returning the fill
+// color of its front face.
+function frontFaceFill(material, fill_rgba) {
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.translate(0, 0, -5);
+  renderer.fill_rgba = fill_rgba || new Pre3d.RGBA(0.5, 0.5, 0.5, 1);
+  renderer.material = material;
+  var obj = common.drawShape(renderer, Pre3d.ShapeUtils.makeCube(1))[0];
+  return renderer.fillColorForQuad(obj, obj.light);
+}
+
+test('a specular highlight brightens the face towards the eye', function() {
+  var material = new Pre3d.Material();
+  material.specular_rgba = new Pre3d.RGBA(0.25, 0.25, 0.25, 1);
+  var fill = frontFaceFill(material);
+  // The headlight is straight on, so the highlight is at full strength.
+  assertNear(fill.r, 0.75);
+
+  material.specular_rgba = null;
+  assertNear(frontFaceFill(material).r, 0.5);
+});
+
+test('the diffuse color replaces the fill color', function() {
+  var material = new Pre3d.Material();
+  material.specular_rgba = null;
+  material.diffuse_rgba = new Pre3d.RGBA(0, 0, 1, 1);
+  var fill = frontFaceFill(material);
+  assertNear(fill.r, 0);
+  assertNear(fill.b, 1);
+});
+
+test('emission is added and the result clamped', function() {
+  var material = new Pre3d.Material();
+  material.specular_rgba = null;
+  material.emissive_rgba = new Pre3d.RGBA(0.75, 0, 0, 1);
+  var fill = frontFaceFill(material);
+  assertNear(fill.r, 1);
+  assertNear(fill.g, 0.5);
+});
+
+test('opacity scales the alpha', function() {
+  var material = new Pre3d.Material();
+  material.opacity = 0.5;
+  assertNear(frontFaceFill(material, new Pre3d.RGBA(1, 1, 1, 0.5)).a, 0.25);
+});
+
+test('the material is render state captured when buffering', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.translate(0, 0, -5);
+  var shiny = new Pre3d.Material();
+  renderer.material = shiny;
+  renderer.bufferShape(Pre3d.ShapeUtils.makeCube(1));
+  renderer.material = null;
+  renderer.transform.translate(0, 0, -5);
+  renderer.bufferShape(Pre3d.ShapeUtils.makeCube(1));
+  renderer.drawBuffer();
+  var quads = renderer.backend.quads;
+  assert.strictEqual(quads.length, 2);
+  // Sorted back to front, the plain cube is further away.
+  assert.strictEqual(quads[0].material, null);
+  assert.strictEqual(quads[1].material, shiny);
+});
+
+test('Material.dup copies the properties', function() {
+  var material = new Pre3d.Material();
+  material.shininess = 8;
+  material.opacity = 0.25;
+  var copy = material.dup();
+  assert.notStrictEqual(copy, material);
+  assert.strictEqual(copy.shininess, 8);
+  assert.strictEqual(copy.opacity, 0.25);
+  assert.strictEqual(copy.specular_rgba, material.specular_rgba);
+});
@@ -0,0 +1,219 @@
+// Tests for ShapeUtils.parseOBJ and ShapeUtils.toOBJ.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertPointNear = common.assertPointNear;
+
+function faceIndices(qf) {
+  return qf.isTriangle() === true ? [qf.i0, qf.i1, qf.i2] :
+      [qf.i0, qf.i1, qf.i2, qf.i3];
+}
+
+var kSquare = [
+  'v 0 0 0',
+  'v 1 0 0',
+  'v 1 1 0',
+  'v 0 1 0',
+  'vt 0 0',
+  'vt 1 0',
+  'vt 1 1',
+  'vt 0 1'
+].join('\n');
+
+test('parseOBJ keeps quads and triangles, and fans larger faces', function() {
+  var shape = ShapeUtils.parseOBJ([
+    '# A comment.',
+    'v 0 0 0',
+    'v 1 0 0',
+    'v 1 1 0',
+    'v 0 1 0',
+    'v -1 0.5 \\',
+    '  0  # Continued.',
+    'f 1 2 3 4',
+    'f 1 2 3',
+    'f 1 2 3 4 5',
+    'f -5 -4 -3'
+  ].join('\r\n'));
+  assert.strictEqual(shape.vertices.length, 5);
+  assertPointNear(shape.vertices[4], {x: -1, y: 0.5, z: 0});
+  assert.deepStrictEqual(shape.quads.map(faceIndices), [
+    [0, 1, 2, 3],
+    [0, 1, 2],
+    [0, 1, 2], [0, 2, 3], [0, 3, 4],
+    [0, 1, 2]
+  ]);
+  // The meta data is built.
+  assertPointNear(shape.quads[0].centroid, {x: 0.5, y: 0.5, z: 0});
+  assert.strictEqual(shape.uvs, null);
+  assert.strictEqual(shape.groups, null);
+});
+
+test('parseOBJ skips faces with bad indices', function() {
+  var shape = ShapeUtils.parseOBJ(
+      kSquare + '\nf 1 2 9\nf 0 1 2\nf 1 2\nl 1 2\nusemtl red\nf 1 2 3\n');
+  assert.deepStrictEqual(shape.quads.map(faceIndices), [[0, 1, 2]]);
+});
+
+test('parseOBJ reads texture coordinates and groups', function() {
+  var shape = ShapeUtils.parseOBJ(kSquare + '\n' + [
+    'g front',
+    'f 1/1 2/2 3/3 4/4',
+    'o back side',
+    'f 4/4 3/3 2/2 1/1',
+    'f 1 3 2',
+    'g front',
+    'f 1/1 3/3 4/4'
+  ].join('\n'));
+  assert.strictEqual(shape.uvs.length, 4);
+  assert.deepStrictEqual(shape.uvs[2], {u: 1, v: 1});
+  assert.deepStrictEqual(shape.quad_uvs,
+                         [[0, 1, 2, 3], [3, 2, 1, 0], null, [0, 2, 3]]);
+  assert.deepStrictEqual(shape.groups, [
+    {name: 'front', quads: [0, 3]},
+    {name: 'back side', quads: [1, 2]}
+  ]);
+});
+
+test('parseOBJ averages the normals at each vertex', function() {
+  var shape = ShapeUtils.parseOBJ(kSquare + '\n' + [
+    'vn 0 0 1',
+    'vn 1 0 0',
+    'f 1//1 2//1 3//1',
+    'f 1//2 3//2 4//2'
+  ].join('\n'));
+  var s = Math.SQRT1_2;
+  assertPointNear(shape.vertex_normals[0], {x: s, y: 0, z: s});
+  assertPointNear(shape.vertex_normals[1], {x: 0, y: 0, z: 1});
+  assertPointNear(shape.vertex_normals[3], {x: 1, y: 0, z: 0});
+});
+
+test('toOBJ writes a shape that parseOBJ reads back', function() {
+  var shape = ShapeUtils.parseOBJ(kSquare + '\n' + [
+    'v 0.5 0.5 1',
+    'g base',
+    'f 1/1 2/2 3/3 4/4',
+    'g roof',
+    'f 1/1 2/2 5/3',
+    'f 2/2 3/3 5/4'
+  ].join('\n'));
+  var text = ShapeUtils.toOBJ(shape);
+  var back = ShapeUtils.parseOBJ(text);
+  assert.deepStrictEqual(back.vertices, shape.vertices);
+  assert.deepStrictEqual(back.quads.map(faceIndices),
+                         shape.quads.map(faceIndices));
+  assert.deepStrictEqual(back.uvs, shape.uvs);
+  assert.deepStrictEqual(back.quad_uvs, shape.quad_uvs);
+  assert.deepStrictEqual(back.groups, shape.groups);
+  // And the text is stable.
+  assert.strictEqual(ShapeUtils.toOBJ(back), text);
+});
+
+test('toOBJ writes the normals of a shape', function() {
+  var cube = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(cube);
+  var back = ShapeUtils.parseOBJ(ShapeUtils.toOBJ(cube));
+  for (var i = 0, il = cube.vertices.length; i < il; ++i)
+    assertPointNear(back.vertex_normals[i], cube.vertex_normals[i], 1e-6);
+});
+
+// A textured square, in the group 'square', and a textured triangle.
+function makeTexturedShape() {
+  return ShapeUtils.parseOBJ(kSquare + '\n' + [
+    'v 0 0 1',
+    'g square',
+    'f 1/1 2/2 3/3 4/4',
+    'g triangle',
+    'f 1/1 2/2 5/4'
+  ].join('\n'));
+}
+
+// Check that every face of |shape| has texture coordinates, and that the
+// shape can be written out and read back.
+function assertTexturedRoundTrip(shape) {
+  assert.strictEqual(shape.quad_uvs.length, shape.quads.length);
+  for (var i = 0, il = shape.quads.length; i < il; ++i) {
+    var num_corners = faceIndices(shape.quads[i]).length;
+    assert.strictEqual(shape.quad_uvs[i].length, num_corners);
+    var image = {width: 16, height: 16};
+    assert.ok(ShapeUtils.makeTextureInfo(shape, i, image) !== null);
+  }
+  var back = ShapeUtils.parseOBJ(ShapeUtils.toOBJ(shape));
+  assert.deepStrictEqual(back.quads.map(faceIndices),
+                         shape.quads.map(faceIndices));
+  assert.deepStrictEqual(back.uvs, shape.uvs);
+  assert.deepStrictEqual(back.quad_uvs, shape.quad_uvs);
+}
+
+test('linearSubdivide splits the texture coordinates and groups', function() {
+  var shape = ShapeUtils.parseOBJ(kSquare + '\ng square\nf 1/1 2/2 3/3 4/4');
+  ShapeUtils.linearSubdivide(shape);
+  assert.strictEqual(shape.quads.length, 4);
+  assert.deepStrictEqual(shape.groups, [{name: 'square', quads: [0, 1, 2, 3]}]);
+  // The texture coordinates are at the same place as the vertices.
+  for (var i = 0; i < 4; ++i) {
+    var qf = shape.quads[i];
+    var indices = faceIndices(qf);
+    for (var j = 0; j < 4; ++j) {
+      var v = shape.vertices[indices[j]];
+      var uv = shape.uvs[shape.quad_uvs[i][j]];
+      assert.deepStrictEqual([uv.u, uv.v], [v.x, v.y]);
+    }
+  }
+  // The 4 corners, 4 sides and middle, shared between the new faces.
+  assert.strictEqual(shape.uvs.length, 9);
+  assertTexturedRoundTrip(shape);
+});
+
+test('linearSubdivideTri splits the texture coordinates and groups',
+     function() {
+  var shape = makeTexturedShape();
+  ShapeUtils.triangulate(shape);
+  ShapeUtils.linearSubdivideTri(shape);
+  assert.strictEqual(shape.quads.length, 12);
+  assert.deepStrictEqual(shape.groups.map(function(group) {
+    return group.quads.length;
+  }), [8, 4]);
+  assertTexturedRoundTrip(shape);
+});
+
+test('extruded sides join the groups, without texture coordinates',
+     function() {
+  var shape = makeTexturedShape();
+  var extruder = new ShapeUtils.Extruder();
+  extruder.selectCustom(function(shape, quad_index) {
+    return quad_index === 0;
+  });
+  extruder.extrude(shape);
+  assert.strictEqual(shape.quads.length, 6);
+  assert.deepStrictEqual(shape.quad_uvs,
+                         [[0, 1, 2, 3], [0, 1, 3], null, null, null, null]);
+  assert.deepStrictEqual(shape.groups, [
+    {name: 'square', quads: [0, 2, 3, 4, 5]},
+    {name: 'triangle', quads: [1]}
+  ]);
+  assert.strictEqual(ShapeUtils.makeTextureInfo(shape, 2, {width: 1,
+                                                           height: 1}), null);
+  var back = ShapeUtils.parseOBJ(ShapeUtils.toOBJ(shape));
+  assert.deepStrictEqual(back.quad_uvs, shape.quad_uvs);
+  assert.deepStrictEqual(back.groups, shape.groups);
+});
+
+test('a subdivided textured shape survives serialization', function() {
+  var shape = ShapeUtils.parseOBJ(kSquare + '\ng square\nf 1/1 2/2 3/3 4/4');
+  ShapeUtils.linearSubdivide(shape);
+  var back = Pre3d.deserialize(Pre3d.serialize(shape));
+  assert.deepStrictEqual(back.quad_uvs, shape.quad_uvs);
+  assertTexturedRoundTrip(back);
+});
+
+test('missing texture coordinates are treated like null', function() {
+  var shape = ShapeUtils.parseOBJ(kSquare + '\nf 1/1 2/2 3/3\nf 1 3 4');
+  shape.quad_uvs.length = 1;
+  assert.strictEqual(
+      ShapeUtils.makeTextureInfo(shape, 1, {width: 1, height: 1}), null);
+  assert.ok(ShapeUtils.toOBJ(shape).indexOf('\nf 1 3 4\n') !== -1);
+});
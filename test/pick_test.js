@@ -0,0 +1,77 @@
+// Tests for Renderer.pick.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertPointNear = common.assertPointNear;
+
+// A 400 x 400 canvas, so a camera space point (x, y, z) is drawn at
+// (200 + 200 * x / -z, 200 - 200 * y / -z).
+function makeScene() {
+  var renderer = common.makeCapturingRenderer(400, 400);
+  renderer.draw_backfaces = true;
+  var cube = ShapeUtils.makeCube(1);
+  var wall = ShapeUtils.makePlane(
+      {x: -8, y: -8, z: 0}, {x: 8, y: -8, z: 0},
+      {x: 8, y: 8, z: 0}, {x: -8, y: 8, z: 0});
+  renderer.emptyBuffer();
+  renderer.transform.translate(0, 0, -5);
+  renderer.bufferShape(cube);
+  renderer.transform.reset();
+  renderer.transform.translate(0, 0, -10);
+  renderer.bufferShape(wall);
+  renderer.drawBuffer();
+  return {renderer: renderer, cube: cube, wall: wall};
+}
+
+test('pick returns the front most quad under the point', function() {
+  var scene = makeScene();
+  var hit = scene.renderer.pick(225, 175);
+  assert.strictEqual(hit.shape, scene.cube);
+  assertPointNear(hit.camera_point, {x: 0.5, y: 0.5, z: -4});
+  assertPointNear(hit.point, {x: 0.5, y: 0.5, z: 1});
+  // The front face of the cube, all of its vertices are at z = 1.
+  var qf = scene.cube.quads[hit.quad_index];
+  var indices = [qf.i0, qf.i1, qf.i2, qf.i3];
+  for (var i = 0; i < indices.length; ++i)
+    assert.strictEqual(scene.cube.vertices[indices[i]].z, 1);
+});
+
+test('pick sees what is behind, around the front shape', function() {
+  var scene = makeScene();
+  var hit = scene.renderer.pick(300, 200);
+  assert.strictEqual(hit.shape, scene.wall);
+  assert.strictEqual(hit.quad_index, 0);
+  assertPointNear(hit.point, {x: 5, y: 0, z: 0});
+});
+
+test('pick returns null when nothing was drawn there', function() {
+  var renderer = common.makeCapturingRenderer(400, 400);
+  assert.strictEqual(renderer.pick(200, 200), null);
+  var scene = makeScene();
+  assert.strictEqual(scene.renderer.pick(5, 5), null);
+});
+
+test('pick reports the original quad of a BSP split quad', function() {
+  var renderer = common.makeCapturingRenderer(400, 400);
+  renderer.draw_backfaces = true;
+  renderer.perform_bsp_sorting = true;
+  // Two planes crossing in an X, seen from above.
+  var a = ShapeUtils.makePlane(
+      {x: -2, y: -1, z: -6}, {x: 2, y: -1, z: -2},
+      {x: 2, y: 1, z: -2}, {x: -2, y: 1, z: -6});
+  var b = ShapeUtils.makePlane(
+      {x: -2, y: -1, z: -2}, {x: 2, y: -1, z: -6},
+      {x: 2, y: 1, z: -6}, {x: -2, y: 1, z: -2});
+  renderer.emptyBuffer();
+  renderer.bufferShape(a);
+  renderer.bufferShape(b);
+  assert.strictEqual(renderer.drawBuffer(), 3);
+  // Left of the crossing, |b| is in front, and to the right |a| is.
+  assert.strictEqual(renderer.pick(150, 200).shape, b);
+  assert.strictEqual(renderer.pick(250, 200).shape, a);
+  assert.strictEqual(renderer.pick(250, 200).quad_index, 0);
+});
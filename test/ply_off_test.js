@@ -0,0 +1,255 @@
+// Tests for the PLY and OFF formats, and carrying vertex colors through
+// the Shape operations and into rendering.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+var assertPointNear = common.assertPointNear;
+
+// A square with red, green, blue, and white corners.
+var kColoredQuadPLY = [
+  'ply',
+  'format ascii 1.0',
+  'comment A colored square.',
+  'element vertex 4',
+  'property float x',
+  'property float y',
+  'property float z',
+  'property uchar red',
+  'property uchar green',
+  'property uchar blue',
+  'element face 1',
+  'property list uchar int vertex_indices',
+  'end_header',
+  '0 0 0 255 0 0',
+  '1 0 0 0 255 0',
+  '1 1 0 0 0 255',
+  '0 1 0 255 255 255',
+  '4 0 1 2 3'
+].join('\n');
+
+function assertColorNear(actual, r, g, b, a) {
+  assertNear(actual.r, r, 1e-9, 'r');
+  assertNear(actual.g, g, 1e-9, 'g');
+  assertNear(actual.b, b, 1e-9, 'b');
+  assertNear(actual.a, a, 1e-9, 'a');
+}
+
+function assertColorsMatchVertices(shape) {
+  assert.strictEqual(shape.vertex_colors.length, shape.vertices.length);
+  for (var i = 0, il = shape.vertex_colors.length; i < il; ++i)
+    assert.ok(shape.vertex_colors[i] instanceof Pre3d.RGBA, 'color ' + i);
+}
+
+// Return the vertex color of the vertex of |shape| at the point |p|.
+function colorAt(shape, p) {
+  for (var i = 0, il = shape.vertices.length; i < il; ++i) {
+    var v = shape.vertices[i];
+    if (v.x === p.x && v.y === p.y && v.z === p.z)
+      return shape.vertex_colors[i];
+  }
+  assert.fail('no vertex at ' + JSON.stringify(p));
+}
+
+test('parsePLY reads ASCII with vertex colors', function() {
+  var shape = ShapeUtils.parsePLY(kColoredQuadPLY);
+  assert.strictEqual(shape.vertices.length, 4);
+  assert.strictEqual(shape.quads.length, 1);
+  assertPointNear(shape.vertices[2], {x: 1, y: 1, z: 0});
+  assertColorNear(shape.vertex_colors[0], 1, 0, 0, 1);
+  assertColorNear(shape.vertex_colors[3], 1, 1, 1, 1);
+  assert.strictEqual(shape.vertex_normals, null);
+});
+
+// Return a binary PLY of a triangle, as an ArrayBuffer.  The optional
+// |extra_header| is added after the vertex properties.
+function makeBinaryPLY(little_endian, extra_header) {
+  var header = 'ply\nformat binary_' +
+      (little_endian === true ? 'little' : 'big') + '_endian 1.0\n' +
+      'element vertex 3\nproperty float x\nproperty float y\n' +
+      'property float z\n' + (extra_header || '') + 'element face 1\n' +
+      'property list uchar int vertex_indices\nend_header\n';
+  var buffer = new ArrayBuffer(header.length + 3 * 12 + 1 + 3 * 4);
+  var view = new DataView(buffer);
+  for (var i = 0; i < header.length; ++i)
+    view.setUint8(i, header.charCodeAt(i));
+  var o = header.length;
+  var coords = [0, 0, 0, 2, 0, 0, 0, 3, 0];
+  for (var i = 0; i < coords.length; ++i, o += 4)
+    view.setFloat32(o, coords[i], little_endian);
+  view.setUint8(o++, 3);
+  for (var i = 0; i < 3; ++i, o += 4)
+    view.setInt32(o, i, little_endian);
+  return buffer;
+}
+
+test('parsePLY reads binary little and big endian', function() {
+  var endians = [true, false];
+  for (var i = 0; i < endians.length; ++i) {
+    var shape = ShapeUtils.parsePLY(makeBinaryPLY(endians[i]));
+    assert.strictEqual(shape.quads.length, 1);
+    assertPointNear(shape.vertices[1], {x: 2, y: 0, z: 0});
+    assertPointNear(shape.vertices[2], {x: 0, y: 3, z: 0});
+  }
+});
+
+test('parsePLY returns null for unknown types and truncated data',
+     function() {
+  assert.strictEqual(
+      ShapeUtils.parsePLY(makeBinaryPLY(true, 'property float128 w\n')),
+      null);
+  // Cut off in the face indices, and in the vertices.
+  var buffer = makeBinaryPLY(true);
+  var cuts = [2, 13];
+  for (var i = 0; i < cuts.length; ++i) {
+    var truncated = buffer.slice(0, buffer.byteLength - cuts[i]);
+    assert.strictEqual(ShapeUtils.parsePLY(truncated), null);
+  }
+  // The same for an ASCII file that ends early.
+  var lines = kColoredQuadPLY.split('\n');
+  assert.strictEqual(
+      ShapeUtils.parsePLY(lines.slice(0, lines.length - 2).join('\n')), null);
+});
+
+test('parsePLY and parseOFF skip faces with bad indices', function() {
+  var shape = ShapeUtils.parsePLY(
+      kColoredQuadPLY.replace('element face 1', 'element face 3') +
+      '\n3 0 1 7\n3 0 -1 2');
+  assert.strictEqual(shape.quads.length, 1);
+
+  shape = ShapeUtils.parseOFF([
+    'OFF',
+    '3 4 0',
+    '0 0 0',
+    '1 0 0',
+    '0 1 0',
+    '3 0 1 7',
+    '3 0 1',
+    'x',
+    '3 0 1 2'
+  ].join('\n'));
+  assert.strictEqual(shape.quads.length, 1);
+  assert.deepStrictEqual([shape.quads[0].i0, shape.quads[0].i1,
+                          shape.quads[0].i2], [0, 1, 2]);
+});
+
+test('toPLY writes a shape that parsePLY reads back', function() {
+  var shape = ShapeUtils.parsePLY(kColoredQuadPLY);
+  var back = ShapeUtils.parsePLY(ShapeUtils.toPLY(shape));
+  assert.deepStrictEqual(back.vertices, shape.vertices);
+  assert.deepStrictEqual(back.vertex_colors, shape.vertex_colors);
+  assert.strictEqual(back.quads.length, 1);
+});
+
+test('parseOFF reads the COFF variant, and toOFF round trips', function() {
+  var shape = ShapeUtils.parseOFF([
+    'COFF',
+    '# A comment.',
+    '4 2 0',
+    '0 0 0 255 0 0',
+    '1 0 0 0 255 0 128',
+    '1 1 0 0 0 1.0 1.0',
+    '0 1 0 1.0 1.0 1.0',
+    '3 0 1 2',
+    '3 0 2 3'
+  ].join('\n'));
+  assert.strictEqual(shape.vertices.length, 4);
+  assert.strictEqual(shape.quads.length, 2);
+  assertColorNear(shape.vertex_colors[0], 1, 0, 0, 1);
+  assertColorNear(shape.vertex_colors[1], 0, 1, 0, 128 / 255);
+  assertColorNear(shape.vertex_colors[2], 0, 0, 1, 1);
+
+  var back = ShapeUtils.parseOFF(ShapeUtils.toOFF(shape));
+  assert.deepStrictEqual(back.vertices, shape.vertices);
+  assert.strictEqual(back.quads.length, 2);
+  assertColorNear(back.vertex_colors[1], 0, 1, 0, 128 / 255);
+});
+
+test('the parsers return null for data they do not understand', function() {
+  assert.strictEqual(ShapeUtils.parsePLY('not a ply'), null);
+  assert.strictEqual(ShapeUtils.parseOFF('not an off'), null);
+  var bad = [null, undefined, 42, { }];
+  for (var i = 0; i < bad.length; ++i) {
+    assert.strictEqual(ShapeUtils.parsePLY(bad[i]), null);
+    assert.strictEqual(ShapeUtils.parseOFF(bad[i]), null);
+  }
+});
+
+test('vertex colors are averaged into the fill color', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.translate(-0.5, -0.5, -5);
+  var quads = common.drawShape(renderer,
+                               ShapeUtils.parsePLY(kColoredQuadPLY));
+  assert.strictEqual(quads.length, 1);
+  assertColorNear(quads[0].fill_rgba, 0.5, 0.5, 0.5, 1);
+});
+
+test('quads missing vertex colors still draw', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.translate(-0.5, -0.5, -5);
+  var shape = ShapeUtils.parsePLY(kColoredQuadPLY);
+  // Only the first corner has a color left.
+  shape.vertex_colors.length = 1;
+  var quads = common.drawShape(renderer, shape);
+  assertColorNear(quads[0].fill_rgba, 1, 0, 0, 1);
+  // None of the corners have a color, the fill color is used.
+  shape.vertex_colors = [ ];
+  quads = common.drawShape(renderer, shape);
+  assert.strictEqual(quads[0].fill_rgba, renderer.fill_rgba);
+});
+
+test('linearSubdivide interpolates the vertex colors', function() {
+  var shape = ShapeUtils.parsePLY(kColoredQuadPLY);
+  ShapeUtils.linearSubdivide(shape);
+  assert.strictEqual(shape.vertices.length, 9);
+  assertColorsMatchVertices(shape);
+  // The middle of the edge from red to green, and the center of the quad.
+  assertColorNear(colorAt(shape, {x: 0.5, y: 0, z: 0}), 0.5, 0.5, 0, 1);
+  assertColorNear(colorAt(shape, {x: 0.5, y: 0.5, z: 0}), 0.5, 0.5, 0.5, 1);
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.translate(-0.5, -0.5, -5);
+  assert.strictEqual(common.drawShape(renderer, shape).length, 4);
+});
+
+test('linearSubdivideTri interpolates the vertex colors', function() {
+  var shape = ShapeUtils.parsePLY(kColoredQuadPLY);
+  ShapeUtils.triangulate(shape);
+  ShapeUtils.linearSubdivideTri(shape);
+  assert.strictEqual(shape.vertices.length, 9);
+  assertColorsMatchVertices(shape);
+});
+
+test('averageSmooth keeps the vertex colors', function() {
+  var shape = ShapeUtils.parsePLY(kColoredQuadPLY);
+  var colors = shape.vertex_colors;
+  ShapeUtils.averageSmooth(shape, 0.5);
+  assert.strictEqual(shape.vertex_colors, colors);
+  assertColorsMatchVertices(shape);
+});
+
+test('explodeFaces duplicates the vertex colors', function() {
+  var shape = ShapeUtils.parsePLY(kColoredQuadPLY);
+  ShapeUtils.triangulate(shape);
+  ShapeUtils.explodeFaces(shape);
+  assert.strictEqual(shape.vertices.length, 6);
+  assertColorsMatchVertices(shape);
+  // The second triangle is 0 2 3, red, blue, white.
+  assertColorNear(shape.vertex_colors[3], 1, 0, 0, 1);
+  assertColorNear(shape.vertex_colors[4], 0, 0, 1, 1);
+  assertColorNear(shape.vertex_colors[5], 1, 1, 1, 1);
+});
+
+test('the Extruder copies the vertex colors outwards', function() {
+  var shape = ShapeUtils.parsePLY(kColoredQuadPLY);
+  var extruder = new ShapeUtils.Extruder();
+  extruder.set_count(2);
+  extruder.extrude(shape);
+  assert.strictEqual(shape.vertices.length, 12);
+  assertColorsMatchVertices(shape);
+  for (var i = 4; i < 12; ++i)
+    assert.strictEqual(shape.vertex_colors[i], shape.vertex_colors[i % 4]);
+});
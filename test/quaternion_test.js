@@ -0,0 +1,126 @@
+// Tests for Quaternion, and the quaternion rotations on Transform.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var Quaternion = Pre3d.Quaternion;
+var assertNear = common.assertNear;
+var assertPointNear = common.assertPointNear;
+
+function assertMatrixNear(a, b) {
+  for (var i = 0; i < 12; ++i)
+    assertNear(a['e' + i], b['e' + i], 1e-9, 'e' + i);
+}
+
+function assertQuaternionNear(a, b) {
+  assertNear(a.x, b.x, 1e-9, 'x');
+  assertNear(a.y, b.y, 1e-9, 'y');
+  assertNear(a.z, b.z, 1e-9, 'z');
+  assertNear(a.w, b.w, 1e-9, 'w');
+}
+
+test('no arguments is the identity', function() {
+  var q = new Quaternion();
+  assertQuaternionNear(q, {x: 0, y: 0, z: 0, w: 1});
+  assertMatrixNear(q.toAffineMatrix(), new Pre3d.Transform().m);
+});
+
+test('axis angle rotations match Transform', function() {
+  var t = new Pre3d.Transform();
+  t.rotateY(0.7);
+  var q = Quaternion.fromAxisAngle({x: 0, y: 2, z: 0}, 0.7);
+  assertMatrixNear(q.toAffineMatrix(), t.m);
+
+  var r = new Pre3d.Transform();
+  r.rotateAxisAngle({x: 0, y: 1, z: 0}, 0.7);
+  assertMatrixNear(r.m, t.m);
+});
+
+test('fromEuler matches rotating around x, then y, then z', function() {
+  var t = new Pre3d.Transform();
+  t.rotateX(0.3);
+  t.rotateY(-1.1);
+  t.rotateZ(2.5);
+  assertMatrixNear(Quaternion.fromEuler(0.3, -1.1, 2.5).toAffineMatrix(),
+                   t.m);
+});
+
+test('multiply applies the argument first', function() {
+  var qx = Quaternion.fromAxisAngle({x: 1, y: 0, z: 0}, 0.4);
+  var qy = Quaternion.fromAxisAngle({x: 0, y: 1, z: 0}, 0.9);
+  var t = new Pre3d.Transform();
+  t.rotateX(0.4);
+  t.rotateY(0.9);
+  assertMatrixNear(qy.multiply(qx).toAffineMatrix(), t.m);
+});
+
+test('matrices convert back to the same rotation', function() {
+  // Rotations hitting each of the branches of fromAffineMatrix.
+  var qs = [
+    Quaternion.fromAxisAngle({x: 1, y: 2, z: 3}, 0.5),
+    Quaternion.fromAxisAngle({x: 1, y: 0, z: 0}, 3),
+    Quaternion.fromAxisAngle({x: 0, y: 1, z: 0}, 3),
+    Quaternion.fromAxisAngle({x: 0, y: 0, z: 1}, 3)
+  ];
+  for (var i = 0; i < qs.length; ++i) {
+    var back = Quaternion.fromAffineMatrix(qs[i].toAffineMatrix());
+    // q and -q are the same rotation.
+    if (back.w * qs[i].w < 0)
+      back = new Quaternion(-back.x, -back.y, -back.z, -back.w);
+    assertQuaternionNear(back, qs[i]);
+  }
+});
+
+test('slerp rotates at a constant speed the shorter way', function() {
+  var a = Quaternion.fromAxisAngle({x: 0, y: 0, z: 1}, 0);
+  var b = Quaternion.fromAxisAngle({x: 0, y: 0, z: 1}, Math.PI / 2);
+  var p = {x: 1, y: 0, z: 0};
+  for (var i = 0; i <= 4; ++i) {
+    var t = i / 4;
+    var m = a.slerp(b, t).toAffineMatrix();
+    var angle = t * Math.PI / 2;
+    var rotated = new Pre3d.Transform();
+    rotated.m = m;
+    assertPointNear(rotated.transformPoint(p),
+                    {x: Math.cos(angle), y: Math.sin(angle), z: 0}, 1e-9);
+  }
+
+  // -b is the same orientation, and still goes the short way.
+  var neg_b = new Quaternion(-b.x, -b.y, -b.z, -b.w);
+  var mid = a.slerp(neg_b, 0.5);
+  assertNear(Math.abs(mid.w), Math.cos(Math.PI / 8));
+  assertNear(mid.x * mid.x + mid.y * mid.y + mid.z * mid.z + mid.w * mid.w, 1);
+});
+
+test('normalize makes unit length, in place', function() {
+  var q = new Quaternion(0, 3, 0, 4);
+  q.normalize();
+  assertQuaternionNear(q, {x: 0, y: 0.6, z: 0, w: 0.8});
+  var zero = new Quaternion(0, 0, 0, 0);
+  zero.normalize();
+  assertQuaternionNear(zero, {x: 0, y: 0, z: 0, w: 1});
+});
+
+test('dup makes a copy', function() {
+  var q = new Quaternion(1, 2, 3, 4);
+  var d = q.dup();
+  assert.notStrictEqual(d, q);
+  assertQuaternionNear(d, q);
+});
+
+test('rotateQuaternionPre rotates before the existing transform', function() {
+  var q = Quaternion.fromAxisAngle({x: 0, y: 0, z: 1}, Math.PI / 2);
+  var t = new Pre3d.Transform();
+  t.translate(10, 0, 0);
+  t.rotateQuaternionPre(q);
+  assertPointNear(t.transformPoint({x: 1, y: 0, z: 0}),
+                  {x: 10, y: 1, z: 0}, 1e-9);
+
+  var u = new Pre3d.Transform();
+  u.translate(10, 0, 0);
+  u.rotateQuaternion(q);
+  assertPointNear(u.transformPoint({x: 1, y: 0, z: 0}),
+                  {x: 0, y: 11, z: 0}, 1e-9);
+});
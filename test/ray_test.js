@@ -0,0 +1,90 @@
+// Tests for ShapeUtils.intersectRay and Renderer.rayFromCanvasPoint.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+var assertPointNear = common.assertPointNear;
+
+test('intersectRay finds the nearest face', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var hit = ShapeUtils.intersectRay(cube, {x: 0.25, y: -0.5, z: 5},
+                                    {x: 0, y: 0, z: -2});
+  assertNear(hit.distance, 4);
+  assertPointNear(hit.point, {x: 0.25, y: -0.5, z: 1});
+
+  // The barycentrics weight the corners of the hit triangle to the point.
+  var b = hit.barycentrics;
+  assertNear(b[0] + b[1] + b[2], 1);
+  var p = {x: 0, y: 0, z: 0};
+  for (var i = 0; i < 3; ++i) {
+    var v = cube.vertices[hit.vertex_indices[i]];
+    assert.ok(b[i] >= 0);
+    p.x += v.x * b[i];
+    p.y += v.y * b[i];
+    p.z += v.z * b[i];
+  }
+  assertPointNear(p, hit.point);
+
+  var qf = cube.quads[hit.quad_index];
+  var indices = [qf.i0, qf.i1, qf.i2, qf.i3];
+  for (var i = 0; i < indices.length; ++i)
+    assert.strictEqual(cube.vertices[indices[i]].z, 1);
+});
+
+test('intersectRay hits the back of faces', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var hit = ShapeUtils.intersectRay(cube, {x: 0, y: 0, z: 0},
+                                    {x: 1, y: 0, z: 0});
+  assertNear(hit.distance, 1);
+  assertPointNear(hit.point, {x: 1, y: 0, z: 0});
+});
+
+test('intersectRay returns null on a miss', function() {
+  var cube = ShapeUtils.makeCube(1);
+  // Beside the cube.
+  assert.strictEqual(ShapeUtils.intersectRay(
+      cube, {x: 3, y: 0, z: 5}, {x: 0, y: 0, z: -1}), null);
+  // Pointing away from it.
+  assert.strictEqual(ShapeUtils.intersectRay(
+      cube, {x: 0, y: 0, z: 5}, {x: 0, y: 0, z: 1}), null);
+});
+
+test('rayFromCanvasPoint is in the object space of the shape', function() {
+  var renderer = common.makeCapturingRenderer(400, 400);
+  renderer.transform.rotateY(0.4);
+  renderer.transform.translate(0, 0, -5);
+  var cube = ShapeUtils.makeCube(1);
+  common.drawShape(renderer, cube);
+
+  var ray = renderer.rayFromCanvasPoint(210, 190);
+  var hit = ShapeUtils.intersectRay(cube, ray.origin, ray.direction);
+  var picked = renderer.pick(210, 190);
+  assert.strictEqual(hit.quad_index, picked.quad_index);
+  assertPointNear(hit.point, picked.point);
+  var screen = renderer.projectPointToCanvas(picked.camera_point);
+  assertNear(screen.x, 210);
+  assertNear(screen.y, 190);
+});
+
+test('rayFromCanvasPoint with an orthographic camera', function() {
+  var renderer = common.makeCapturingRenderer(400, 400);
+  renderer.camera.orthographic = true;
+  renderer.camera.ortho_scale = 2;
+  renderer.transform.translate(0, 0, -5);
+  var ray = renderer.rayFromCanvasPoint(300, 100);
+  assertPointNear(ray.origin, {x: 1, y: 1, z: 5});
+  assertPointNear(ray.direction, {x: 0, y: 0, z: -1});
+  var hit = ShapeUtils.intersectRay(ShapeUtils.makeCube(1), ray.origin,
+                                    ray.direction);
+  assertPointNear(hit.point, {x: 1, y: 1, z: 1});
+});
+
+test('rayFromCanvasPoint returns null for a singular transform', function() {
+  var renderer = common.makeCapturingRenderer(400, 400);
+  renderer.transform.scale(1, 0, 1);
+  assert.strictEqual(renderer.rayFromCanvasPoint(200, 200), null);
+});
@@ -0,0 +1,112 @@
+// Tests for RecordingContext and RecordingCanvas, for headless rendering.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+
+function renderCube(canvas) {
+  var renderer = new Pre3d.Renderer(canvas);
+  renderer.transform.rotateY(0.5);
+  renderer.transform.translate(0, 0, -5);
+  renderer.stroke_rgba = new Pre3d.RGBA(0, 0, 0, 1);
+  renderer.bufferShape(ShapeUtils.makeCube(1));
+  renderer.drawBuffer();
+  return renderer;
+}
+
+test('the canvas hands out a recording 2d context', function() {
+  var canvas = new Pre3d.RecordingCanvas(320, 240);
+  assert.strictEqual(canvas.width, 320);
+  assert.strictEqual(canvas.height, 240);
+  var ctx = canvas.getContext('2d');
+  assert.ok(ctx instanceof Pre3d.RecordingContext);
+  assert.strictEqual(canvas.getContext('2d'), ctx);
+  assert.strictEqual(canvas.getContext('webgl'), null);
+  assert.strictEqual(ctx.canvas, canvas);
+});
+
+test('calls and properties are recorded as plain data', function() {
+  var ctx = new Pre3d.RecordingCanvas(10, 10).getContext('2d');
+  ctx.beginPath();
+  ctx.moveTo(1, 2);
+  ctx.lineWidth = 3;
+  ctx.fillStyle = 'red';
+  assert.strictEqual(ctx.lineWidth, 3);
+  assert.deepStrictEqual(ctx.commands, [
+    ['beginPath'],
+    ['moveTo', 1, 2],
+    ['set', 'lineWidth', 3],
+    ['set', 'fillStyle', 'red']
+  ]);
+  ctx.clear();
+  assert.deepStrictEqual(ctx.commands, [ ]);
+});
+
+test('rendering a shape records its quads', function() {
+  var canvas = new Pre3d.RecordingCanvas(200, 200);
+  renderCube(canvas);
+  var commands = canvas.getContext('2d').commands;
+  var fills = commands.filter(function(c) { return c[0] === 'fill'; });
+  var strokes = commands.filter(function(c) { return c[0] === 'stroke'; });
+  assert.strictEqual(fills.length, 2);
+  assert.strictEqual(strokes.length, 2);
+  assert.ok(commands.some(function(c) { return c[0] === 'setFillColor'; }));
+});
+
+test('gradients and images are recorded', function() {
+  var ctx = new Pre3d.RecordingCanvas(10, 10).getContext('2d');
+  var grad = ctx.createLinearGradient(0, 0, 10, 0);
+  grad.addColorStop(0, 'black');
+  ctx.fillStyle = grad;
+  // Stops added after the set aren't in the recorded gradient.
+  grad.addColorStop(1, 'white');
+  var image = {width: 4, height: 4};
+  ctx.drawImage(image, 1, 2);
+  ctx.drawImage(image, 3, 4);
+  assert.deepStrictEqual(ctx.commands, [
+    ['set', 'fillStyle',
+     {type: 'linear', x0: 0, y0: 0, x1: 10, y1: 0, stops: [[0, 'black']]}],
+    ['drawImage', 0, 1, 2],
+    ['drawImage', 0, 3, 4]
+  ]);
+  assert.deepStrictEqual(ctx.images, [image]);
+
+  var image_data = ctx.getImageData(0, 0, 2, 3);
+  assert.strictEqual(image_data.data.length, 24);
+  assert.strictEqual(image_data.data[0], 0);
+});
+
+test('commands survive JSON and replay the same', function() {
+  var canvas = new Pre3d.RecordingCanvas(200, 200);
+  renderCube(canvas);
+  var recorded = canvas.getContext('2d');
+
+  var loaded = new Pre3d.RecordingContext(null);
+  loaded.commands = JSON.parse(JSON.stringify(recorded.commands));
+  var replayed = new Pre3d.RecordingCanvas(200, 200).getContext('2d');
+  loaded.replay(replayed);
+  assert.deepStrictEqual(replayed.commands, recorded.commands);
+});
+
+test('color setters are translated for contexts without them', function() {
+  var ctx = new Pre3d.RecordingCanvas(10, 10).getContext('2d');
+  ctx.setFillColor(1, 0, 0, 0.5);
+  ctx.setStrokeColor(0, 0, 1, 1);
+
+  var set = [ ];
+  var target = { };
+  Object.defineProperty(target, 'fillStyle', {
+    set: function(v) { set.push(['fillStyle', v]); }
+  });
+  Object.defineProperty(target, 'strokeStyle', {
+    set: function(v) { set.push(['strokeStyle', v]); }
+  });
+  ctx.replay(target);
+  assert.deepStrictEqual(set, [
+    ['fillStyle', 'rgba(255,0,0,0.5)'],
+    ['strokeStyle', 'rgba(0,0,255,1)']
+  ]);
+});
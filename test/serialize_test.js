@@ -0,0 +1,110 @@
+// Tests for Pre3d.serialize and Pre3d.deserialize.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+
+function roundTrip(value) {
+  return Pre3d.deserialize(Pre3d.serialize(value));
+}
+
+test('a Shape round trips with its prototypes and meta data', function() {
+  var shape = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(shape, {weighting: 'area'});
+  shape.vertex_colors = shape.vertices.map(function(v, i) {
+    return new Pre3d.RGBA(i / 8, 0.5, 1, 1);
+  });
+  shape.groups = [{name: 'top', quads: [0, 1]}];
+  shape.quads.push(new Pre3d.QuadFace(0, 1, 2, null));
+  ShapeUtils.rebuildMeta(shape);
+
+  var back = roundTrip(shape);
+  assert.ok(back instanceof Pre3d.Shape);
+  assert.deepStrictEqual(back.vertices, shape.vertices);
+  assert.strictEqual(back.quads.length, shape.quads.length);
+  for (var i = 0, il = shape.quads.length; i < il; ++i) {
+    assert.ok(back.quads[i] instanceof Pre3d.QuadFace);
+    assert.deepStrictEqual(back.quads[i], shape.quads[i]);
+  }
+  assert.strictEqual(back.quads[6].isTriangle(), true);
+  assert.deepStrictEqual(back.vertex_normals, shape.vertex_normals);
+  assert.deepStrictEqual(back.vertex_normal_options,
+                         shape.vertex_normal_options);
+  assert.ok(back.vertex_colors[3] instanceof Pre3d.RGBA);
+  assert.deepStrictEqual(back.vertex_colors, shape.vertex_colors);
+  assert.deepStrictEqual(back.groups, shape.groups);
+});
+
+test('a Path round trips', function() {
+  var path = new Pre3d.Path();
+  path.points = [{x: 0, y: 0, z: 0}, {x: 1, y: 2, z: 3},
+                 {x: 4, y: 5, z: 6}, {x: 7, y: 8, z: 9}];
+  path.curves = [new Pre3d.Curve(1, 2, null), new Pre3d.Curve(0, 3, 2)];
+  path.starting_point = 3;
+  var back = roundTrip(path);
+  assert.ok(back instanceof Pre3d.Path);
+  assert.ok(back.curves[0] instanceof Pre3d.Curve);
+  assert.strictEqual(back.curves[0].isQuadratic(), true);
+  assert.strictEqual(back.curves[1].isQuadratic(), false);
+  assert.deepStrictEqual(back, path);
+});
+
+test('render state round trips', function() {
+  var camera = new Pre3d.Camera();
+  camera.lookAt({x: 1, y: 2, z: 3}, {x: 0, y: 0, z: 0}, {x: 0, y: 1, z: 0});
+  camera.orthographic = true;
+  var light = new Pre3d.PointLight();
+  var material = new Pre3d.Material();
+  var quaternion = new Pre3d.Quaternion(0.1, 0.2, 0.3, 0.9);
+
+  var back = roundTrip({
+    camera: camera, light: light, material: material,
+    quaternion: quaternion, color: new Pre3d.RGBA(0.1, 0.2, 0.3, 0.4),
+    list: [1, 'two', null]
+  });
+  assert.ok(back.camera instanceof Pre3d.Camera);
+  assert.ok(back.camera.transform instanceof Pre3d.Transform);
+  // Loosely, JSON turns the -0s from lookAt into 0s.
+  assert.deepEqual(back.camera, camera);
+  assert.strictEqual(back.camera.far, Infinity);
+  assert.ok(back.light instanceof Pre3d.PointLight);
+  assert.deepStrictEqual(back.light, light);
+  assert.ok(back.material instanceof Pre3d.Material);
+  assert.deepStrictEqual(back.material, material);
+  assert.ok(back.quaternion instanceof Pre3d.Quaternion);
+  assert.deepStrictEqual(back.quaternion, quaternion);
+  assert.ok(back.color instanceof Pre3d.RGBA);
+  assert.deepStrictEqual(back.list, [1, 'two', null]);
+});
+
+test('deserialize takes the parsed JSON too', function() {
+  var json = JSON.parse(Pre3d.serialize(new Pre3d.RGBA(1, 0, 0, 1)));
+  assert.deepStrictEqual(Pre3d.deserialize(json),
+                         new Pre3d.RGBA(1, 0, 0, 1));
+});
+
+test('deserialize rejects what it can not read', function() {
+  assert.strictEqual(Pre3d.deserialize('null'), null);
+  assert.strictEqual(Pre3d.deserialize('42'), null);
+  assert.strictEqual(Pre3d.deserialize(undefined), null);
+  // Text that isn't JSON.
+  assert.strictEqual(Pre3d.deserialize(''), null);
+  assert.strictEqual(Pre3d.deserialize('{"format": "pre3d", '), null);
+  assert.strictEqual(Pre3d.deserialize({format: 'other', version: 1}), null);
+  // A newer version, or a version that isn't a number.
+  var versions = [2, '1', null, undefined, [1]];
+  for (var i = 0; i < versions.length; ++i) {
+    assert.strictEqual(Pre3d.deserialize(
+        {format: 'pre3d', version: versions[i], value: 1}), null);
+  }
+  // Types from the future are null.
+  assert.strictEqual(Pre3d.deserialize(
+      {format: 'pre3d', version: 1, value: {$type: 'Hologram'}}), null);
+});
+
+test('ShapeUtils.rebuildMeta is the shared rebuildShapeMeta', function() {
+  assert.strictEqual(ShapeUtils.rebuildMeta, Pre3d.rebuildShapeMeta);
+});
@@ -0,0 +1,84 @@
+// Tests for smooth shading with per-vertex normals.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+
+function makeSmoothSphere() {
+  var sphere = ShapeUtils.makeSphere(1, 12, 12);
+  ShapeUtils.computeVertexNormals(sphere);
+  return sphere;
+}
+
+function setupRenderer(renderer) {
+  renderer.transform.translate(0, 0, -5);
+  renderer.lights.push(new Pre3d.DirectionalLight(
+      {x: -1, y: 0, z: -1}, new Pre3d.RGBA(1, 1, 1, 1), 1));
+  return renderer;
+}
+
+test('each vertex is lit with its own normal', function() {
+  var renderer = setupRenderer(common.makeCapturingRenderer());
+  renderer.smooth_shading = true;
+  var quads = common.drawShape(renderer, makeSmoothSphere());
+  assert.ok(quads.length > 0);
+  for (var i = 0, il = quads.length; i < il; ++i) {
+    var obj = quads[i];
+    var num_points = obj.qf.isTriangle() === true ? 3 : 4;
+    assert.strictEqual(obj.vertex_lights.length, num_points);
+  }
+
+  // The vertices of a quad on the lit side get different amounts of light.
+  var varied = quads.some(function(obj) {
+    return Math.abs(obj.vertex_lights[0].r - obj.vertex_lights[2].r) > 0.01;
+  });
+  assert.ok(varied);
+});
+
+test('flat shading is used unless enabled and there are normals', function() {
+  var renderer = setupRenderer(common.makeCapturingRenderer());
+  var quads = common.drawShape(renderer, makeSmoothSphere());
+  assert.strictEqual(quads[0].vertex_lights, null);
+
+  renderer.smooth_shading = true;
+  quads = common.drawShape(renderer, ShapeUtils.makeSphere(1, 12, 12));
+  assert.strictEqual(quads[0].vertex_lights, null);
+});
+
+test('smooth quads are painted with a linear gradient', function() {
+  var canvas = new Pre3d.RecordingCanvas(400, 400);
+  var renderer = setupRenderer(new Pre3d.Renderer(canvas));
+  renderer.smooth_shading = true;
+  renderer.bufferShape(makeSmoothSphere());
+  renderer.drawBuffer();
+
+  var gradients = canvas.getContext('2d').commands.filter(function(c) {
+    return c[0] === 'set' && c[1] === 'fillStyle' &&
+        c[2] !== null && typeof(c[2]) === 'object';
+  });
+  assert.ok(gradients.length > 0);
+  var gradient = gradients[0][2];
+  assert.strictEqual(gradient.type, 'linear');
+  assert.strictEqual(gradient.stops.length, 2);
+  assert.notStrictEqual(gradient.stops[0][1], gradient.stops[1][1]);
+});
+
+test('an evenly lit quad is filled flat', function() {
+  var renderer = common.makeCapturingRenderer();
+  renderer.transform.translate(0, 0, -5);
+  renderer.smooth_shading = true;
+  var cube = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(cube);
+  // All of the normals the same as the face normal.
+  for (var i = 0, il = cube.vertex_normals.length; i < il; ++i)
+    cube.vertex_normals[i] = {x: 0, y: 0, z: 1};
+  var obj = common.drawShape(renderer, cube)[0];
+  var qf = obj.qf;
+  function project(p) { return renderer.projectPointToCanvas(p); }
+  var screen_qf = new Pre3d.QuadFace(
+      project(qf.i0), project(qf.i1), project(qf.i2), project(qf.i3));
+  assert.strictEqual(renderer.smoothGradientForQuad(obj, screen_qf), null);
+});
@@ -0,0 +1,98 @@
+// Tests for ShapeUtils.parseSTL, ShapeUtils.toSTL, and
+// ShapeUtils.toBinarySTL.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+var assertPointNear = common.assertPointNear;
+
+var kTriangle = [
+  'solid test',
+  'facet normal 0 0 1',
+  '  outer loop',
+  '    vertex 0 0 0',
+  '    vertex 1 0 0',
+  '    vertex 0 1 0',
+  '  endloop',
+  'endfacet',
+  'endsolid test'
+].join('\n');
+
+test('parseSTL reads ASCII text', function() {
+  var shape = ShapeUtils.parseSTL(kTriangle);
+  assert.strictEqual(shape.vertices.length, 3);
+  assert.strictEqual(shape.quads.length, 1);
+  assertPointNear(shape.vertices[1], {x: 1, y: 0, z: 0});
+  // The meta data is built.
+  assertPointNear(shape.quads[0].centroid, {x: 1 / 3, y: 1 / 3, z: 0});
+});
+
+test('parseSTL reads ASCII from binary data', function() {
+  var shape = ShapeUtils.parseSTL(Buffer.from(kTriangle, 'latin1'));
+  assert.strictEqual(shape.quads.length, 1);
+  assertPointNear(shape.vertices[2], {x: 0, y: 1, z: 0});
+});
+
+test('a cube round trips and welds back together', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var inputs = [ShapeUtils.toSTL(cube, 'cube'),
+                ShapeUtils.toBinarySTL(cube),
+                new Uint8Array(ShapeUtils.toBinarySTL(cube))];
+  for (var i = 0; i < inputs.length; ++i) {
+    var shape = ShapeUtils.parseSTL(inputs[i]);
+    assert.strictEqual(shape.vertices.length, 8);
+    assert.strictEqual(shape.quads.length, 12);
+    assertNear(common.shapeVolume(shape), common.shapeVolume(cube));
+  }
+});
+
+test('toSTL writes the facet normals', function() {
+  var text = ShapeUtils.toSTL(ShapeUtils.parseSTL(kTriangle), 'tri');
+  assert.ok(/^solid tri\n/.test(text));
+  assert.ok(/facet normal 0 0 1\n/.test(text));
+  assert.ok(/endsolid tri\n$/.test(text));
+});
+
+test('toBinarySTL writes the binary layout', function() {
+  var buffer = ShapeUtils.toBinarySTL(ShapeUtils.makeCube(1));
+  var view = new DataView(buffer);
+  assert.strictEqual(buffer.byteLength, 84 + 12 * 50);
+  assert.strictEqual(view.getUint32(80, true), 12);
+  // The first normal is unit length.
+  var n = {x: view.getFloat32(84, true), y: view.getFloat32(88, true),
+           z: view.getFloat32(92, true)};
+  assertNear(Math.sqrt(n.x * n.x + n.y * n.y + n.z * n.z), 1, 1e-6);
+});
+
+test('parseSTL with an epsilon welds points on the same grid', function() {
+  var text = kTriangle + '\n' + [
+    'facet normal 0 0 1',
+    '  outer loop',
+    '    vertex 1.0004 0 0',
+    '    vertex 1 1 0',
+    '    vertex 0.0001 1.0002 0',
+    '  endloop',
+    'endfacet'
+  ].join('\n');
+  assert.strictEqual(ShapeUtils.parseSTL(text).vertices.length, 6);
+  var shape = ShapeUtils.parseSTL(text, 0.001);
+  assert.strictEqual(shape.vertices.length, 4);
+  // The first of the welded points is kept.
+  assertPointNear(shape.vertices[1], {x: 1, y: 0, z: 0});
+});
+
+test('parseSTL drops triangles collapsed by welding', function() {
+  var text = kTriangle.replace('vertex 0 1 0', 'vertex 0 0 0');
+  assert.strictEqual(ShapeUtils.parseSTL(text).quads.length, 0);
+});
+
+test('parseSTL returns null for data that is not text or binary', function() {
+  assert.strictEqual(ShapeUtils.parseSTL(null), null);
+  assert.strictEqual(ShapeUtils.parseSTL(undefined), null);
+  assert.strictEqual(ShapeUtils.parseSTL(42), null);
+  assert.strictEqual(ShapeUtils.parseSTL({}), null);
+});
@@ -0,0 +1,96 @@
+// Tests for the SVG backend.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+
+function makeSVGRenderer() {
+  // No DOM or canvas needed, just the size.
+  var renderer = new Pre3d.Renderer({width: 200, height: 100});
+  renderer.backend = new Pre3d.SVGBackend();
+  renderer.transform.translate(0, 0, -5);
+  return renderer;
+}
+
+function count(str, substr) {
+  return str.split(substr).length - 1;
+}
+
+test('an empty document has the size of the canvas', function() {
+  var renderer = makeSVGRenderer();
+  var svg = renderer.backend.toSVG(renderer);
+  assert.ok(svg.indexOf('<?xml') === 0);
+  assert.ok(svg.indexOf('width="200" height="100"') !== -1);
+  assert.ok(svg.indexOf('viewBox="0 0 200 100"') !== -1);
+  assert.ok(/<\/svg>\n$/.test(svg));
+  assert.strictEqual(count(svg, '<polygon'), 0);
+});
+
+test('each buffered quad is a polygon with its fill', function() {
+  var renderer = makeSVGRenderer();
+  renderer.draw_overdraw = false;
+  renderer.fill_rgba = new Pre3d.RGBA(1, 0, 0, 0.5);
+  renderer.transform.reset();
+  renderer.transform.rotateX(0.5);
+  renderer.transform.rotateY(0.5);
+  renderer.transform.translate(0, 0, -5);
+  renderer.bufferShape(ShapeUtils.makeCube(1));
+  assert.strictEqual(renderer.drawBuffer(), 3);
+
+  var svg = renderer.backend.toSVG(renderer);
+  assert.strictEqual(count(svg, '<polygon'), 3);
+  assert.strictEqual(count(svg, 'fill-opacity="0.5"'), 3);
+  assert.ok(/fill="rgb\(\d+,0,0\)"/.test(svg));
+});
+
+test('the background and strokes are written', function() {
+  var renderer = makeSVGRenderer();
+  renderer.backend.background_rgba = new Pre3d.RGBA(1, 1, 1, 1);
+  renderer.fill_rgba = null;
+  renderer.stroke_rgba = new Pre3d.RGBA(0, 0, 1, 1);
+  renderer.bufferShape(ShapeUtils.makeCube(1));
+  renderer.drawBuffer();
+
+  var svg = renderer.backend.toSVG(renderer);
+  assert.ok(svg.indexOf('<rect x="0" y="0" width="200" height="100" ' +
+                        'fill="rgb(255,255,255)"/>') !== -1);
+  assert.ok(svg.indexOf('fill="none" stroke="rgb(0,0,255)"') !== -1);
+});
+
+test('smooth shading becomes a gradient definition', function() {
+  var renderer = makeSVGRenderer();
+  renderer.smooth_shading = true;
+  renderer.lights.push(new Pre3d.DirectionalLight(
+      {x: -1, y: 0, z: -1}, new Pre3d.RGBA(1, 1, 1, 1), 1));
+  var sphere = ShapeUtils.makeSphere(1, 8, 8);
+  ShapeUtils.computeVertexNormals(sphere);
+  renderer.bufferShape(sphere);
+  renderer.drawBuffer();
+
+  var svg = renderer.backend.toSVG(renderer);
+  assert.ok(count(svg, '<linearGradient') > 0);
+  assert.ok(svg.indexOf('fill="url(#g0)"') !== -1);
+});
+
+test('paths are written as path elements', function() {
+  var renderer = makeSVGRenderer();
+  renderer.drawPath(Pre3d.PathUtils.makeCircle());
+  renderer.drawPath(Pre3d.PathUtils.makeCircle(), {fill: true});
+
+  var svg = renderer.backend.toSVG(renderer);
+  assert.strictEqual(count(svg, '<path d="M'), 2);
+  assert.ok(svg.indexOf(' C') !== -1);
+  assert.strictEqual(count(svg, 'fill="none" stroke='), 1);
+});
+
+test('reset starts a new document', function() {
+  var renderer = makeSVGRenderer();
+  renderer.bufferShape(ShapeUtils.makeCube(1));
+  renderer.drawBuffer();
+  renderer.backend.reset();
+  assert.strictEqual(
+      count(renderer.backend.toSVG(renderer), '<polygon'), 0);
+});
@@ -0,0 +1,117 @@
+// Tests for ShapeUtils.buildTopology and the Topology queries.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+
+// A flat 2x2 grid of quads, with the vertices numbered row by row:
+//   6 7 8
+//   3 4 5
+//   0 1 2
+function makeGrid() {
+  var shape = new Pre3d.Shape();
+  shape.vertices = [ ];
+  for (var y = 0; y < 3; ++y) {
+    for (var x = 0; x < 3; ++x)
+      shape.vertices.push({x: x, y: y, z: 0});
+  }
+  shape.quads = [new Pre3d.QuadFace(0, 1, 4, 3),
+                 new Pre3d.QuadFace(1, 2, 5, 4),
+                 new Pre3d.QuadFace(3, 4, 7, 6),
+                 new Pre3d.QuadFace(4, 5, 8, 7)];
+  ShapeUtils.rebuildMeta(shape);
+  return shape;
+}
+
+function sorted(list) {
+  return list.slice(0).sort(function(a, b) { return a - b; });
+}
+
+test('edges and half-edges of a grid', function() {
+  var topology = ShapeUtils.buildTopology(makeGrid());
+  assert.strictEqual(topology.edges.length, 12);
+  assert.strictEqual(topology.half_edges.length, 16);
+
+  assert.deepStrictEqual(topology.edgeFaces(1, 4), [0, 1]);
+  assert.deepStrictEqual(topology.edgeFaces(4, 1), [0, 1]);
+  assert.deepStrictEqual(topology.edgeFaces(0, 1), [0]);
+  assert.deepStrictEqual(topology.edgeFaces(0, 8), [ ]);
+  assert.strictEqual(topology.edgeIndex(0, 8), -1);
+  assert.strictEqual(topology.isBoundaryEdge(0, 1), true);
+  assert.strictEqual(topology.isBoundaryEdge(1, 4), false);
+
+  // Each face is a loop of half-edges, in the order of its vertices.
+  var he_index = topology.face_half_edges[0];
+  var loop = [ ];
+  for (var i = 0; i < 4; ++i) {
+    loop.push(topology.half_edges[he_index].vertex);
+    he_index = topology.half_edges[he_index].next;
+  }
+  assert.deepStrictEqual(loop, [0, 1, 4, 3]);
+  assert.strictEqual(he_index, topology.face_half_edges[0]);
+  assert.strictEqual(topology.halfEdgeEnd(topology.face_half_edges[0]), 1);
+});
+
+test('face and vertex adjacency', function() {
+  var topology = ShapeUtils.buildTopology(makeGrid());
+  // Face 3 only shares a vertex with face 0, not an edge.
+  assert.deepStrictEqual(sorted(topology.faceNeighbors(0)), [1, 2]);
+  assert.deepStrictEqual(topology.vertexFaces(4), [0, 1, 2, 3]);
+  assert.deepStrictEqual(topology.vertexFaces(0), [0]);
+  assert.strictEqual(topology.vertexEdges(4).length, 4);
+  assert.strictEqual(topology.isBoundaryVertex(4), false);
+  assert.strictEqual(topology.isBoundaryVertex(1), true);
+});
+
+test('vertex rings are in order around the vertex', function() {
+  var topology = ShapeUtils.buildTopology(makeGrid());
+  var ring = topology.vertexNeighbors(4);
+  assert.deepStrictEqual(sorted(ring), [1, 3, 5, 7]);
+  // Opposite neighbors are two apart in the ring.
+  assert.strictEqual(ring[0] + ring[2], 8);
+  assert.strictEqual(ring[1] + ring[3], 8);
+
+  // On the boundary, the ring starts and ends along the boundary.
+  ring = topology.vertexNeighbors(1);
+  assert.strictEqual(ring.length, 3);
+  assert.deepStrictEqual(sorted([ring[0], ring[2]]), [0, 2]);
+  assert.strictEqual(ring[1], 4);
+});
+
+test('boundary loops follow the winding of the faces', function() {
+  var topology = ShapeUtils.buildTopology(makeGrid());
+  var loops = topology.boundaryLoops();
+  assert.strictEqual(loops.length, 1);
+  var expected = [0, 1, 2, 5, 8, 7, 6, 3];
+  var start = expected.indexOf(loops[0][0]);
+  var rotated = expected.slice(start).concat(expected.slice(0, start));
+  assert.deepStrictEqual(loops[0], rotated);
+
+  var cube = ShapeUtils.buildTopology(ShapeUtils.makeCube(1));
+  assert.deepStrictEqual(cube.boundaryLoops(), [ ]);
+});
+
+test('a closed cube has twins for every half-edge', function() {
+  var topology = ShapeUtils.buildTopology(ShapeUtils.makeCube(1));
+  assert.strictEqual(topology.edges.length, 12);
+  for (var i = 0, il = topology.half_edges.length; i < il; ++i) {
+    var twin = topology.half_edges[i].twin;
+    assert.ok(twin !== -1);
+    assert.strictEqual(topology.half_edges[twin].twin, i);
+    assert.strictEqual(topology.half_edges[twin].vertex,
+                       topology.halfEdgeEnd(i));
+  }
+  for (var i = 0; i < 8; ++i)
+    assert.strictEqual(topology.vertexNeighbors(i).length, 3);
+});
+
+test('growSelection adds the faces across the edges', function() {
+  var topology = ShapeUtils.buildTopology(makeGrid());
+  assert.deepStrictEqual(sorted(topology.growSelection([0])), [0, 1, 2]);
+  assert.deepStrictEqual(sorted(topology.growSelection([0], 2)),
+                         [0, 1, 2, 3]);
+  assert.strictEqual(topology.growSelection([0])[0], 0);
+});
@@ -0,0 +1,97 @@
+// Tests for Transform.invert, Transform.decompose, and Transform.lookAt.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var assertNear = common.assertNear;
+var assertPointNear = common.assertPointNear;
+
+function assertQuaternionNear(a, b) {
+  assertNear(a.x, b.x, 1e-9, 'x');
+  assertNear(a.y, b.y, 1e-9, 'y');
+  assertNear(a.z, b.z, 1e-9, 'z');
+  assertNear(a.w, b.w, 1e-9, 'w');
+}
+
+function scaledRotation(sx, sy, sz) {
+  var t = new Pre3d.Transform();
+  t.scale(sx, sy, sz);
+  t.rotateX(0.5);
+  return t;
+}
+
+test('invert round trips points', function() {
+  var t = new Pre3d.Transform();
+  t.scale(2, 3, 4);
+  t.rotateY(0.3);
+  t.translate(1, -2, 5);
+  var inv = t.dup();
+  assert.strictEqual(inv.invert(), true);
+  var p = {x: 0.5, y: -1.5, z: 2};
+  assertPointNear(inv.transformPoint(t.transformPoint(p)), p);
+});
+
+test('invert leaves a singular transform alone', function() {
+  var t = new Pre3d.Transform();
+  t.scale(0, 1, 1);
+  var before = t.dup();
+  assert.strictEqual(t.invert(), false);
+  assert.deepStrictEqual(t.m, before.m);
+});
+
+test('decompose recovers scale, rotation and translation', function() {
+  var t = scaledRotation(2, 3, 4);
+  t.translate(1, 2, 3);
+  var d = t.decompose();
+  assertPointNear(d.translation, {x: 1, y: 2, z: 3});
+  assertPointNear(d.scale, {x: 2, y: 3, z: 4});
+  assertQuaternionNear(d.rotation, Pre3d.Quaternion.fromAxisAngle(
+      {x: 1, y: 0, z: 0}, 0.5));
+});
+
+test('decompose folds a reflection into the x scale', function() {
+  var t = new Pre3d.Transform();
+  t.scale(-1, 1, 1);
+  var d = t.decompose();
+  assertPointNear(d.scale, {x: -1, y: 1, z: 1});
+  assertQuaternionNear(d.rotation, new Pre3d.Quaternion());
+});
+
+test('decompose recovers the rotation with one zero scale', function() {
+  var expected = Pre3d.Quaternion.fromAxisAngle({x: 1, y: 0, z: 0}, 0.5);
+  var scales = [[0, 3, 4], [2, 0, 4], [2, 3, 0]];
+  for (var i = 0; i < scales.length; ++i) {
+    var s = scales[i];
+    var d = scaledRotation(s[0], s[1], s[2]).decompose();
+    assertPointNear(d.scale, {x: s[0], y: s[1], z: s[2]});
+    assertQuaternionNear(d.rotation, expected);
+  }
+});
+
+test('decompose uses the identity rotation when it is lost', function() {
+  var d = scaledRotation(0, 0, 4).decompose();
+  assertPointNear(d.scale, {x: 0, y: 0, z: 4});
+  assertQuaternionNear(d.rotation, new Pre3d.Quaternion());
+
+  // One flat axis, and the other two collapsed onto each other.
+  var t = new Pre3d.Transform();
+  t.m = new Pre3d.AffineMatrix(0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0);
+  d = t.decompose();
+  assertPointNear(d.scale, {x: 0, y: 1, z: 1});
+  assertQuaternionNear(d.rotation, new Pre3d.Quaternion());
+});
+
+test('lookAt puts the target down the -z axis', function() {
+  var t = new Pre3d.Transform();
+  var eye = {x: 3, y: 4, z: 5};
+  t.lookAt(eye, {x: 0, y: 0, z: 0}, {x: 0, y: 1, z: 0});
+  assertPointNear(t.transformPoint(eye), {x: 0, y: 0, z: 0});
+  assertPointNear(t.transformPoint({x: 0, y: 0, z: 0}),
+                  {x: 0, y: 0, z: -Math.sqrt(50)});
+  // Up stays up: a point above the eye lands on +y.
+  var p = t.transformPoint({x: 3, y: 5, z: 5});
+  assert.ok(p.y > 0);
+  assertNear(p.x, 0);
+});
@@ -0,0 +1,137 @@
+// Tests for ShapeUtils.validate and ShapeUtils.repair.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+
+function flipQuad(qf) {
+  qf.setQuad(qf.i0, qf.i3, qf.i2, qf.i1);
+}
+
+function problems(report) {
+  var found = [ ];
+  for (var key in report) {
+    if (key !== 'valid' && report[key].length !== 0)
+      found.push(key);
+  }
+  return found;
+}
+
+test('a cube is valid', function() {
+  var report = ShapeUtils.validate(ShapeUtils.makeCube(1));
+  assert.strictEqual(report.valid, true);
+  assert.deepStrictEqual(problems(report), [ ]);
+});
+
+test('validate finds bad indices and degenerate faces', function() {
+  var cube = ShapeUtils.makeCube(1);
+  cube.quads.push(new Pre3d.QuadFace(0, 1, 99, null));
+  cube.quads.push(new Pre3d.QuadFace(0, 1, 1, null));
+  var report = ShapeUtils.validate(cube);
+  assert.strictEqual(report.valid, false);
+  assert.deepStrictEqual(report.out_of_range, [6]);
+  assert.deepStrictEqual(report.degenerate, [7]);
+});
+
+test('validate finds non-planar quads', function() {
+  var shape = ShapeUtils.makePlane({x: 0, y: 0, z: 0}, {x: 1, y: 0, z: 0},
+                                   {x: 1, y: 1, z: 0}, {x: 0, y: 1, z: 0.5});
+  assert.deepStrictEqual(ShapeUtils.validate(shape).non_planar, [0]);
+  // Within a looser tolerance it's fine.
+  var report = ShapeUtils.validate(shape, {planar_epsilon: 0.5});
+  assert.deepStrictEqual(report.non_planar, [ ]);
+});
+
+test('validate finds duplicate vertices on the welding grid', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var p = cube.vertices[0];
+  cube.vertices.push({x: p.x, y: p.y, z: p.z});
+  cube.vertices.push({x: p.x + 1e-4, y: p.y, z: p.z});
+  assert.deepStrictEqual(ShapeUtils.validate(cube).duplicate_vertices,
+                         [[0, 8]]);
+  assert.deepStrictEqual(
+      ShapeUtils.validate(cube, {epsilon: 0.01}).duplicate_vertices,
+      [[0, 8], [0, 9]]);
+});
+
+test('validate finds non-manifold and inconsistent edges', function() {
+  var cube = ShapeUtils.makeCube(1);
+  flipQuad(cube.quads[0]);
+  var report = ShapeUtils.validate(cube);
+  assert.strictEqual(report.inconsistent_edges.length, 4);
+  assert.deepStrictEqual(report.non_manifold_edges, [ ]);
+
+  cube = ShapeUtils.makeCube(1);
+  var qf = cube.quads[0];
+  cube.vertices.push({x: 0, y: 0, z: 0});
+  cube.quads.push(new Pre3d.QuadFace(qf.i0, qf.i1, 8, null));
+  report = ShapeUtils.validate(cube);
+  assert.strictEqual(report.non_manifold_edges.length, 1);
+  var edge = report.non_manifold_edges[0];
+  assert.ok((edge[0] === qf.i0 && edge[1] === qf.i1) ||
+            (edge[0] === qf.i1 && edge[1] === qf.i0));
+});
+
+test('repair welds, removes bad faces and fixes the winding', function() {
+  var cube = ShapeUtils.makeCube(1);
+  cube.vertex_colors = cube.vertices.map(function(v) {
+    return new Pre3d.RGBA(1, 0, 0, 1);
+  });
+  // Use a copy of a vertex in one of the faces, and turn another around.
+  var p = cube.vertices[cube.quads[1].i0];
+  cube.vertices.push({x: p.x + 1e-4, y: p.y, z: p.z});
+  cube.vertex_colors.push(new Pre3d.RGBA(0, 1, 0, 1));
+  cube.quads[1].setQuad(8, cube.quads[1].i1, cube.quads[1].i2,
+                        cube.quads[1].i3);
+  flipQuad(cube.quads[2]);
+  cube.quads.push(new Pre3d.QuadFace(0, 1, 99, null));
+  cube.quads.push(new Pre3d.QuadFace(0, 1, 1, null));
+  cube.groups = [{name: 'all', quads: [0, 1, 2, 3, 4, 5, 6, 7]}];
+
+  ShapeUtils.repair(cube, {epsilon: 0.01});
+  assert.strictEqual(ShapeUtils.validate(cube).valid, true);
+  assert.strictEqual(cube.vertices.length, 8);
+  assert.strictEqual(cube.vertex_colors.length, 8);
+  assert.strictEqual(cube.quads.length, 6);
+  assert.deepStrictEqual(cube.groups[0].quads, [0, 1, 2, 3, 4, 5]);
+  assertNear(common.shapeVolume(cube), 8);
+});
+
+test('repair turns an inside out solid right side out', function() {
+  var cube = ShapeUtils.makeCube(1);
+  cube.quads.forEach(flipQuad);
+  ShapeUtils.rebuildMeta(cube);
+  assertNear(common.shapeVolume(cube), -8);
+  ShapeUtils.repair(cube);
+  assertNear(common.shapeVolume(cube), 8);
+});
+
+test('repair makes a quad with a repeated vertex a triangle', function() {
+  var shape = ShapeUtils.makePlane({x: 0, y: 0, z: 0}, {x: 1, y: 0, z: 0},
+                                   {x: 1, y: 1, z: 0}, {x: 1, y: 1, z: 0});
+  shape.uvs = [{u: 0, v: 0}, {u: 1, v: 0}, {u: 1, v: 1}, {u: 0, v: 1}];
+  shape.quad_uvs = [[0, 1, 2, 3]];
+  ShapeUtils.repair(shape);
+  assert.strictEqual(shape.vertices.length, 3);
+  assert.strictEqual(shape.quads.length, 1);
+  assert.strictEqual(shape.quads[0].isTriangle(), true);
+  assert.deepStrictEqual(shape.quad_uvs, [[0, 1, 2]]);
+});
+
+test('an open shape keeps the winding of most of its area', function() {
+  var shape = ShapeUtils.makeCube(1);
+  shape.quads.pop();
+  flipQuad(shape.quads[0]);
+  var before = shape.quads.slice(1).map(function(qf) {
+    return [qf.i0, qf.i1, qf.i2, qf.i3];
+  });
+  ShapeUtils.repair(shape);
+  assert.strictEqual(ShapeUtils.validate(shape).valid, true);
+  assert.deepStrictEqual(shape.quads.slice(1).map(function(qf) {
+    return [qf.i0, qf.i1, qf.i2, qf.i3];
+  }), before);
+});
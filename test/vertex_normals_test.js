@@ -0,0 +1,193 @@
+// Tests for ShapeUtils.computeVertexNormals, and keeping the normals in sync
+// with the operations that change a Shape.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+var assertNear = common.assertNear;
+var assertPointNear = common.assertPointNear;
+
+var kCrease = {crease_angle: Math.PI / 4};
+
+function faceIndices(qf) {
+  return qf.isTriangle() === true ? [qf.i0, qf.i1, qf.i2] :
+      [qf.i0, qf.i1, qf.i2, qf.i3];
+}
+
+// Return the normal used for each corner of the QuadFace |i| of |shape|.
+function cornerNormals(shape, i) {
+  var indices = shape.quad_normals !== null && shape.quad_normals[i] !== null ?
+      shape.quad_normals[i] : faceIndices(shape.quads[i]);
+  return indices.map(function(x) { return shape.vertex_normals[x]; });
+}
+
+function faceNormal(qf) {
+  return Pre3d.Math.unitVector3d(
+      Pre3d.Math.addPoints3d(qf.normal1, qf.normal2));
+}
+
+// Every corner of every face of |shape| has the normal of its face.
+function assertFlatCorners(shape) {
+  for (var i = 0, il = shape.quads.length; i < il; ++i) {
+    var n = faceNormal(shape.quads[i]);
+    var ns = cornerNormals(shape, i);
+    for (var j = 0; j < ns.length; ++j)
+      assertPointNear(ns[j], n, 1e-9, 'quad ' + i + ' corner ' + j);
+  }
+}
+
+test('vertex normals average the faces around the vertex', function() {
+  var sphere = ShapeUtils.computeVertexNormals(ShapeUtils.makeSphere(1, 8, 8));
+  assert.strictEqual(sphere.vertex_normals.length, sphere.vertices.length);
+  assert.strictEqual(sphere.quad_normals, null);
+  // On a sphere they point out from the center.
+  for (var i = 0, il = sphere.vertices.length; i < il; ++i) {
+    var n = sphere.vertex_normals[i];
+    assertNear(Pre3d.Math.vecMag3d(n), 1);
+    assert.ok(Pre3d.Math.dotProduct3d(n, sphere.vertices[i]) > 0.9);
+  }
+});
+
+test('the weighting changes how much each face counts', function() {
+  // The corner of a long box is pulled towards the larger faces by area.
+  var box = ShapeUtils.makeBox(4, 1, 1);
+  ShapeUtils.computeVertexNormals(box);
+  var equal = box.vertex_normals[0];
+  assertNear(Math.abs(equal.x), Math.abs(equal.y));
+  ShapeUtils.computeVertexNormals(box, {weighting: 'area'});
+  var area = box.vertex_normals[0];
+  assert.ok(Math.abs(area.y) > Math.abs(area.x) * 2);
+  assert.deepStrictEqual(box.vertex_normal_options,
+                         {weighting: 'area', crease_angle: null});
+});
+
+test('a crease angle splits the normals, not the vertices', function() {
+  var cube = ShapeUtils.makeCube(1);
+  var quads = cube.quads.map(faceIndices);
+  ShapeUtils.computeVertexNormals(cube, kCrease);
+  assert.strictEqual(cube.vertices.length, 8);
+  assert.deepStrictEqual(cube.quads.map(faceIndices), quads);
+  // One normal for each vertex, and 2 more for the other faces at it.
+  assert.strictEqual(cube.vertex_normals.length, 24);
+  assert.strictEqual(cube.quad_normals.length, 6);
+  assertFlatCorners(cube);
+});
+
+test('subdividing a creased shape keeps it in one piece', function() {
+  var cube = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(cube, kCrease);
+  ShapeUtils.linearSubdivide(cube);
+  ShapeUtils.linearSubdivide(cube);
+  assert.strictEqual(cube.vertices.length, 98);
+  assert.strictEqual(cube.quads.length, 96);
+  assertFlatCorners(cube);
+
+  var plain = ShapeUtils.makeCube(1);
+  ShapeUtils.linearSubdivide(plain);
+  ShapeUtils.linearSubdivide(plain);
+  assert.strictEqual(plain.vertices.length, 98);
+});
+
+test('the operations recompute computed normals', function() {
+  var cube = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(cube, kCrease);
+  ShapeUtils.explodeFaces(cube);
+  assert.strictEqual(cube.vertices.length, 24);
+  // Nothing is shared any more, so there are no corners to split.
+  assert.strictEqual(cube.vertex_normals.length, 24);
+  assert.strictEqual(cube.quad_normals, null);
+  assertFlatCorners(cube);
+
+  var sphere = ShapeUtils.makeSphere(1, 8, 8);
+  ShapeUtils.computeVertexNormals(sphere, {weighting: 'angle'});
+  new ShapeUtils.Extruder().extrude(sphere);
+  assert.strictEqual(sphere.vertex_normals.length, sphere.vertices.length);
+  assert.strictEqual(sphere.vertex_normal_options.weighting, 'angle');
+});
+
+test('loaded normals are kept, until they no longer fit', function() {
+  var shape = ShapeUtils.parseOBJ([
+    'v 0 0 0', 'v 1 0 0', 'v 1 1 0', 'v 0 1 0',
+    'vn 0.6 0 0.8',
+    'f 1//1 2//1 3//1 4//1'
+  ].join('\n'));
+  assert.strictEqual(shape.vertex_normal_options, null);
+  // Only moving the vertices, the normals still fit.
+  ShapeUtils.averageSmooth(shape, 0.5);
+  assertPointNear(shape.vertex_normals[2], {x: 0.6, y: 0, z: 0.8});
+  // With new vertices, they don't.
+  ShapeUtils.linearSubdivide(shape);
+  assert.strictEqual(shape.vertex_normals, null);
+  assert.strictEqual(shape.quad_normals, null);
+});
+
+test('triangulate splits the corner normals', function() {
+  var cube = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(cube, kCrease);
+  ShapeUtils.triangulate(cube);
+  assert.strictEqual(cube.quads.length, 12);
+  assert.strictEqual(cube.quad_normals.length, 12);
+  assertFlatCorners(cube);
+});
+
+test('smooth shading lights the corners with their normals', function() {
+  function lightCube(opts) {
+    var renderer = common.makeCapturingRenderer();
+    renderer.smooth_shading = true;
+    renderer.lights.push(new Pre3d.DirectionalLight(
+        {x: -1, y: -0.5, z: -1}, new Pre3d.RGBA(1, 1, 1, 1), 1));
+    renderer.transform.rotateY(0.5);
+    renderer.transform.rotateX(0.3);
+    renderer.transform.translate(0, 0, -5);
+    var cube = ShapeUtils.makeCube(1);
+    ShapeUtils.computeVertexNormals(cube, opts);
+    return common.drawShape(renderer, cube);
+  }
+
+  // The largest difference in light between the corners of a face.
+  function maxSpread(quads) {
+    var spread = 0;
+    for (var i = 0, il = quads.length; i < il; ++i) {
+      var lights = quads[i].vertex_lights;
+      for (var j = 1; j < lights.length; ++j)
+        spread = Math.max(spread, Math.abs(lights[j].r - lights[0].r));
+    }
+    return spread;
+  }
+
+  // With hard edges, each face of the cube is evenly lit.
+  var creased = lightCube(kCrease);
+  assert.ok(creased.length > 1);
+  assertNear(maxSpread(creased), 0);
+  assert.ok(maxSpread(lightCube()) > 0.1);
+});
+
+test('toOBJ writes the corner normals', function() {
+  var cube = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(cube, kCrease);
+  var lines = ShapeUtils.toOBJ(cube).split('\n');
+  var vns = lines.filter(function(l) { return /^vn /.test(l); });
+  assert.strictEqual(vns.length, 24);
+  var faces = lines.filter(function(l) { return /^f /.test(l); });
+  for (var i = 0; i < faces.length; ++i) {
+    var refs = faces[i].split(' ').slice(1).map(function(r) {
+      return r.split('//').map(Number);
+    });
+    var ns = cornerNormals(cube, i);
+    for (var j = 0; j < refs.length; ++j) {
+      assert.strictEqual(refs[j][0] - 1, cube.quads[i]['i' + j]);
+      assertPointNear(cube.vertex_normals[refs[j][1] - 1], ns[j], 1e-6);
+    }
+  }
+});
+
+test('the corner normals serialize', function() {
+  var cube = ShapeUtils.makeCube(1);
+  ShapeUtils.computeVertexNormals(cube, kCrease);
+  var back = Pre3d.deserialize(Pre3d.serialize(cube));
+  assert.deepStrictEqual(back.quad_normals, cube.quad_normals);
+  assert.deepStrictEqual(back.vertex_normals, cube.vertex_normals);
+});
@@ -0,0 +1,106 @@
+// Tests for the z-buffer rasterizer backend.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var common = require('./common');
+
+var Pre3d = common.Pre3d;
+var ShapeUtils = Pre3d.ShapeUtils;
+
+// Render with the ZBufferBackend to a headless canvas, returning the
+// ImageData it put back on the canvas.  |draw| buffers the shapes.
+function renderPixels(width, height, draw) {
+  var canvas = new Pre3d.RecordingCanvas(width, height);
+  var renderer = new Pre3d.Renderer(canvas);
+  renderer.backend = new Pre3d.ZBufferBackend();
+  // Paint in the order the shapes are buffered, leaving it to the z-buffer.
+  renderer.perform_z_sorting = false;
+  renderer.draw_overdraw = false;
+  draw(renderer);
+  renderer.drawBuffer();
+
+  var ctx = canvas.getContext('2d');
+  var put = ctx.commands.filter(function(c) {
+    return c[0] === 'putImageData';
+  });
+  assert.strictEqual(put.length, 1);
+  return ctx.images[put[0][1]];
+}
+
+function pixel(image_data, x, y) {
+  var o = (y * image_data.width + x) * 4;
+  var px = image_data.data;
+  return [px[o], px[o + 1], px[o + 2], px[o + 3]];
+}
+
+// A square at depth |z| facing the camera, from -|s| .. |s|.
+function makeSquare(s, z) {
+  return ShapeUtils.makePlane({x: -s, y: -s, z: z}, {x: s, y: -s, z: z},
+                              {x: s, y: s, z: z}, {x: -s, y: s, z: z});
+}
+
+test('a nearer quad hides a further one drawn after it', function() {
+  var image_data = renderPixels(64, 64, function(renderer) {
+    renderer.fill_rgba = new Pre3d.RGBA(0, 0, 1, 1);
+    renderer.bufferShape(makeSquare(1, -4));
+    renderer.fill_rgba = new Pre3d.RGBA(1, 0, 0, 1);
+    renderer.bufferShape(makeSquare(4, -6));
+  });
+  assert.deepStrictEqual(pixel(image_data, 32, 32), [0, 0, 255, 255]);
+  // Outside of the near square, the far one shows.
+  assert.deepStrictEqual(pixel(image_data, 32, 16), [255, 0, 0, 255]);
+  // And nothing in the corner.
+  assert.deepStrictEqual(pixel(image_data, 0, 0), [0, 0, 0, 0]);
+});
+
+test('intersecting quads are resolved per pixel', function() {
+  var image_data = renderPixels(64, 64, function(renderer) {
+    renderer.draw_backfaces = true;
+    renderer.transform.translate(0, 0, -5);
+    // Tilted in opposite directions, crossing at x = 0.
+    renderer.fill_rgba = new Pre3d.RGBA(1, 0, 0, 1);
+    renderer.bufferShape(ShapeUtils.makePlane(
+        {x: -2, y: -1, z: -1}, {x: 2, y: -1, z: 1},
+        {x: 2, y: 1, z: 1}, {x: -2, y: 1, z: -1}));
+    renderer.fill_rgba = new Pre3d.RGBA(0, 1, 0, 1);
+    renderer.bufferShape(ShapeUtils.makePlane(
+        {x: -2, y: -1, z: 1}, {x: 2, y: -1, z: -1},
+        {x: 2, y: 1, z: -1}, {x: -2, y: 1, z: 1}));
+  });
+  // The red quad is in front on the right, the green one on the left.
+  var right = pixel(image_data, 40, 32), left = pixel(image_data, 24, 32);
+  assert.ok(right[0] > 0 && right[1] === 0);
+  assert.ok(left[0] === 0 && left[1] > 0);
+});
+
+test('depth works with an orthographic camera', function() {
+  var image_data = renderPixels(64, 64, function(renderer) {
+    renderer.camera.orthographic = true;
+    renderer.camera.ortho_scale = 4;
+    renderer.fill_rgba = new Pre3d.RGBA(0, 0, 1, 1);
+    renderer.bufferShape(makeSquare(1, -4));
+    renderer.fill_rgba = new Pre3d.RGBA(1, 0, 0, 1);
+    renderer.bufferShape(makeSquare(2, -6));
+  });
+  assert.deepStrictEqual(pixel(image_data, 32, 32), [0, 0, 255, 255]);
+  assert.deepStrictEqual(pixel(image_data, 32, 20), [255, 0, 0, 255]);
+});
+
+test('smooth shading is interpolated across the face', function() {
+  var image_data = renderPixels(64, 64, function(renderer) {
+    renderer.smooth_shading = true;
+    renderer.fill_rgba = new Pre3d.RGBA(1, 1, 1, 1);
+    var square = makeSquare(1, -2);
+    square.vertex_normals = [
+      {x: 0, y: 0, z: 1}, {x: 0, y: 0, z: 1},
+      {x: 1, y: 0, z: 0}, {x: 1, y: 0, z: 0}
+    ];
+    renderer.bufferShape(square);
+  });
+  // Bright at the bottom, where the normals face the headlight, and dark at
+  // the top, where they are perpendicular to it.
+  var bottom = pixel(image_data, 32, 46)[0];
+  var middle = pixel(image_data, 32, 32)[0];
+  var top = pixel(image_data, 32, 18)[0];
+  assert.ok(bottom > middle && middle > top);
+});